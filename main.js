@@ -1,8 +1,15 @@
 import BootScene from "./scenes/BootScene.js";
+import TitleScene from "./scenes/TitleScene.js";
+import LoadScene from "./scenes/LoadScene.js";
+import SettingsScene from "./scenes/SettingsScene.js";
+import NewGamePlusScene from "./scenes/NewGamePlusScene.js";
+import PauseScene from "./scenes/PauseScene.js";
+import DialogueLogScene from "./scenes/DialogueLogScene.js";
 
 import CityScene from "./scenes/CityScene.js";
 import ForestScene from "./scenes/ForestScene.js";
 import LibraryScene from "./scenes/LibraryScene.js";
+import { createMapScenes } from "./scenes/MapScene.js";
 
 import MinesweeperScene from "./scenes/MinesweeperScene.js";
 import EpilogueTrueScene from "./scenes/EpilogueTrueScene.js";
@@ -12,8 +19,13 @@ import EpilogueMinusHelpScene from "./scenes/EpilogueMinusHelpScene.js";
 import EpilogueSpeedrunScene from "./scenes/EpilogueSpeedrunScene.js";
 import EpiloguePartyScene from "./scenes/EpiloguePartyScene.js";
 
+import GalleryScene from "./scenes/GalleryScene.js";
+
 import TilePickerScene from "./scenes/TilePickerScene.js";
 
+import { installAutosave } from "./systems/Autosave.js";
+import { installSceneMusic } from "./systems/SceneMusic.js";
+
 const BASE_W = 480;
 const BASE_H = 270;
 
@@ -47,9 +59,15 @@ const config = {
 
   scene: [
     BootScene,
+    TitleScene,
+    LoadScene,
+    SettingsScene,
+    NewGamePlusScene,
     CityScene,
     ForestScene,
     LibraryScene,
+    // Any other ASSETS.maps entry boots as a generic MapScene
+    ...createMapScenes(["CityScene", "ForestScene", "LibraryScene"]),
     MinesweeperScene,
     EpilogueTrueScene,
     EpilogueNormalScene,
@@ -57,11 +75,17 @@ const config = {
     EpilogueSpeedrunScene,
     EpilogueMinusHelpScene,
     EpiloguePartyScene,
+    GalleryScene,
+    PauseScene,
+    DialogueLogScene,
     TilePickerScene,
   ],
 };
 
+installAutosave();
+
 const game = new Phaser.Game(config);
+installSceneMusic(game);
 
 // Recompute zoom on resize (optional but nice)
 window.addEventListener("resize", () => {
@@ -0,0 +1,50 @@
+import { recordEndingSeen, recordRunCompleted, endingStatsFromState } from "../systems/MetaProgress.js";
+import { getAudio } from "../systems/AudioManager.js";
+import { playEnterTransition } from "../systems/SceneTransitions.js";
+
+/**
+ * Shared plumbing for the Epilogue*Scene classes.
+ *
+ * init data:
+ *  - replay: true when started from the gallery (nothing is recorded, no follow-up scene)
+ *  - stats: numbers to show instead of the live GameState (see endingStatsFromState)
+ *  - returnScene / returnData: where "Z: Back" goes in replay mode
+ *
+ * Subclasses read `this.stats` for every number they print, call beginEpilogue()
+ * at the top of create() and finishEpilogue() when their text is done.
+ */
+export default class BaseEpilogueScene extends Phaser.Scene {
+  constructor(sceneKey, endingId) {
+    super(sceneKey);
+    this.endingId = endingId;
+  }
+
+  init(data) {
+    this.replay = data?.replay === true;
+    this.stats = { ...endingStatsFromState(), ...(data?.stats ?? {}) };
+    this.returnScene = data?.returnScene ?? "GalleryScene";
+    this.returnData = data?.returnData ?? {};
+  }
+
+  beginEpilogue() {
+    this.cameras.main.setBackgroundColor("#000000");
+    getAudio(this).stopMusic({ fadeMs: 600 });
+    playEnterTransition(this);
+    if (this.replay) return;
+    recordEndingSeen(this.endingId, this.stats);
+    recordRunCompleted(this.endingId);
+  }
+
+  finishEpilogue() {
+    const label = this.replay ? "Z: Back" : "Z: Endings";
+    const cam = this.cameras.main;
+    this.add
+      .text(cam.width - 10, cam.height - 10, label, { fontSize: "8px", fill: "#b0b0b0" })
+      .setOrigin(1, 1);
+
+    this.input.keyboard.once("keydown-Z", () => {
+      if (this.replay) this.scene.start(this.returnScene, this.returnData);
+      else this.scene.start("GalleryScene", { returnScene: "TitleScene" });
+    });
+  }
+}
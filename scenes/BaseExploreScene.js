@@ -1,27 +1,29 @@
 import DialogueBox from "../systems/DialogueBox.js";
 import { ensureCharacterAnims, playCharacterAnim, lookAtPlayerIfClose } from "../systems/CharacterAnims.js";
-import { ASSETS } from "../systems/Assets.js";
 import {
   GameState,
   canWorldInteract,
-  addItem,
   hasItem,
-  removeItem,
-  incrementInteractionCount,
   disableInteraction,
   isInteractionDisabled,
   setLayerHidden,
   isLayerHidden,
-  markHelped,
-  isHelped,
-  addHelp,
-  addScore,
+  setFlag,
 } from "../systems/GameState.js";
 
 
 import { parseProps, splitCsv } from "../systems/TiledProps.js";
-import { appendFollowerDialogue, hasFollowerDialogueProps } from "../systems/TiledInteractions.js";
+import { runInteraction, runChoiceInteraction, isInteractionEnabled, flagKey } from "../systems/InteractionRuntime.js";
 import { updateAutoTriggerZones } from "../systems/AutoTriggerZones.js";
+import { readNpcDef, isNpcVisible, NPC_LAYER } from "../systems/TiledNpcs.js";
+import TiledLintPanel from "../systems/TiledLintPanel.js";
+import { EVENTS, subscribe } from "../systems/GameEvents.js";
+import { shakeCamera } from "../systems/Settings.js";
+import { getAudio } from "../systems/AudioManager.js";
+import { startSceneMusic, playEntryStinger } from "../systems/SceneMusic.js";
+import { isTransitioning, playEnterTransition, transitionTo } from "../systems/SceneTransitions.js";
+import { openPauseMenu } from "./PauseScene.js";
+import { openDialogueLog } from "./DialogueLogScene.js";
 
 export const DEPTH = Object.freeze({
   TILE_BELOW_PLAYER_MIN: 0,
@@ -62,6 +64,11 @@ function findObjectLayerInTiledJson(layers, targetName) {
   return null;
 }
 
+// Tiled object class "portal" (any layer); everything on the Portals layer is one too.
+function isPortalObject(o) {
+  return String(o?.type ?? o?.class ?? "").trim().toLowerCase() === "portal";
+}
+
 function pointInRect(px, py, rectCenterX, rectCenterY, w, h) {
   const x0 = rectCenterX - w / 2;
   const y0 = rectCenterY - h / 2;
@@ -80,16 +87,11 @@ export default class BaseExploreScene extends Phaser.Scene {
     this._playerAnimPrefix = "player";
     this._playerFacing = "down";
 
-    // Music ducking during interactions (stacked)
-    this._musicDuckStack = [];
-    this._musicDuckOriginal = new Map(); // Phaser.Sound.BaseSound -> originalVolume
-
-    // Scene BGM (owned by this scene)
-    this._sceneMusic = null;
-    this._sceneMusicKey = "";
+    // Game-level AudioManager (set in _hookAudioLifecycle); music/ducks/sounds live there.
+    this.audio = null;
 
     // Ambience zones (looping while inside) (owned by this scene)
-    this._ambienceByZoneId = new Map(); // id -> Phaser.Sound.BaseSound
+    this._ambienceByZoneId = new Map(); // id -> AudioHandle
 
     // Followers / trail
     this.playerTrail = [];
@@ -148,8 +150,8 @@ export default class BaseExploreScene extends Phaser.Scene {
     this.keys = null;
     this.cursors = null;
 
-    // Choice pending effects
-    this._pendingChoiceEffect = null;
+    // Interaction runtime adapter (built on first use)
+    this._interactionHost = null;
 
     // Optional debug overlay
     this.debugText = null;
@@ -199,37 +201,12 @@ _parseCssColor(v, fallback) {
   return s;
 }
 
-_getNpcLabelPropsByName(displayName) {
-  // Convention: Points objects often named npc_<lowername> (e.g. npc_aloise).
-  const n = String(displayName ?? "").trim().toLowerCase();
-  if (!n) return null;
-
-  const candidates = [`npc_${n}`, n, displayName];
-  const layers = ["Points", "NPCs", "Interactables"];
-
-  for (const layerName of layers) {
-    const arr = this.tiledObjects?.[layerName] ?? [];
-    for (const obj of arr) {
-      const on = String(obj?.name ?? "").trim();
-      if (!on) continue;
-      if (!candidates.some((c) => c.toLowerCase() === on.toLowerCase())) continue;
-      try {
-        const p = parseProps(obj);
-        return p ?? null;
-      } catch (_) {
-        return null;
-      }
-    }
-  }
-  return null;
-}
-
   // -------------------------
   // Internal persistence helpers
   // -------------------------
 
   _flagKey(prefix, ...parts) {
-    return `${prefix}__${parts.map((p) => String(p)).join("__")}`;
+    return flagKey(prefix, ...parts);
   }
 
   _getAnyFlag(key) {
@@ -237,8 +214,7 @@ _getNpcLabelPropsByName(displayName) {
   }
 
   _setAnyFlag(key, value) {
-    if (!GameState.flags) GameState.flags = {};
-    GameState.flags[key] = value;
+    setFlag(key, value);
   }
 
   _layerInitFlag(sceneKey, layerName) {
@@ -320,45 +296,16 @@ _getNpcLabelPropsByName(displayName) {
   // Scene audio lifecycle (IMPORTANT FIX)
   // -------------------------
 
+  // Sounds/ducks created with owner = this.scene.key are released by the AudioManager
+  // on shutdown; this only drops the scene's own bookkeeping of those handles.
   _hookAudioLifecycle() {
+    this.audio = getAudio(this);
+    this.audio.attachScene(this);
+
     if (!this._audioCleanupFn) {
       this._audioCleanupFn = () => {
-        this.stopSceneMusic();
-
-        for (const snd of this._ambienceByZoneId.values()) {
-          try {
-            snd.stop?.();
-            snd.destroy?.();
-          } catch (_) {}
-        }
         this._ambienceByZoneId.clear();
-
-        if (this._zoneAudioById && typeof this._zoneAudioById.values === "function") {
-          for (const snd of this._zoneAudioById.values()) {
-            try {
-              snd.stop?.();
-              snd.destroy?.();
-            } catch (_) {}
-          }
-          try {
-            this._zoneAudioById.clear?.();
-          } catch (_) {}
-        }
-
-        try {
-          this._musicDuckStack.length = 0;
-          this._applyMusicDuck(1);
-        } catch (_) {}
-
-        const sounds = this.sound?.sounds ?? [];
-        for (const snd of sounds) {
-          if (snd?.__sceneOwned === true) {
-            try {
-              snd.stop?.();
-              snd.destroy?.();
-            } catch (_) {}
-          }
-        }
+        this._zoneAudioById?.clear?.();
       };
     }
 
@@ -378,6 +325,13 @@ _getNpcLabelPropsByName(displayName) {
     // Hook audio cleanup early so even early-started music gets stopped.
     this._hookAudioLifecycle();
     this._hookNpcPersistenceLifecycle();
+    playEntryStinger(this);
+
+    // Phaser reuses the scene instance on re-entry: drop NPC refs from the last visit.
+    this._spawnedNpcsById = new Map();
+    this._movingNpcById = new Map();
+    this._tiledNpcs = [];
+    this._npcsToFacePlayer = [];
 
     this.cameras.main.setBackgroundColor("#0a0a0a");
 
@@ -418,6 +372,9 @@ _getNpcLabelPropsByName(displayName) {
       right: "D",
       interact: "Z",
       pick: "P",
+      pause: "ESC",
+      pauseAlt: "ENTER",
+      log: "L",
     });
     this.cursors = this.input.keyboard.createCursorKeys();
     this.facing = new Phaser.Math.Vector2(0, 1);
@@ -453,6 +410,18 @@ _getNpcLabelPropsByName(displayName) {
     // Re-apply persisted tile removals + disable those interactions (strawberries etc)
     this._reapplyPersistedTileRemovals(interactLayerName);
 
+    // NPCs layer (after interactables so `interaction` links resolve)
+    this._spawnTiledNpcs(tiled?.objectLayers?.npcs ?? NPC_LAYER);
+
+    // Exits declared in Tiled (Portals layer + class=portal objects in Interactables)
+    this._buildPortals(tiled?.objectLayers?.portals ?? "Portals", interactLayerName);
+
+    // Dev builds: unknown / misspelled Tiled props (F9 toggles)
+    if (tiled?.mapKey) TiledLintPanel.attach(this, tiled.mapKey);
+
+    // In-half of a transitionTo() from the previous scene (blocks input until done)
+    playEnterTransition(this);
+
     return this;
   }
 
@@ -925,13 +894,14 @@ _getNpcLabelPropsByName(displayName) {
   }
 
 
+  // lookCfg: { radius, directions, defaultFacing } plus optional texKey / scale / labelProps overrides.
   makeNPC(x, y, name, lookCfg = null) {
-    const texKey = this._followerTextureKey?.(name) || "";
+    const texKey = lookCfg?.texKey || this._followerTextureKey?.(name) || "";
 
     if (texKey) {
       const spr = this.add.sprite(x, y, texKey, 1);
       spr.setDepth(DEPTH.PLAYER);
-      spr.setScale(this.NPC_SPRITE_SCALE ?? 1);
+      spr.setScale(lookCfg?.scale ?? this.NPC_SPRITE_SCALE ?? 1);
       spr.setOrigin(0.5, 0.8);
 
       const cfg = {
@@ -945,17 +915,7 @@ _getNpcLabelPropsByName(displayName) {
       ensureCharacterAnims(this, texKey, { prefix: texKey, idleOnly: true, directions: cfg.directions });
       playCharacterAnim(spr, texKey, cfg.defaultFacing, false);
 
-      const lp = this._getNpcLabelPropsByName(name) ?? {};
-      const labelColor = this._parseCssColor(lp.namecolor ?? lp.nametagcolor ?? lp.labelcolor, "#e0e0e0");
-      const labelSize = lp.namefontsize ?? lp.nametagfontsize ?? lp.labelfontsize;
-
-      const label = this.addWorldText(
-        x - 10,
-        y + 10,
-        name,
-        this._worldLabelStyle(labelColor, labelSize ? { fontSize: `${Number(labelSize) || 10}px` } : {}),
-        { depth: DEPTH.WORLD_TEXT }
-      );
+      const label = this._makeNpcNameTag(x, y, name, lookCfg?.labelProps);
 
       const npc = {
         rect: spr,
@@ -984,6 +944,69 @@ _getNpcLabelPropsByName(displayName) {
     return { rect, label, name, isSprite: false };
   }
 
+  // Name tag styled by nameColor/nameFontSize from the NPC's own Tiled object (parseProps keys).
+  _makeNpcNameTag(x, y, name, labelProps = null) {
+    const lp = labelProps ?? {};
+    const labelColor = this._parseCssColor(lp.namecolor ?? lp.nametagcolor ?? lp.labelcolor, "#e0e0e0");
+    const labelSize = lp.namefontsize ?? lp.nametagfontsize ?? lp.labelfontsize;
+
+    return this.addWorldText(
+      x - 10,
+      y + 10,
+      name,
+      this._worldLabelStyle(labelColor, labelSize ? { fontSize: `${Number(labelSize) || 10}px` } : {}),
+      { depth: DEPTH.WORLD_TEXT }
+    );
+  }
+
+  /**
+   * Single-direction idle-loop NPC (no facing system).
+   * Expects `texKey` to be a spritesheet with frames.
+   * Returns `{ rect, label, name, isSprite, animKey }` to match existing interactable usage.
+   */
+  makeIdleLoopNPC(x, y, name, texKey, opts = {}) {
+    const animKey = String(opts.animKey ?? `${texKey}_idle`);
+    const frames = Array.isArray(opts.frames) ? opts.frames : [0, 1, 2, 3];
+    const frameRate = Number(opts.frameRate ?? 4);
+    const repeat = Number.isFinite(opts.repeat) ? Number(opts.repeat) : -1;
+
+    const scale = Number(opts.scale ?? 1);
+    const originX = Number(opts.originX ?? 0.5);
+    const originY = Number(opts.originY ?? 0.8);
+    const depth = Number(opts.depth ?? DEPTH.PLAYER);
+
+    if (!this.anims.exists(animKey)) {
+      this.anims.create({
+        key: animKey,
+        frames: frames.map((f) => ({ key: texKey, frame: f })),
+        frameRate,
+        repeat,
+      });
+    }
+
+    const spr = this.add.sprite(x, y, texKey, frames[0]);
+    spr.setDepth(depth);
+    spr.setScale(scale);
+    spr.setOrigin(originX, originY);
+    spr.play(animKey);
+
+    const label = this._makeNpcNameTag(x, y, name, opts.labelProps);
+
+    return {
+      rect: spr,
+      label,
+      labelOffset: { x: -10, y: 10 },
+      name,
+      isSprite: true,
+      animKey,
+    };
+  }
+
+  /** NPC spawned from Tiled or passed to registerSpawnedNpc(), by npcId. */
+  getNpc(npcId) {
+    return this._spawnedNpcsById?.get(String(npcId ?? "").trim()) ?? null;
+  }
+
   addDoorZone(x, y, w, h, labelText, labelX, labelY, prompt, action) {
     const zone = this.add.rectangle(x, y, w, h, 0xffffff, 0.15);
     this.physics.add.existing(zone, true);
@@ -1113,119 +1136,149 @@ _getNpcLabelPropsByName(displayName) {
   }
 
   // -------------------------
-  // Audio helpers (robust)
+  // Tiled NPCs (see systems/TiledNpcs.js)
   // -------------------------
 
-  _audioExists(key) {
-    return !!this.cache?.audio?.exists?.(key);
-  }
-
-  // Accept:
-  //  - "knock" (ASSETS.sfx name) OR
-  //  - "sfx_knock" (already-loaded key)
-  _resolveAudioKey(nameOrKey) {
-    const s = String(nameOrKey ?? "").trim();
-    if (!s) return "";
-
-    if (this._audioExists(s)) return s;
+  _spawnTiledNpcs(layerName) {
+    this._tiledNpcs = [];
+    if (!this.map) return;
 
-    const def = ASSETS.sfx?.[s];
-    const mapped = def?.key ?? "";
-    if (mapped && this._audioExists(mapped)) return mapped;
+    const seen = new Set();
+    for (const obj of this._getObjectLayerObjects(layerName)) {
+      const def = readNpcDef(obj);
+      if (!def.id) continue;
+      if (seen.has(def.id)) {
+        console.warn(`[NPCs] Duplicate npcId "${def.id}" in ${this.scene.key}. Check Tiled object layer "${layerName}".`);
+        continue;
+      }
+      seen.add(def.id);
 
-    return "";
+      if (def.spriteKey && !this.textures.exists(def.spriteKey)) {
+        console.warn(`[NPCs] "${def.name}": texture "${def.spriteKey}" not loaded (ASSETS.spritesheets or spriteUrl).`);
+      }
+      const texKey = this.textures.exists(def.spriteKey) ? def.spriteKey : this._followerTextureKey(def.name);
+
+      const npc =
+        def.idleFrames.length && texKey
+          ? this.makeIdleLoopNPC(def.x, def.y, def.name, texKey, {
+              frames: def.idleFrames,
+              frameRate: def.idleFrameRate,
+              scale: def.scale,
+              labelProps: parseProps(obj),
+            })
+          : this.makeNPC(def.x, def.y, def.name, {
+              texKey,
+              scale: def.scale,
+              radius: def.lookRadius,
+              directions: def.directions,
+              defaultFacing: def.facing,
+              labelProps: parseProps(obj),
+            });
+
+      npc.tiledDef = def;
+      this.registerSpawnedNpc(def.id, npc);
+      this._bindNpcTalk(npc, def);
+      this._tiledNpcs.push(npc);
+    }
+
+    if (!this._tiledNpcs.length) return;
+    this._applyTiledNpcVisibility();
+    subscribe(this, [EVENTS.FLAG_CHANGED, EVENTS.STATE_REPLACED], () => this._applyTiledNpcVisibility());
+  }
+
+  _applyTiledNpcVisibility() {
+    for (const npc of this._tiledNpcs ?? []) {
+      const visible = isNpcVisible(npc.tiledDef, GameState.flags);
+      if (npc.rect?.visible === visible) continue;
+      npc.rect?.setVisible?.(visible);
+      npc.label?.setVisible?.(visible);
+      try {
+        if (npc.rect?.body) npc.rect.body.enable = visible;
+      } catch (_) {}
+    }
   }
 
+  // `interaction` reuses a Tiled interaction as the talk action; `onTalk` names a scene method.
+  _bindNpcTalk(npc, def) {
+    const available = () => npc.rect?.visible === true && !this.isSpawnedNpcMoving(npc);
+    const getPos = () => ({ x: npc.rect.x, y: npc.rect.y });
 
-  _setInteractionDisabled(id, disabled) {
-    const k = String(id ?? "").trim();
-    if (!k) return;
-    if (!GameState.interactions) GameState.interactions = {};
-    if (!GameState.interactions.disabled) GameState.interactions.disabled = {};
-    if (disabled) GameState.interactions.disabled[k] = true;
-    else delete GameState.interactions.disabled[k];
-  }
-
-  _safePlay(nameOrKey, opts = {}) {
-    const key = this._resolveAudioKey(nameOrKey);
-    if (!key) {
-      console.warn(`[Audio] Missing audio key mapping/cache for "${nameOrKey}"`);
-      return false;
+    if (def.interaction) {
+      const it = this.interactables.find((i) => i.id === def.interaction);
+      if (!it) {
+        console.warn(`[NPCs] "${def.name}": interaction "${def.interaction}" not found in ${this.scene.key}.`);
+        return;
+      }
+      const baseEnabled = it.isEnabled;
+      it.getPos = getPos;
+      it.isEnabled = () => available() && (baseEnabled ? baseEnabled() : true);
+      return;
     }
-    this.sound.play(key, opts);
-    return true;
-  }
 
-  _safeAdd(nameOrKey, opts = {}) {
-    const key = this._resolveAudioKey(nameOrKey);
-    if (!key) {
-      console.warn(`[Audio] Missing audio key mapping/cache for "${nameOrKey}"`);
-      return null;
+    if (!def.onTalk) return;
+    const talk = this[def.onTalk];
+    if (typeof talk !== "function") {
+      console.warn(`[NPCs] "${def.name}": onTalk method "${def.onTalk}" missing on ${this.scene.key}.`);
+      return;
     }
-    const snd = this.sound.add(key, opts);
-    // mark as scene-owned for shutdown safety
-    snd.__sceneOwned = true;
-    return snd;
+
+    // Off while a Tiled interaction with the NPC's id is disabled (e.g. addFollower ran).
+    this.interactables.push({
+      id: `__npc_${def.id}_talk`,
+      selectable: true,
+      getPos,
+      maxDist: def.maxDist,
+      prompt: def.prompt || `Press Z to talk to ${def.name}`,
+      isEnabled: () => available() && !isInteractionDisabled(def.id),
+      action: () => talk.call(this, npc),
+    });
   }
 
   // -------------------------
-  // Music ducking during interactions
+  // Audio (scene-owned handles on the game-level AudioManager)
   // -------------------------
 
-  _applyMusicDuck(factor) {
-    const f = clamp01(factor);
-    const sounds = this.sound?.sounds ?? [];
-
-    if (f >= 1) {
-      for (const [snd, v] of this._musicDuckOriginal.entries()) {
-        try {
-          snd.setVolume?.(v);
-        } catch (_) {}
-      }
-      this._musicDuckOriginal.clear();
-      return;
-    }
-
-    for (const snd of sounds) {
-      if (!snd?.isPlaying) continue;
-      if (snd.loop !== true) continue;
+  // `bus` is one of AUDIO_BUSES (systems/Settings.js); opts.volume is the authored volume.
+  _safePlay(nameOrKey, opts = {}, bus = "sfx") {
+    return !!this.audio.play(nameOrKey, { ...opts, bus, owner: this.scene.key });
+  }
 
-      if (!this._musicDuckOriginal.has(snd)) {
-        this._musicDuckOriginal.set(snd, Number(snd.volume ?? 1));
-      }
+  _safeAdd(nameOrKey, opts = {}, bus = "sfx") {
+    return this.audio.add(nameOrKey, { ...opts, bus, owner: this.scene.key });
+  }
 
-      const base = this._musicDuckOriginal.get(snd) ?? 1;
-      snd.setVolume?.(base * f);
-    }
+  // Music ducking during interactions: one named duck reason per interaction id.
+  _duckReason(id) {
+    return `${this.scene.key}:interaction:${id}`;
   }
 
-  _pushMusicDuck(factor) {
-    const f = clamp01(factor);
-    this._musicDuckStack.push(f);
-    this._applyMusicDuck(Math.min(...this._musicDuckStack));
+  _startInteractionDuck(id, factor) {
+    this.audio.duck(this._duckReason(id), factor, { owner: this.scene.key });
   }
 
-  _popMusicDuck() {
-    this._musicDuckStack.pop();
-    if (!this._musicDuckStack.length) {
-      this._applyMusicDuck(1);
-      return;
-    }
-    this._applyMusicDuck(Math.min(...this._musicDuckStack));
+  _endInteractionDuck(id) {
+    this.audio.unduck(this._duckReason(id));
   }
 
   // -------------------------
   // Scene BGM
   // -------------------------
 
-    setSceneMusic(
+  /**
+   * volume/loop/fadeMs default to the track's MUSIC_TRACKS entry (systems/SceneMusic.js),
+   * which also decides resume-from-last-position and scene-pair continuity.
+   * carry=true keeps the track playing through the next scene change; that scene's
+   * setSceneMusic() with the same track continues it instead of restarting.
+   */
+  setSceneMusic(
     nameOrKey,
     {
-      volume = 0.6,
-      loop = true,
-      fadeMs = 600,
+      volume,
+      loop,
+      fadeMs,
       persist = false,
       ignoreOverride = false,
+      carry = false,
     } = {}
   ) {
     const sceneKey = this.scene?.key ?? this.sys?.settings?.key ?? "";
@@ -1236,8 +1289,7 @@ _getNpcLabelPropsByName(displayName) {
       if (override) nameOrKey = override;
     }
 
-    const key = this._resolveAudioKey(nameOrKey);
-    if (!key) {
+    if (!this.audio.resolveKey(nameOrKey)) {
       console.warn(`[SceneMusic] Cannot start: missing key for "${nameOrKey}"`);
       return;
     }
@@ -1249,66 +1301,7 @@ _getNpcLabelPropsByName(displayName) {
       GameState.flags.__sceneMusicOverride[sceneKey] = String(nameOrKey);
     }
 
-    // Already playing same track
-    if (this._sceneMusicKey === key && this._sceneMusic?.isPlaying) return;
-
-    const targetVol = clamp01(volume);
-    const fade = clampInt(fadeMs ?? 0, 0, 5000);
-
-    // No existing music or no fade requested -> hard switch
-    if (!this._sceneMusic || fade <= 0) {
-      this.stopSceneMusic();
-      const snd = this.sound.add(key, { loop: loop === true, volume: targetVol });
-      snd.__sceneOwned = true;
-      snd.play();
-      this._sceneMusic = snd;
-      this._sceneMusicKey = key;
-      return;
-    }
-
-    // Cross-fade old -> new
-    const old = this._sceneMusic;
-    const oldKey = this._sceneMusicKey;
-
-    const next = this.sound.add(key, { loop: loop === true, volume: 0 });
-    next.__sceneOwned = true;
-
-    try {
-      next.play();
-    } catch (e) {
-      console.warn("[SceneMusic] play() failed, falling back to hard switch:", e);
-      try { next.destroy?.(); } catch (_) {}
-      this.stopSceneMusic();
-      const snd = this.sound.add(key, { loop: loop === true, volume: targetVol });
-      snd.__sceneOwned = true;
-      snd.play();
-      this._sceneMusic = snd;
-      this._sceneMusicKey = key;
-      return;
-    }
-
-    this._sceneMusic = next;
-    this._sceneMusicKey = key;
-
-    this.tweens.add({
-      targets: old,
-      volume: 0,
-      duration: fade,
-      onComplete: () => {
-        try {
-          if (this._sceneMusic !== old && oldKey) {
-            old.stop?.();
-            old.destroy?.();
-          }
-        } catch (_) {}
-      },
-    });
-
-    this.tweens.add({
-      targets: next,
-      volume: targetVol,
-      duration: fade,
-    });
+    startSceneMusic(this, nameOrKey, { volume, loop, fadeMs, carry });
   }
 
 
@@ -1319,13 +1312,8 @@ _getNpcLabelPropsByName(displayName) {
     }
   }
 
-  stopSceneMusic() {
-    try {
-      this._sceneMusic?.stop?.();
-      this._sceneMusic?.destroy?.();
-    } catch (_) {}
-    this._sceneMusic = null;
-    this._sceneMusicKey = "";
+  stopSceneMusic({ fadeMs = 0 } = {}) {
+    if (this.audio?.music?.owner === this.scene.key) this.audio.stopMusic({ fadeMs });
   }
 
   // -------------------------
@@ -1363,7 +1351,7 @@ _getNpcLabelPropsByName(displayName) {
           const volPct = p.ambiencevolumepct !== undefined ? Number(p.ambiencevolumepct) / 100 : null;
           const volume = clamp01(volPct ?? vol);
 
-          const snd = this._safeAdd(keyName, { loop: true, volume });
+          const snd = this._safeAdd(keyName, { loop: true, volume }, "ambience");
           if (snd) {
             snd.play();
             this._ambienceByZoneId.set(zoneId, snd);
@@ -1407,228 +1395,9 @@ _getNpcLabelPropsByName(displayName) {
     if (dur <= 0) return;
     const now = this.time.now;
     this._shakeEndAt = Math.max(this._shakeEndAt, now) + dur;
-    this.cameras.main.shake(this._shakeEndAt - now, 0.01, true);
-  }
-
-  _playScaledSfx(sfxName, basePct, stepPct, maxPct, useIndex) {
-    const base = clampInt(basePct ?? 20, 0, 100);
-    const step = clampInt(stepPct ?? 5, 0, 100);
-    const max = clampInt(maxPct ?? 80, 0, 100);
-    const pct = Math.min(max, base + (useIndex - 1) * step);
-    this._safePlay(sfxName, { volume: pct / 100 });
-  }
-
-  _getNumberedKeys(props, baseKey) {
-    const keys = [];
-    if (props[baseKey] !== undefined) keys.push(baseKey);
-    for (let i = 2; i <= 99; i++) {
-      const k = `${baseKey}${i}`;
-      if (props[k] === undefined) break;
-      keys.push(k);
-    }
-    return keys;
-  }
-  _lineIndexFromKey(prefix, key) {
-    const p = String(prefix ?? "");
-    const k = String(key ?? "");
-    if (!p || !k) return 1;
-    if (k === p) return 1;
-    const m = k.match(new RegExp(`^${p}(\\d+)$`));
-    if (!m) return 1;
-    const n = Number(m[1]);
-    return Number.isFinite(n) && n > 0 ? n : 1;
-  }
-
-  _resolveLineSpeaker(props, baseSpeaker, prefix, key) {
-    const p = String(prefix ?? "");
-    const k = String(key ?? "");
-    const n = this._lineIndexFromKey(p, k);
-
-    const direct = String(props[`${k}speaker`] ?? "").trim();
-    if (direct) return direct;
-
-    const numbered = String(props[`${p}${n}speaker`] ?? "").trim();
-    if (numbered) return numbered;
-
-    const group = String(props[`${p}speaker`] ?? "").trim();
-    if (group) return group;
-
-    return String(baseSpeaker ?? "").trim();
+    shakeCamera(this.cameras.main, this._shakeEndAt - now, 0.01, true);
   }
 
-  _appendLineMetaActions(interactionId, props, key, steps) {
-    const id = String(interactionId ?? "").trim();
-    const k = String(key ?? "").trim();
-    if (!id || !k || !Array.isArray(steps)) return;
-
-    const sfxName = String(props[`${k}sfx`] ?? "").trim();
-    const sfxOnce = props[`${k}sfxonce`] === true || String(props[`${k}sfxonce`] ?? "").toLowerCase() === "true";
-    const sfxBase = props[`${k}sfxbase`] !== undefined ? Number(props[`${k}sfxbase`]) : 100;
-
-    const giveItem = String(props[`${k}giveitem`] ?? "").trim();
-    const giveCountRaw = Number(props[`${k}givecount`]);
-    const giveCount = Number.isFinite(giveCountRaw) && giveCountRaw > 0 ? Math.floor(giveCountRaw) : 1;
-    const giveOnce = props[`${k}giveonce`] === true || String(props[`${k}giveonce`] ?? "").toLowerCase() === "true";
-
-    const helpRaw = Number(props[`${k}addhelp`]);
-    const addHelpAmt = Number.isFinite(helpRaw) ? Math.floor(helpRaw) : 0;
-
-    const scoreRaw = Number(props[`${k}addscore`]);
-    const addScoreAmt = Number.isFinite(scoreRaw) ? Math.floor(scoreRaw) : 0;
-
-    const runOnceGuard = (type, extra = "") => {
-      const flag = this._flagKey("__line_effect_once", this.scene.key, id, k, type, extra);
-      if (this._getAnyFlag(flag) === true) return false;
-      this._setAnyFlag(flag, true);
-      return true;
-    };
-
-    if (sfxName) {
-      steps.push({
-        type: "action",
-        run: () => {
-          if (sfxOnce && !runOnceGuard("sfx")) return;
-
-          const persist =
-            props[`${k}sfxpersist`] === true ||
-            String(props[`${k}sfxpersist`] ?? "").toLowerCase() === "true" ||
-            props[`${k}sfxpersistafterdialogue`] === true ||
-            String(props[`${k}sfxpersistafterdialogue`] ?? "").toLowerCase() === "true";
-
-          const stopOnExit =
-            props[`${k}sfxstoponexit`] === undefined
-              ? true
-              : props[`${k}sfxstoponexit`] === true ||
-                String(props[`${k}sfxstoponexit`] ?? "").toLowerCase() === "true";
-
-          const vol = clampInt(sfxBase, 0, 100) / 100;
-          const snd = this._safeAdd(sfxName, { loop: false, volume: vol });
-          if (!snd) return;
-          try { snd.play(); } catch (_) {}
-
-          // Default: stop SFX when dialogue exits, unless overridden.
-          if (!persist && stopOnExit && typeof this.dialogue?.trackSound === "function") {
-            this.dialogue.trackSound(snd, { persistAfterDialogue: false });
-          }
-        },
-      });
-    }
-
-    if (giveItem) {
-      steps.push({
-        type: "action",
-        run: () => {
-          if (giveOnce && !runOnceGuard("giveitem", giveItem)) return;
-          addItem(giveItem, giveCount);
-        },
-      });
-    }
-
-    if (addHelpAmt) {
-      steps.push({
-        type: "action",
-        run: () => {
-          if (!runOnceGuard("addhelp")) return;
-          addHelp(addHelpAmt);
-        },
-      });
-    }
-
-    if (addScoreAmt) {
-      steps.push({
-        type: "action",
-        run: () => {
-          if (!runOnceGuard("addscore")) return;
-          addScore(addScoreAmt);
-        },
-      });
-    }
-  }
-  // -------------------------
-  // Quest-style interaction gating (cross-scene)
-  // -------------------------
-
-  _interactionForceDisabledFlag(sceneKey, interactionId) {
-    return this._flagKey("__int_forced_disabled", String(sceneKey ?? "").trim(), String(interactionId ?? "").trim());
-  }
-
-  _interactionForceEnabledFlag(sceneKey, interactionId) {
-    return this._flagKey("__int_forced_enabled", String(sceneKey ?? "").trim(), String(interactionId ?? "").trim());
-  }
-
-  _isInteractionForcedDisabled(sceneKey, interactionId) {
-    const k = this._interactionForceDisabledFlag(sceneKey, interactionId);
-    return this._getAnyFlag(k) === true;
-  }
-
-  _isInteractionForcedEnabled(sceneKey, interactionId) {
-    const k = this._interactionForceEnabledFlag(sceneKey, interactionId);
-    return this._getAnyFlag(k) === true;
-  }
-
-  _setInteractionForcedDisabled(sceneKey, interactionId, disabled) {
-    const disKey = this._interactionForceDisabledFlag(sceneKey, interactionId);
-    const enKey = this._interactionForceEnabledFlag(sceneKey, interactionId);
-
-    if (disabled) {
-      this._setAnyFlag(disKey, true);
-      this._setAnyFlag(enKey, false);
-    } else {
-      this._setAnyFlag(disKey, false);
-    }
-  }
-
-  _setInteractionForcedEnabled(sceneKey, interactionId, enabled) {
-    const enKey = this._interactionForceEnabledFlag(sceneKey, interactionId);
-    const disKey = this._interactionForceDisabledFlag(sceneKey, interactionId);
-
-    if (enabled) {
-      this._setAnyFlag(enKey, true);
-      this._setAnyFlag(disKey, false);
-    } else {
-      this._setAnyFlag(enKey, false);
-    }
-  }
-
-  _parseInteractionTarget(raw, defaultSceneKey) {
-    const s = String(raw ?? "").trim();
-    if (!s) return null;
-
-    const seps = [":", "|", "/"];
-    for (const sep of seps) {
-      const idx = s.indexOf(sep);
-      if (idx > 0) {
-        const sceneKey = s.slice(0, idx).trim();
-        const id = s.slice(idx + 1).trim();
-        if (sceneKey && id) return { sceneKey, id };
-      }
-    }
-
-    return { sceneKey: String(defaultSceneKey ?? "").trim(), id: s };
-  }
-
-  _flagsAllTrue(flagNames) {
-    for (const f of flagNames) {
-      const k = String(f ?? "").trim();
-      if (!k) continue;
-      if (GameState.flags?.[k] !== true) return false;
-    }
-    return true;
-  }
-
-  _flagsAnyTrue(flagNames) {
-    for (const f of flagNames) {
-      const k = String(f ?? "").trim();
-      if (!k) continue;
-      if (GameState.flags?.[k] === true) return true;
-    }
-    return false;
-  }
-
-
-
-
-
   // -------------------------
   // Interactables
   // -------------------------
@@ -1639,6 +1408,8 @@ _getNpcLabelPropsByName(displayName) {
     if (!objects.length) return;
 
     for (const obj of objects) {
+      if (isPortalObject(obj)) continue;
+
       const props = parseProps(obj);
       const id = String(props.id ?? obj.name ?? "").trim();
       if (!id) continue;
@@ -1680,40 +1451,7 @@ _getNpcLabelPropsByName(displayName) {
         if (npc?.rect) return { x: npc.rect.x, y: npc.rect.y };
         return { x: center.x, y: center.y };
       },
-        isEnabled: () => {
-          const sceneKey = this.scene.key;
-
-          // Cross-scene quest toggles (forced state)
-          if (this._isInteractionForcedDisabled(sceneKey, id)) return false;
-          if (isInteractionDisabled(id)) return false;
-          if (this._isInteractionForcedEnabled(sceneKey, id)) return true;
-
-          // Flag gating
-          const enabledIf = splitCsv(props.enabledifflags ?? props.enabledifflag);
-          if (enabledIf.length && !this._flagsAllTrue(enabledIf)) return false;
-
-          const enabledIfAny = splitCsv(props.enabledifanyflags ?? props.enabledifanyflag);
-          if (enabledIfAny.length && !this._flagsAnyTrue(enabledIfAny)) return false;
-
-          const disabledIf = splitCsv(props.disabledifflags ?? props.disabledifflag);
-          if (disabledIf.length && this._flagsAnyTrue(disabledIf)) return false;
-
-          // If this interaction is tied to a spawned NPC, disable it while the NPC is moving.
-          const npcId = String(props.npcid ?? props.targetnpc ?? props.npc ?? "").trim();
-          if (npcId && this.isSpawnedNpcMoving(npcId)) return false;
-
-          const reqChoiceId = String(props.requireschoiceid ?? props.requireschoice ?? "").trim();
-          const reqChoiceValRaw = props.requireschoicevalue ?? props.requireschoiceval ?? props.requireschoiceindex;
-          if (reqChoiceId) {
-            const want = Number(reqChoiceValRaw);
-            const got = Number(GameState.interactions?.choices?.[reqChoiceId]);
-            if (Number.isFinite(want) && want > 0) return got === want;
-            // If only id is provided, require that *any* choice exists.
-            return Number.isFinite(got) && got > 0;
-          }
-
-          return true;
-        },
+        isEnabled: () => isInteractionEnabled(this._getInteractionHost(), id, props),
         maxDist,
         lookMaxDist,
         lookMinDot,
@@ -1723,6 +1461,156 @@ _getNpcLabelPropsByName(displayName) {
     }
   }
 
+  // -------------------------
+  // Portals (Tiled-declared exits)
+  // -------------------------
+
+  /**
+   * Rectangle objects on the Portals layer (or class=portal anywhere in Interactables):
+   *  - targetScene (required), targetSpawn (Points object in the target map)
+   *  - exitId (default: object name) -> GameState.transition.fromExit
+   *  - mode="press" (Z inside the door, default) | "walk" (fires on entering the rect)
+   *  - label, labelOffsetX/Y (relative to the rect center), prompt
+   *  - requiresItem (csv) + requiresCount, requiresFlags (csv, "!flag" = must be unset), denyDialogue
+   *  - effect / durationMs (see SceneTransitions.js)
+   */
+  _buildPortals(portalLayerName, interactLayerName) {
+    this.portals = [];
+    if (!this.map) return;
+
+    const objects = [
+      ...this._getObjectLayerObjects(portalLayerName),
+      ...this._getObjectLayerObjects(interactLayerName).filter(isPortalObject),
+    ];
+
+    for (const obj of objects) {
+      const props = parseProps(obj);
+      const id = String(props.exitid ?? obj.name ?? "").trim();
+      const targetScene = String(props.targetscene ?? "").trim();
+      if (!id || !targetScene) {
+        console.warn(`[Portals] "${obj.name ?? obj.id}" in ${this.scene.key} needs a name and targetScene.`);
+        continue;
+      }
+      if (this.portals.some((p) => p.id === id)) {
+        console.warn(`[Portals] Duplicate exit id "${id}" in ${this.scene.key}.`);
+        continue;
+      }
+
+      const w = Number(obj.width ?? 0) || 16;
+      const h = Number(obj.height ?? 0) || 16;
+      const x = Number(obj.x ?? 0) + (obj.point === true ? 0 : w / 2);
+      const y = Number(obj.y ?? 0) + (obj.point === true ? 0 : h / 2);
+
+      const portal = {
+        id,
+        targetScene,
+        targetSpawn: String(props.targetspawn ?? "").trim() || null,
+        mode: String(props.mode ?? "press").trim().toLowerCase() === "walk" ? "walk" : "press",
+        x,
+        y,
+        w,
+        h,
+        label: String(props.label ?? "").trim(),
+        prompt: String(props.prompt ?? "").trim() || `Press Z to enter ${targetScene.replace(/Scene$/, "")}`,
+        requiresItems: splitCsv(props.requiresitem),
+        requiresCount: Number(props.requirescount ?? 1) || 1,
+        requiresFlags: splitCsv(props.requiresflags ?? props.requiresflag),
+        denyDialogue: String(props.denydialogue ?? "").trim(),
+        effect: String(props.effect ?? "").trim() || undefined,
+        durationMs: props.durationms !== undefined ? Number(props.durationms) : undefined,
+        armed: false,
+      };
+
+      const labelX = x + Number(props.labeloffsetx ?? -w / 2);
+      const labelY = y + Number(props.labeloffsety ?? -h / 2 - 12);
+
+      if (portal.mode === "press") {
+        this.addDoorZone(x, y, w, h, portal.label, labelX, labelY, portal.prompt, () => this._usePortal(portal));
+      } else {
+        this.add.rectangle(x, y, w, h, 0xffffff, 0.15).setDepth(DEPTH.WORLD_TEXT);
+        if (portal.label) {
+          this.addWorldText(labelX, labelY, portal.label, this._worldLabelStyle("#d0d0d0", { fontSize: "10px" }), {
+            depth: DEPTH.WORLD_TEXT,
+          });
+        }
+      }
+
+      this.portals.push(portal);
+    }
+  }
+
+  _portalRequirementsMet(portal) {
+    for (const item of portal.requiresItems) {
+      if (!hasItem(item, portal.requiresCount)) return false;
+    }
+    for (const raw of portal.requiresFlags) {
+      const negate = raw.startsWith("!");
+      const flag = negate ? raw.slice(1).trim() : raw;
+      if (!flag) continue;
+      if ((GameState.flags?.[flag] === true) === negate) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Override for exits that need scene logic (endings etc). Return true if handled;
+   * the default transition is skipped then.
+   */
+  onPortal(portal) {
+    return false;
+  }
+
+  _usePortal(portal) {
+    if (!portal || isTransitioning(this)) return false;
+
+    if (!this._portalRequirementsMet(portal)) {
+      const deny = portal.denyDialogue || "You can't go there yet.";
+      this.dialogue?.start?.([{ type: "say", speaker: "", text: deny }, { type: "end" }], this.keys);
+      return false;
+    }
+
+    if (this.onPortal(portal) === true) return true;
+
+    return transitionTo(this, portal.targetScene, {
+      exitId: portal.id,
+      spawn: portal.targetSpawn,
+      effect: portal.effect,
+      durationMs: portal.durationMs,
+    });
+  }
+
+  // Walk-in portals only arm once the player has stood outside them, so arriving on
+  // top of one (spawn points often share the door's position) never bounces you back.
+  _updatePortals() {
+    if (!this.portals?.length || !this.player) return;
+    const px = this.player.x;
+    const py = this.player.y;
+
+    for (const portal of this.portals) {
+      if (portal.mode !== "walk") continue;
+
+      const inside = pointInRect(px, py, portal.x, portal.y, portal.w, portal.h);
+      if (!inside) {
+        portal.armed = true;
+        continue;
+      }
+      if (!portal.armed) continue;
+
+      portal.armed = false;
+      if (this._usePortal(portal)) return;
+
+      // Denied: step back out so it re-arms instead of firing every frame.
+      const prev = this._prevPlayerPos;
+      if (prev) {
+        this.player.x = prev.x;
+        this.player.y = prev.y;
+        this.player.body?.reset?.(prev.x, prev.y);
+      }
+      portal.armed = true;
+      return;
+    }
+  }
+
   // -------------------------
   // Tile removal persistence
   // -------------------------
@@ -1800,17 +1688,6 @@ _getNpcLabelPropsByName(displayName) {
   // Followers + collider removal
   // -------------------------
 
-  _setFollowerFlag(name, enabled) {
-    const n = String(name ?? "").trim().toLowerCase();
-    if (!n) return;
-    if (n === "saga") GameState.flags.sagaJoined = !!enabled;
-    else if (n === "aloise") GameState.flags.aloiseFollowing = !!enabled;
-    else {
-      GameState.flags[`${n}joined`] = !!enabled;
-      GameState.flags[`${n}following`] = !!enabled;
-    }
-  }
-
   _followerTextureKey(name) {
     const n = String(name ?? "").trim().toLowerCase();
     if (!n) return "";
@@ -1916,823 +1793,79 @@ _getNpcLabelPropsByName(displayName) {
     this._setAnyFlag(this._colliderRemovedFlag(this.scene.key, key), true);
   }
 
-  _hasFollower(name) {
-    const n = String(name ?? "").trim().toLowerCase();
-    if (!n) return false;
-    if (n === "saga") return GameState?.flags?.sagaJoined === true;
-    if (n === "aloise") return GameState?.flags?.aloiseFollowing === true;
-    // generic: allow flags like "<name>Joined" or "<name>Following"
-    const joinedKey = `${n}joined`;
-    const followingKey = `${n}following`;
-    return GameState?.flags?.[joinedKey] === true || GameState?.flags?.[followingKey] === true;
-  }
-
-  _selectDialogueVariantPrefix(props, basePrefix) {
-    // basePrefix examples: "dialogue", "postdialogue", "choice1postdialogue"
-    const hasSaga = this._hasFollower("Saga");
-    const hasAloise = this._hasFollower("Aloise");
-
-    if (hasSaga && hasAloise) {
-      const p = `bothfollowers${basePrefix}`;
-      if (this._getNumberedKeys(props, p).length) return p;
-    }
-    if (hasSaga) {
-      const p = `sagafollower${basePrefix}`;
-      if (this._getNumberedKeys(props, p).length) return p;
-    }
-    if (hasAloise) {
-      const p = `aloisefollower${basePrefix}`;
-      if (this._getNumberedKeys(props, p).length) return p;
-    }
-    return basePrefix;
-  }
-
-  _selectPromptVariant(props, basePromptKey) {
-    const hasSaga = this._hasFollower("Saga");
-    const hasAloise = this._hasFollower("Aloise");
-
-    if (hasSaga && hasAloise) {
-      const v = String(props[`bothfollowers${basePromptKey}`] ?? "").trim();
-      if (v) return v;
-    }
-    if (hasSaga) {
-      const v = String(props[`sagafollower${basePromptKey}`] ?? "").trim();
-      if (v) return v;
-    }
-    if (hasAloise) {
-      const v = String(props[`aloisefollower${basePromptKey}`] ?? "").trim();
-      if (v) return v;
-    }
-    return String(props[basePromptKey] ?? "").trim();
-  }
-  _buildDialogueScriptFromPrefix(props, baseSpeaker, prefix, interactionId = null) {
-    const p = String(prefix ?? "").trim();
-    if (!p) return [];
-    const keys = this._getNumberedKeys(props, p);
-    const steps = [];
-
-    for (const k of keys) {
-      const text = String(props[k] ?? "").trim();
-      if (!text) continue;
-
-      this._appendLineMetaActions(interactionId, props, k, steps);
-
-      const speaker = this._resolveLineSpeaker(props, baseSpeaker, p, k);
-      steps.push({ type: "say", speaker, text });
-    }
-
-    // Support single unnumbered property even if _getNumberedKeys missed it (defensive)
-    if (!keys.length) {
-      const text = String(props[p] ?? "").trim();
-      if (text) {
-        this._appendLineMetaActions(interactionId, props, p, steps);
-        const speaker = this._resolveLineSpeaker(props, baseSpeaker, p, p);
-        steps.push({ type: "say", speaker, text });
-      }
-    }
-
-    return steps;
-  }
-  _buildSequenceScriptFromKeys(keys, props, baseSpeaker, startIndex1 = 1, endIndex1 = null, interactionId = null) {
-    const list = Array.isArray(keys) ? keys : [];
-    if (!list.length) return [];
-    const start = Math.max(1, Number(startIndex1) || 1);
-    const end =
-      endIndex1 == null ? list.length : Math.max(start, Math.min(list.length, Number(endIndex1) || list.length));
-
-    const slice = list.slice(start - 1, end);
-    const steps = [];
-
-    for (const k of slice) {
-      const text = String(props[k] ?? "").trim();
-      if (!text) continue;
-
-      // k already encodes its prefix; resolve prefix by stripping trailing digits
-      const prefix = String(k).replace(/\d+$/, "");
-
-      this._appendLineMetaActions(interactionId, props, k, steps);
-      const speaker = this._resolveLineSpeaker(props, baseSpeaker, prefix, k);
-      steps.push({ type: "say", speaker, text });
-    }
-
-    return steps;
-  }
-
-
-  // -------------------------
-  // Post-help dialogue selection
-  // -------------------------
-
-  _postHelpedKey(props) {
-    const k = String(props.posthelpedname ?? props.markhelped ?? props.speaker ?? "").trim();
-    return k || null;
-  }
-
   // -------------------------
-  // Main interaction runner
+  // Interaction runtime host
   // -------------------------
 
-  _runTiledInteraction(obj) {
-    const props = parseProps(obj);
-    const id = String(props.id ?? obj?.name ?? "").trim();
-    const isTrigger = props.autofire === true || String(props.trigger ?? "").toLowerCase() === "true";
-    if (!id) return;
-    if (isInteractionDisabled(id)) return;
-
-    // Requirement gating:
-    // - By default, once an interaction is "helped"/completed, skip requiresItem checks so it doesn't relock.
-    // - Optionally, requiresItemOnce only checks on the very first interaction use.
-    const helpedKeyPre = this._postHelpedKey(props);
-    const isAlreadyHelped = helpedKeyPre ? isHelped(helpedKeyPre) : false;
-
-    const requireOnce =
-      props.requiresitemonce === true || String(props.requiresitemonce ?? "").toLowerCase() === "true";
-    const currentUses = Number(GameState?.interactions?.counts?.[id] ?? 0) || 0;
-
-    const skipRequiresIfHelped =
-      props.requiresitemskipifhelped === undefined
-        ? true
-        : props.requiresitemskipifhelped === true ||
-          String(props.requiresitemskipifhelped ?? "").toLowerCase() === "true";
-
-    // Persist "requirements satisfied" so denyDialogue can't relock later (e.g., if the key was consumed).
-    const reqSatisfiedFlag = this._flagKey("__req_satisfied", this.scene.key, id);
-    const reqSatisfiedAlready = this._getAnyFlag(reqSatisfiedFlag) === true;
-
-    const shouldCheckRequires = !reqSatisfiedAlready && !(skipRequiresIfHelped && isAlreadyHelped) && !(requireOnce && currentUses > 0);
-
-    if (shouldCheckRequires) {
-      for (const item of splitCsv(props.requiresitem)) {
-        if (!hasItem(item)) {
-          const deny = String(props.denydialogue ?? "You can't do that yet.").trim();
-          this.dialogue.start([{ type: "say", speaker: "", text: deny }, { type: "end" }], this.keys);
-          return;
+  // Adapter for systems/InteractionRuntime.js: the runtime owns the property
+  // semantics + GameState, this object is everything it needs from the world.
+  _getInteractionHost() {
+    if (this._interactionHost) return this._interactionHost;
+
+    this._interactionHost = {
+      sceneKey: this.scene.key,
+      startDialogue: (script, onComplete = null) => this.dialogue.start(script, this.keys, onComplete),
+      delay: (ms, fn) => this.time.delayedCall(ms, fn),
+      shake: (ms) => this._stackShake(ms),
+      playSfx: (name, { volume } = {}) => this._safePlay(name, { volume }),
+      playLineSfx: (name, { volume, stopOnDialogueEnd = true } = {}) => {
+        const snd = this._safeAdd(name, { loop: false, volume });
+        if (!snd) return;
+        try { snd.play(); } catch (_) {}
+        if (stopOnDialogueEnd && typeof this.dialogue?.trackSound === "function") {
+          this.dialogue.trackSound(snd, { persistAfterDialogue: false });
         }
-      }
-    
-
-      // Requirements passed at least once; remember so I never show denyDialogue for this interaction again.
-      this._setAnyFlag(reqSatisfiedFlag, true);
-    }
-
-    const wantsDuck =
-      props.mutemusic === true ||
-      String(props.mutemusic ?? "").toLowerCase() === "true" ||
-      props.duckmusic === true ||
-      String(props.duckmusic ?? "").toLowerCase() === "true";
-
-    const duckFactor = props.duckmusicfactor !== undefined ? Number(props.duckmusicfactor) : 0;
-
-    const startDuck = () => {
-      if (wantsDuck) this._pushMusicDuck(duckFactor);
-    };
-
-    const endDuck = () => {
-      if (wantsDuck) this._popMusicDuck();
-    };
-
-    const helpedKey = this._postHelpedKey(props);
-    if (helpedKey && isHelped(helpedKey)) {
-      const speaker = String(props.speaker ?? "").trim();
-
-      const sequenceDialogue =
-        props.sequencedialogue === true || String(props.sequencedialogue ?? "").toLowerCase() === "true";
-
-      // Prompt override (supports follower variants + choice variants)
-      const lastChoice = Number(GameState?.interactions?.choices?.[id] ?? 0) || 0;
-
-      // Determine which post-dialogue prefix to use:
-      //  1) choiceNPostDialogue* (if last choice exists)
-      //  2) postDialogue* fallback
-      let basePrefix = "postdialogue";
-      if (lastChoice > 0) {
-        const cand = `choice${lastChoice}postdialogue`;
-        if (this._getNumberedKeys(props, cand).length) basePrefix = cand;
-      }
-
-      // Apply follower variants: bothFollowers*, sagaFollower*, aloiseFollower*
-      const prefix = this._selectDialogueVariantPrefix(props, basePrefix);
-
-      // Prompt keys: choiceNPostPrompt or postPrompt, with follower variants too
-      let basePromptKey = "postprompt";
-      if (lastChoice > 0) {
-        const candPromptKey = `choice${lastChoice}postprompt`;
-        const candPrompt = String(props[candPromptKey] ?? "").trim();
-        if (candPrompt) basePromptKey = candPromptKey;
-      }
-      const postPrompt = this._selectPromptVariant(props, basePromptKey);
-
-      if (postPrompt) {
+      },
+      duckMusic: (id, factor) => this._startInteractionDuck(id, factor),
+      unduckMusic: (id) => this._endInteractionDuck(id),
+      setMusic: (nameOrKey, opts) => this.setSceneMusic(nameOrKey, opts),
+      clearMusicOverride: () => this._clearSceneMusicOverride(),
+      setPrompt: (id, text) => {
         const it = this.interactables.find((x) => x.id === id);
-        if (it) it.prompt = postPrompt;
-      }
-
-      let script = this._buildDialogueScriptFromPrefix(props, speaker, prefix, id);
-      if (!sequenceDialogue && script.length) {
-        // Progressive post-dialogue: 1st visit -> line1, 2nd -> line2, ... then keep last.
-        const k = `__postdlg_count|${this.scene.key}|${id}|${prefix}`;
-        if (!GameState.flags) GameState.flags = {};
-        const n = (Number(GameState.flags[k] ?? 0) || 0) + 1;
-        GameState.flags[k] = n;
-
-        const idx = Math.min(n, script.length) - 1;
-        script = [script[idx]];
-      }
-
-      if (script.length || hasFollowerDialogueProps(props)) {
-        appendFollowerDialogue(this, props, script, { basePrefix: "followdialogue" });
-        script.push({ type: "end" });
-
-        startDuck();
-        this.dialogue.start(script, this.keys, () => endDuck());
-      }
-      return;
-    }
-
-    const useIndex = incrementInteractionCount(id);
-
-    const preName = props.presfx ? String(props.presfx).trim() : "";
-    const preOnce = props.presfxonce === true;
-    const preDelay = clampInt(props.presfxdelayms ?? 0, 0, 3000);
-    const preBase = clampInt(props.presfxbase ?? 100, 0, 100);
-    const allowPre = !preName || (!preOnce || useIndex === 1);
-
-    const runMain = () => {
-      this._stackShake(props.shake ?? 0);
-
-      if (props.sfx) {
-        const once = props.sfxonce === true;
-        const uses = clampInt(props.sfxuses ?? 0, 0, 999);
-        const allow = (!once || useIndex === 1) && !(uses > 0 && useIndex > uses);
-        if (allow) this._playScaledSfx(props.sfx, props.sfxbase, props.sfxstep, props.sfxmax, useIndex);
-      }
-
-      const choicePrompt = String(props.choiceprompt ?? "").trim();
-      const choice1Text = String(props.choice1text ?? "").trim();
-      if (choicePrompt && choice1Text) {
-        this._runChoiceInteraction(id, props);
-        return;
-      }
-
-      const speaker = String(props.speaker ?? "").trim();
-      const loop = props.loopdialogue === true;
-
-      const sequenceDialogue =
-        props.sequencedialogue === true || String(props.sequencedialogue ?? "").toLowerCase() === "true";
-
-      const dialoguePrefix = this._selectDialogueVariantPrefix(props, "dialogue");
-      const keys = this._getNumberedKeys(props, dialoguePrefix);
-      const endN = keys.length ? clampInt(props.enddialogue ?? keys.length, 1, keys.length) : 0;
-
-      if (!keys.length || props.nodialogue === true) {
-  if (hasFollowerDialogueProps(props)) {
-    const script = [];
-    appendFollowerDialogue(this, props, script, { basePrefix: "followdialogue" });
-    script.push({ type: "end" });
-
-    startDuck();
-    this.dialogue.start(script, this.keys, () => endDuck());
-    return;
-  }
-
-
-      // Replace main dialogue with follower dialogue (pure talk) when followers are present.
-      const replaceMainWithFollower =
-        (isTrigger ||
-          props.replacewithfollower === true ||
-          String(props.replacewithfollower ?? "").toLowerCase() === "true") &&
-        hasFollowerDialogueProps(props);
-
-      if (replaceMainWithFollower) {
-        const script = [];
-        appendFollowerDialogue(this, props, script, { basePrefix: "followdialogue" });
-
-        if (script.length) {
-          script.push({ type: "end" });
-          startDuck();
-          this.dialogue.start(script, this.keys, () => endDuck());
-          return;
-        }
-      }
-
-  this._applyInteractionEffects(id, props);
-  return;
-}
-
-
-      let lineIndex = useIndex;
-      if (loop) lineIndex = ((lineIndex - 1) % endN) + 1;
-      else lineIndex = Math.min(lineIndex, endN);
-
-      if (sequenceDialogue && !loop) {
-        const script = this._buildSequenceScriptFromKeys(keys, props, speaker, lineIndex, endN, id);
-        const onComplete = () => this._applyInteractionEffects(id, props);
-
-        if (!script.length) {
-          this._applyInteractionEffects(id, props);
-          return;
-        }
-
-        script.push({ type: "end" });
-
-        startDuck();
-        this.dialogue.start(script, this.keys, () => {
-          onComplete();
-          endDuck();
-        });
-        return;
-      }
-
-      const key = lineIndex === 1 ? dialoguePrefix : `${dialoguePrefix}${lineIndex}`;
-      const textLine = String(props[key] ?? props[dialoguePrefix] ?? "").trim();
-      const isFinal = !loop && lineIndex === endN;
-
-      const onComplete = () => {
-        if (!isFinal) return;
-        this._applyInteractionEffects(id, props);
-      };
-
-      startDuck();
-      const script = [];
-      this._appendLineMetaActions(id, props, key, script);
-      const lineSpeaker = this._resolveLineSpeaker(props, speaker, dialoguePrefix, key);
-      script.push({ type: "say", speaker: lineSpeaker, text: textLine });
-      appendFollowerDialogue(this, props, script, { basePrefix: "followdialogue" });
-      script.push({ type: "end" });
-      this.dialogue.start(script, this.keys, () => {
-        onComplete();
-        endDuck();
-      });
-    };
-
-    if (allowPre && preName) {
-      this._safePlay(preName, { volume: preBase / 100 });
-      if (preDelay > 0) this.time.delayedCall(preDelay, runMain);
-      else runMain();
-    } else {
-      runMain();
-    }
-  }
-  _runChoiceInteraction(id, props) {
-    const baseSpeaker = String(props.speaker ?? "").trim();
-
-    const sequenceDialogue =
-      props.sequencedialogue === true || String(props.sequencedialogue ?? "").toLowerCase() === "true";
-
-    // Support follower variants for the intro "dialogue*" too.
-    const dialoguePrefix = this._selectDialogueVariantPrefix(props, "dialogue");
-    const introKeys = this._getNumberedKeys(props, dialoguePrefix);
-
-    const prompt = String(props.choiceprompt ?? "Choose").trim();
-
-    const script = [];
-
-    // Intro lines (dialogue, dialogue2, ...) with per-line speaker + meta actions.
-    if (introKeys.length) {
-      if (sequenceDialogue) {
-        script.push(...this._buildSequenceScriptFromKeys(introKeys, props, baseSpeaker, 1, introKeys.length, id));
-      } else {
-        for (const k of introKeys) {
-          const t = String(props[k] ?? "").trim();
-          if (!t) continue;
-
-          this._appendLineMetaActions(id, props, k, script);
-          const sp = this._resolveLineSpeaker(props, baseSpeaker, dialoguePrefix, k);
-          script.push({ type: "say", speaker: sp, text: t });
-        }
-      }
-    } else {
-      const intro = String(props[dialoguePrefix] ?? props.dialogue ?? "").trim();
-      if (intro) {
-        const k = props[dialoguePrefix] !== undefined ? dialoguePrefix : "dialogue";
-        this._appendLineMetaActions(id, props, k, script);
-        const sp = this._resolveLineSpeaker(props, baseSpeaker, dialoguePrefix, k);
-        script.push({ type: "say", speaker: sp, text: intro });
-      }
-    }
-
-    const choiceIndex = script.length;
-    script.push({ type: "choice", prompt, options: [] });
-
-    const options = [];
-
-    for (let i = 1; i <= 6; i++) {
-      const txt = String(props[`choice${i}text`] ?? "").trim();
-      if (!txt) continue;
-
-      const baseChoicePrefix = `choice${i}dialogue`;
-      const choicePrefix = this._selectDialogueVariantPrefix(props, baseChoicePrefix);
-      const dlgKeys = this._getNumberedKeys(props, choicePrefix);
-
-      const start = script.length;
-
-      if (dlgKeys.length) {
-        for (const k of dlgKeys) {
-          const t = String(props[k] ?? "").trim();
-          if (!t) continue;
-
-          this._appendLineMetaActions(id, props, k, script);
-          const sp = this._resolveLineSpeaker(props, baseSpeaker, choicePrefix, k);
-          script.push({ type: "say", speaker: sp, text: t });
-        }
-      } else {
-        const key = props[choicePrefix] !== undefined ? choicePrefix : baseChoicePrefix;
-        const t = String(props[key] ?? "").trim();
-        if (t) {
-          this._appendLineMetaActions(id, props, key, script);
-          const sp = this._resolveLineSpeaker(props, baseSpeaker, choicePrefix, key);
-          script.push({ type: "say", speaker: sp, text: t });
-        }
-      }
-
-      script.push({ type: "end" });
-
-      options.push({
-        text: txt,
-        next: start,
-        onSelect: () => {
-          this._pendingChoiceEffect = () => this._applyChoiceEffects(id, props, i);
-        },
-      });
-    }
-
-    script[choiceIndex] = { type: "choice", prompt, options };
-
-    // Duck music during choice dialogues if desired.
-    const wantsDuck =
-      props.mutemusic === true ||
-      String(props.mutemusic ?? "").toLowerCase() === "true" ||
-      props.duckmusic === true ||
-      String(props.duckmusic ?? "").toLowerCase() === "true";
-
-    const duckFactor = props.duckmusicfactor !== undefined ? Number(props.duckmusicfactor) : 0;
-    if (wantsDuck) this._pushMusicDuck(duckFactor);
-
-    const onComplete = () => {
-      const fn = this._pendingChoiceEffect;
-      this._pendingChoiceEffect = null;
-      fn?.();
-    };
-
-    this.dialogue.start(script, this.keys, () => {
-      onComplete();
-      if (wantsDuck) this._popMusicDuck();
-    });
-  }
-
-
-  _applyChoiceEffects(id, props, i) {
-    const helped = String(props[`choice${i}markhelped`] ?? "").trim();
-    if (helped) markHelped(helped, true);
-
-    // Persist last choice (used for choice-specific post-dialogue)
-    if (!GameState.interactions.choices) GameState.interactions.choices = {};
-    GameState.interactions.choices[id] = i;
-
-
-    // Choice-level FX (reusable across interactions)
-    // Properties supported (case-insensitive via parseProps):
-    //  - choiceNSfx: string (sound name or key; same resolver as sfx)
-    //  - choiceNSfxOnce: bool (play only the first time this choice is selected)
-    //  - choiceNSfxUses: int (optional limit; play only for first N selections)
-    //  - choiceNSfxBase/choiceNSfxStep/choiceNSfxMax: ints (0-100) volume scaling
-    //  - choiceNShake: int (ms) camera shake duration, same as "shake"
-    if (!GameState.flags) GameState.flags = {};
-    const choiceFxKey = `__choicefx__${this.scene.key}__${id}__${i}`;
-    const choiceFxCount = (Number(GameState.flags[choiceFxKey] ?? 0) || 0) + 1;
-    GameState.flags[choiceFxKey] = choiceFxCount;
-
-    const choiceShake = props[`choice${i}shake`];
-    if (choiceShake !== undefined) this._stackShake(choiceShake);
-
-    const choiceSfx = String(props[`choice${i}sfx`] ?? "").trim();
-    if (choiceSfx) {
-      const once = props[`choice${i}sfxonce`] === true;
-      const uses = clampInt(props[`choice${i}sfxuses`] ?? 0, 0, 999);
-      const allow = (!once || choiceFxCount === 1) && !(uses > 0 && choiceFxCount > uses);
-      if (allow) {
-        this._playScaledSfx(
-          choiceSfx,
-          props[`choice${i}sfxbase`],
-          props[`choice${i}sfxstep`],
-          props[`choice${i}sfxmax`],
-          choiceFxCount
-        );
-      }
-    }
-
-    const addFollower = String(props[`choice${i}addfollower`] ?? "").trim();
-    const removeFollower = String(props[`choice${i}removefollower`] ?? "").trim();
-
-    if (addFollower) {
-      // Remove the static NPC by npcId (if your scene registered it)
-      const npcId = String(props.npcid ?? addFollower ?? "").trim();
-      if (npcId) {
-        GameState.flags[`__npcRemoved__${npcId}`] = true;
-
+        if (it) it.prompt = text;
+      },
+      dropInteractable: (id) => {
+        this.interactables = this.interactables.filter((it) => it.id !== id);
+      },
+      removeTileUnder: (id, layerName) => {
+        const it = this.interactables.find((x) => x.id === id);
+        const c = it?.center ?? objCenter(it?._tiledObj);
+        if (!c) return false;
+        this._removeTileAtWorld(c.x, c.y, layerName);
+        return true;
+      },
+      setLayerVisible: (layerName, visible) => this.layers?.[layerName]?.setVisible?.(visible),
+      removeCollider: (id) => this._removeColliderById(id),
+      isNpcMoving: (npcId) => this.isSpawnedNpcMoving(npcId),
+      despawnNpc: (npcId) => {
         const spawned = this._spawnedNpcsById?.get?.(npcId);
         try {
           spawned?.rect?.destroy?.();
           spawned?.label?.destroy?.();
         } catch (_) {}
-        try {
-          this._spawnedNpcsById?.delete?.(npcId);
-        } catch (_) {}
-      }
-
-      this._setFollowerFlag(addFollower, true);
-
-      // Removing interaction so no duplicates
-      disableInteraction(id);
-      this.interactables = this.interactables.filter((it) => it.id !== id);
-
-      // Best-effort cleanup for older scene code paths
-      this._hideOrDestroyNpcByName(addFollower);
-
-      this.syncFollowersFromGameState();
-    }
-
-    if (removeFollower) {
-      this._setFollowerFlag(removeFollower, false);
-      this.syncFollowersFromGameState();
-    }
-
-    // HelpScore (supports negative numbers). Apply once per (interactionId, choiceIndex).
-    const hsRaw = props[`choice${i}helpscore`];
-    if (hsRaw !== undefined) {
-      const hsKey = `__choicehs__${this.scene.key}__${id}__${i}`;
-      const already = !!GameState.flags?.[hsKey];
-      if (!already) {
-        if (!GameState.flags) GameState.flags = {};
-        GameState.flags[hsKey] = true;
-
-        const delta = Number(hsRaw);
-        if (Number.isFinite(delta) && delta !== 0) {
-          GameState.helpScore = Number(GameState.helpScore) || 0;
-          GameState.helpScore += delta;
-        }
-      }
-    }
-
-    // Tiled props:
-    //  - choiceNTargetNpc / choiceNTargetNpcId
-    //  - choiceNRotateNpcDeg (180 => vertical flip)
-    //  - choiceNFlipNpcY (true/false) overrides rotate
-    const targetNpcRaw = String(
-      props[`choice${i}targetnpc`] ?? props[`choice${i}targetnpcid`] ?? props[`choice${i}target`] ?? ""
-    ).trim();
-
-    const flipNpcYRaw = props[`choice${i}flipnpcy`];
-    const hasFlipNpcY = flipNpcYRaw !== undefined && String(flipNpcYRaw).trim() !== "";
-    const flipNpcY = String(flipNpcYRaw).toLowerCase() === "true" || flipNpcYRaw === true;
-
-    const rotDegRaw = props[`choice${i}rotatenpcdeg`];
-    const rotDeg = rotDegRaw !== undefined ? Number(rotDegRaw) : NaN;
-
-    if (targetNpcRaw) {
-      const npcObj = this._getSpawnedNpcByIdCaseInsensitive(targetNpcRaw);
-      if (!npcObj) {
-        console.warn(`[ChoiceEffects] Target NPC not registered: "${targetNpcRaw}" (scene ${this.scene.key}).`);
-      } else {
-        const doFlip = hasFlipNpcY ? flipNpcY : (Number.isFinite(rotDeg) && Math.abs(rotDeg) % 360 === 180);
-        if (doFlip) {
-          this._applyNpcFlipY(npcObj, true);
-          this._setAnyFlag(this._npcFlipYFlag(this.scene.key, targetNpcRaw), true);
-        }
-      }
-    }
-
-    // Tiled properties supported (case-insensitive via parseProps):
-    //  - npcId: which spawned NPC to move (defaults to props.id)
-    //  - choiceNMoveToPoint: point marker name in the "Points" layer
-    const movePoint =
-      String(props[`choice${i}movetopoint`] ?? props[`choice${i}movetomarker`] ?? props[`choice${i}moveto`] ?? "").trim();
-    if (movePoint) {
-      const npcId = String(props.npcid ?? props.id ?? "").trim();
-      if (npcId) this.moveSpawnedNpcToPoint(npcId, movePoint, { speed: Number(props[`choice${i}movespeed`] ?? 18) || 18 });
-    }
-
-
-    for (const lname of splitCsv(props[`choice${i}showlayer`] ?? props[`choice${i}showlayers`])) {
-      const layer = this.layers?.[lname];
-      layer?.setVisible?.(true);
-      setLayerHidden(this.scene.key, lname, false);
-    }
-
-    for (const lname of splitCsv(props[`choice${i}hidelayer`] ?? props[`choice${i}hidelayers`])) {
-      const layer = this.layers?.[lname];
-      layer?.setVisible?.(false);
-      setLayerHidden(this.scene.key, lname, true);
-    }
-
-    for (const cid of splitCsv(props[`choice${i}removecollider`] ?? props[`choice${i}removecolliders`])) {
-      this._removeColliderById(cid);
-    }
-
-    const postPrompt = String(props.postprompt ?? "").trim();
-    if (postPrompt) {
-      const it = this.interactables.find((x) => x.id === id);
-      if (it) it.prompt = postPrompt;
-    }
-
-    const choicePostPrompt = String(props[`choice${i}postprompt`] ?? "").trim();
-    if (choicePostPrompt) {
-      const it = this.interactables.find((x) => x.id === id);
-      if (it) it.prompt = choicePostPrompt;
-    }
-
-    // Enable/disable other interactions based on the chosen option.
-    // Properties:
-    //  - choiceNEnableInteractions: CSV of interaction ids to enable
-    //  - choiceNDisableInteractions: CSV of interaction ids to disable
-    for (const eid of splitCsv(props[`choice${i}enableinteractions`] ?? props[`choice${i}enableinteraction`])) {
-      this._setInteractionDisabled(eid, false);
-    }
-    for (const did of splitCsv(props[`choice${i}disableinteractions`] ?? props[`choice${i}disableinteraction`])) {
-      this._setInteractionDisabled(did, true);
-    }
-
-  
-    // -------------------------
-    // Optional: move a spawned NPC after a choice (waypoints or single point)
-    // Tiled properties supported (per choice i):
-    //  - choice{i}Waypoints: "pt1,pt2,pt3"  (names of Points layer point markers)
-    //  - choice{i}MoveToPoint: "some_point_name"
-    //  - choice{i}MoveSpeed: number (default 40)
-    //  - choice{i}WaypointLayer: layer name (default "Points")
-    // NOTE: the interactable should also have npcId (e.g. "Glad") and the scene must call registerSpawnedNpc(npcId, npcObj).
-    const moveNpcId = String(props.npcid ?? props.id ?? "").trim();
-    const wpCsv = String(props[`choice${i}waypoints`] ?? props[`choice${i}movewaypoints`] ?? "").trim();
-    const moveToPoint = String(props[`choice${i}movetopoint`] ?? props[`choice${i}movetarget`] ?? "").trim();
-    const wpLayer = String(props[`choice${i}waypointlayer`] ?? "Points").trim() || "Points";
-    const moveSpeed = props[`choice${i}movespeed`] !== undefined ? Number(props[`choice${i}movespeed`]) : 40;
-
-    if (moveNpcId) {
-      if (wpCsv) {
-        this.moveSpawnedNpcAlongWaypoints(moveNpcId, wpCsv, { pointLayer: wpLayer, speed: moveSpeed });
-      } else if (moveToPoint) {
-        this.moveSpawnedNpcToPoint(moveNpcId, moveToPoint, { pointLayer: wpLayer, speed: moveSpeed, useTween: false });
-      }
-    }
-
-}
-
-  _applyInteractionEffects(id, props) {
-        // -------------------------
-    // Music switching (interaction effects)
-    // Tiled props:
-    //   setMusic (string), setMusicOnce (string)
-    //   setMusicPersist (bool), clearMusicPersist (bool)
-    // Optional:
-    //   setMusicFadeMs (int), setMusicVolume (float), setMusicLoop (bool)
-    // -------------------------
-    const clearPersist =
-      props.clearmusicpersist === true ||
-      String(props.clearmusicpersist ?? "").toLowerCase() === "true";
-
-    if (clearPersist) this._clearSceneMusicOverride();
-
-    const setOnceKey = String(props.setmusiconce ?? "").trim();
-    const setKey = String(props.setmusic ?? "").trim();
-    const pickKey = setOnceKey || setKey;
-
-    if (pickKey) {
-      const persist =
-        props.setmusicpersist === true ||
-        String(props.setmusicpersist ?? "").toLowerCase() === "true";
-
-      const fadeMs = clampInt(props.setmusicfadems ?? 600, 0, 5000);
-
-      const volRaw = Number(props.setmusicvolume);
-      const volume = Number.isFinite(volRaw) ? volRaw : 0.6;
-
-      const loopRaw = props.setmusicloop;
-      const loop =
-        loopRaw === undefined
-          ? true
-          : loopRaw === true || String(loopRaw).toLowerCase() === "true";
-
-      if (setOnceKey) {
-        const onceFlag = this._flagKey("__set_music_once", this.scene.key, id, pickKey);
-        if (this._getAnyFlag(onceFlag) !== true) {
-          this.setSceneMusic(pickKey, { volume, loop, fadeMs, persist });
-          this._setAnyFlag(onceFlag, true);
-        }
-      } else {
-        this.setSceneMusic(pickKey, { volume, loop, fadeMs, persist });
-      }
-    }
-
-    const tileLayer = String(props.tileremovelayer ?? "").trim();
-    if (tileLayer) {
-      const it = this.interactables.find((x) => x.id === id);
-      const c = it?.center ?? objCenter(it?._tiledObj);
-      if (c) {
-        this._removeTileAtWorld(c.x, c.y, tileLayer);
-        this._setAnyFlag(this._tileRemovedFlag(this.scene.key, id), true);
-      }
-    }
-
-    for (const lname of splitCsv(props.hidelayer ?? props.hidelayers)) {
-      const layer = this.layers?.[lname];
-      layer?.setVisible?.(false);
-      setLayerHidden(this.scene.key, lname, true);
-    }
-
-    for (const lname of splitCsv(props.showlayer ?? props.showlayers)) {
-      const layer = this.layers?.[lname];
-      layer?.setVisible?.(true);
-      setLayerHidden(this.scene.key, lname, false);
-    }
-
-    for (const item of splitCsv(props.giveitem)) addItem(item, 1);
-
-    for (const item of splitCsv(props.giveitemonce)) {
-      const k = this._flagKey("__give_once", this.scene.key, id, item);
-      if (this._getAnyFlag(k) === true) continue;
-      addItem(item, 1);
-      this._setAnyFlag(k, true);
-
-      // Code-driven so I don't need extra Tiled properties.
-      if (
-        String(item ?? "").trim().toLowerCase() === "strawberry" &&
-        String(id ?? "").toLowerCase().includes("strawberrybush")
-      ) {
-        const curRaw = this._getAnyFlag("__strawberryBushes");
-        const cur = Number(curRaw);
-        const base = Number.isFinite(cur) ? cur : 0;
-        this._setAnyFlag("__strawberryBushes", Math.min(4, base + 1));
-      }
-    }
-
-    for (const item of splitCsv(props.takeitemonce)) {
-      const k = this._takeOnceFlag(this.scene.key, id, item);
-      if (this._getAnyFlag(k) === true) continue;
-      removeItem(item, 1);
-      this._setAnyFlag(k, true);
-    }
-
-    for (const item of splitCsv(props.takeitem)) removeItem(item, 1);
-
-    for (const cid of splitCsv(props.removecollider ?? props.removecolliders)) this._removeColliderById(cid);
-
-    if (props.helpscore !== undefined) addHelp(Number(props.helpscore) || 0);
-    if (props.addscore !== undefined) addScore(Number(props.addscore) || 0);
-
-    const helpedName = String(props.markhelped ?? "").trim();
-    if (helpedName) markHelped(helpedName, true);
-
-    // Quest flags + interaction toggles (cross-scene)
-    for (const f of splitCsv(props.setflags ?? props.setflag)) {
-      const k = String(f ?? "").trim();
-      if (!k) continue;
-      if (!GameState.flags) GameState.flags = {};
-      GameState.flags[k] = true;
-    }
-
-    for (const f of splitCsv(props.clearflags ?? props.clearflag)) {
-      const k = String(f ?? "").trim();
-      if (!k) continue;
-      if (!GameState.flags) GameState.flags = {};
-      GameState.flags[k] = false;
-    }
-
-    const defaultSceneKey = this.scene.key;
-
-    for (const tgtRaw of splitCsv(props.disableinteractions ?? props.disableinteraction)) {
-      const tgt = this._parseInteractionTarget(tgtRaw, defaultSceneKey);
-      if (!tgt) continue;
-      this._setInteractionForcedDisabled(tgt.sceneKey, tgt.id, true);
-      // Best-effort: if target is in the current scene, also remove from active list
-      if (tgt.sceneKey === defaultSceneKey) {
-        this.interactables = this.interactables.filter((it) => it.id !== tgt.id);
-      }
-    }
-
-    for (const tgtRaw of splitCsv(props.enableinteractions ?? props.enableinteraction)) {
-      const tgt = this._parseInteractionTarget(tgtRaw, defaultSceneKey);
-      if (!tgt) continue;
-      this._setInteractionForcedDisabled(tgt.sceneKey, tgt.id, false);
-      this._setInteractionForcedEnabled(tgt.sceneKey, tgt.id, true);
-    }
-
-    const disableSelf =
-      props.disableself === true || String(props.disableself ?? "").toLowerCase() === "true";
-    if (disableSelf) {
-      this._setInteractionForcedDisabled(defaultSceneKey, id, true);
-      this.interactables = this.interactables.filter((it) => it.id !== id);
-    }
+        this._spawnedNpcsById?.delete?.(npcId);
+        this._tiledNpcs = (this._tiledNpcs ?? []).filter((npc) => npc !== spawned);
+      },
+      hideNpcByName: (name) => this._hideOrDestroyNpcByName(name),
+      syncFollowers: () => this.syncFollowersFromGameState(),
+      flipNpcY: (npcId) => {
+        const npcObj = this._getSpawnedNpcByIdCaseInsensitive(npcId);
+        if (!npcObj) return false;
+        this._applyNpcFlipY(npcObj, true);
+        return true;
+      },
+      moveNpcToPoint: (npcId, pointName, opts) => this.moveSpawnedNpcToPoint(npcId, pointName, opts),
+      moveNpcAlongWaypoints: (npcId, csv, opts) => this.moveSpawnedNpcAlongWaypoints(npcId, csv, opts),
+    };
+    return this._interactionHost;
+  }
 
-    const removeIds = splitCsv(props.removeinteraction);
-    if (removeIds.length) {
-      for (const rid of removeIds) disableInteraction(rid);
-    } else if (props.once === true) {
-      disableInteraction(id);
-    }
+  _runTiledInteraction(obj) {
+    runInteraction(this._getInteractionHost(), obj);
+  }
 
-    if (props.once === true || removeIds.includes(id)) {
-      this.interactables = this.interactables.filter((it) => it.id !== id);
-    }
+  _runChoiceInteraction(id, props) {
+    runChoiceInteraction(this._getInteractionHost(), id, props);
   }
 
   // -------------------------
@@ -2825,6 +1958,23 @@ _getNpcLabelPropsByName(displayName) {
     this.currentInteractable.action();
   }
 
+  // ESC/Enter outside dialogue. The interact cooldown keeps the ESC that just closed a dialogue from also pausing.
+  _pausePressed() {
+    const JD = Phaser.Input.Keyboard.JustDown;
+    // Both keys are read every frame (JustDown consumes the press), so no short-circuit here.
+    const esc = !!this.keys?.pause && JD(this.keys.pause);
+    const enter = !!this.keys?.pauseAlt && JD(this.keys.pauseAlt);
+    if (!(esc || enter) || this.dialogue?.isActive?.()) return false;
+    return canWorldInteract(this) && this._sceneKeyExists("PauseScene");
+  }
+
+  // L outside dialogue: dialogue log overlay.
+  _logPressed() {
+    if (!this.keys?.log || !Phaser.Input.Keyboard.JustDown(this.keys.log)) return false;
+    if (this.dialogue?.isActive?.()) return false;
+    return canWorldInteract(this) && this._sceneKeyExists("DialogueLogScene");
+  }
+
   _tickGlobalRealTime() {
     const delta = this.game?.loop?.delta ?? 0;
     if (!Number.isFinite(delta) || delta <= 0) return;
@@ -2835,7 +1985,23 @@ _getNpcLabelPropsByName(displayName) {
     this._updatePickHint();
     this._updateDebugOverlay();
 
+    // Scene transition running (see systems/SceneTransitions.js): world frozen, no input.
+    if (isTransitioning(this)) {
+      this.player.body.setVelocity(0);
+      this.promptText.setText("");
+      this._updatePlayerAnim();
+      return false;
+    }
+
     if (this.keys?.pick && Phaser.Input.Keyboard.JustDown(this.keys.pick)) this._toggleTilePicker();
+    if (this._pausePressed()) {
+      openPauseMenu(this);
+      return false;
+    }
+    if (this._logPressed()) {
+      openDialogueLog(this);
+      return false;
+    }
 
     // PAUSE global timer while dialogue is active
     if (this.dialogue?.isActive?.()) {
@@ -2862,6 +2028,10 @@ _getNpcLabelPropsByName(displayName) {
       this.baseUpdateMovement();
     }
 
+    // Walk-in portals
+    this._updatePortals();
+    if (isTransitioning(this)) return false;
+
     // Auto-trigger zones (walk-in triggers + zone audio)
     updateAutoTriggerZones(this);
 
@@ -1,4 +1,8 @@
   import { ASSETS } from "../systems/Assets.js";
+  import { collectNpcSheets } from "../systems/TiledNpcs.js";
+  import { consumeRestoreRequest, restoreLatestCheckpoint } from "../systems/Autosave.js";
+  import { applySettings } from "../systems/Settings.js";
+  import { registerDialogueFile } from "../systems/DialogueScripts.js";
 
   export default class BootScene extends Phaser.Scene {
     constructor() {
@@ -25,19 +29,44 @@
 
       const v = Date.now();
 
-      // Maps
-      this.load.tilemapTiledJSON(ASSETS.maps.city.key, `${ASSETS.maps.city.url}?v=${v}`);
-      this.load.tilemapTiledJSON(ASSETS.maps.forest.key, `${ASSETS.maps.forest.url}?v=${v}`);
-      this.load.tilemapTiledJSON(ASSETS.maps.library.key, `${ASSETS.maps.library.url}?v=${v}`);
+      // Maps (every ASSETS.maps entry; ones without a scene class run as MapScene)
+      for (const def of Object.values(ASSETS.maps ?? {})) {
+        if (!def?.key || !def?.url) continue;
+        this.load.tilemapTiledJSON(def.key, `${def.url}?v=${v}`);
+
+        // NPC sheets referenced only by the map (spriteUrl on NPCs layer objects)
+        this.load.once(`filecomplete-tilemapJSON-${def.key}`, (_key, _type, data) => {
+          for (const s of collectNpcSheets(data)) {
+            if (this.textures.exists(s.key)) continue;
+            this.load.spritesheet(s.key, `${s.url}?v=${v}`, { frameWidth: s.frameWidth, frameHeight: s.frameHeight });
+          }
+        });
+      }
 
-      // Tilesets
-      this.load.image(ASSETS.tilesets.cityTerrain.key, ASSETS.tilesets.cityTerrain.url);
-      this.load.image(ASSETS.tilesets.cityObjects.key, ASSETS.tilesets.cityObjects.url);
+      // Dialogue node files
+      for (const def of Object.values(ASSETS.dialogue ?? {})) {
+        if (!def?.key || !def?.url) continue;
+        this.load.json(def.key, `${def.url}?v=${v}`);
+      }
 
-      this.load.image(ASSETS.tilesets.forestTerrain.key, ASSETS.tilesets.forestTerrain.url);
-      this.load.image(ASSETS.tilesets.forestObjects.key, ASSETS.tilesets.forestObjects.url);
+      // Dialogue portraits (entries without a url reuse an already-loaded texture)
+      for (const def of Object.values(ASSETS.portraits ?? {})) {
+        if (!def?.key || !def?.url) continue;
+        if (def.frameWidth) {
+          this.load.spritesheet(def.key, `${def.url}?v=${v}`, {
+            frameWidth: def.frameWidth,
+            frameHeight: def.frameHeight ?? def.frameWidth,
+          });
+        } else {
+          this.load.image(def.key, `${def.url}?v=${v}`);
+        }
+      }
 
-      this.load.image(ASSETS.tilesets.library.key, ASSETS.tilesets.library.url);
+      // Tilesets
+      for (const def of Object.values(ASSETS.tilesets ?? {})) {
+        if (!def?.key || !def?.url) continue;
+        this.load.image(def.key, def.url);
+      }
 
       // Player spritesheet
   const p = ASSETS.spritesheets.player;
@@ -68,7 +97,21 @@ for (const def of Object.values(ASSETS.spritesheets ?? {})) {
     }
 
     create() {
-      this.scene.start("CityScene");
+      applySettings(this.game);
+
+      for (const def of Object.values(ASSETS.dialogue ?? {})) {
+        const data = this.cache.json.get(def?.key);
+        if (data) registerDialogueFile(data, def.url);
+      }
+
+      // Reloaded from the error overlay's "Restore last checkpoint" button.
+      if (consumeRestoreRequest()) {
+        const res = restoreLatestCheckpoint(this);
+        if (res.ok) return;
+        console.warn("[BootScene] Checkpoint restore failed:", res.error);
+      }
+
+      this.scene.start("TitleScene");
       console.log("BootScene loaded npc_aloise?", this.textures.exists("npc_aloise"));
 console.log("BootScene loaded keys:", this.textures.getTextureKeys());
 
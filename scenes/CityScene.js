@@ -6,11 +6,11 @@ import {
   setFlag,
   markHelped,
   isHelped,
-  setTransition,
   markSceneProgress,
-  onLeaveScene,
 } from "../systems/GameState.js";
+import { EVENTS, subscribe } from "../systems/GameEvents.js";
 import { ASSETS } from "../systems/Assets.js";
+import { resolveSpawnPoint } from "../systems/SceneTransitions.js";
 
 function safePoint(scene, layerName, name, fallback) {
   return scene.getTiledPoint(layerName, name) ?? fallback;
@@ -48,64 +48,30 @@ export default class CityScene extends BaseExploreScene {
       playerBody: { w: 10, h: 10, ox: 3, oy: 6 },
     });
 
-    // Scene music
-    this.setSceneMusic("city", { volume: 0.2, loop: true, fadeInMs: 250 });
+    // Scene music (volume/resume: MUSIC_TRACKS.city)
+    this.setSceneMusic("city");
 
 
     // If City.tmj uses "Points"
     const P = "Points";
 
-    // Spawn selection
-    const t = GameState.transition;
+    // Spawn selection (EXIT_SPAWNS in systems/SceneTransitions.js)
     const spawnDefault = safePoint(this, P, "spawnpoint", { x: 32, y: 112 });
-    const spawnFromForest = safePoint(this, P, "spawn_from_forest", spawnDefault);
-
-    let spawn = spawnDefault;
-    if (t?.fromScene === "ForestScene") spawn = spawnFromForest;
+    const spawn = resolveSpawnPoint(this, spawnDefault, P);
 
     this.player.x = spawn.x;
     this.player.y = spawn.y;
 
-    // NPC positions
-    const xiaPos = safePoint(this, P, "npc_xia", { x: 80, y: 112 });
-    const aloisePos = safePoint(this, P, "npc_aloise", { x: 96, y: 240 });
-    const gladPos = safePoint(this, P, "npc_glad", { x: 256, y: 128 });
-
     this.gladAlleyPos = safePoint(this, P, "npc_glad_at_alleyway", safePoint(this, P, "glad_at_alleyway", null));
     this.gladLampPos = safePoint(this, P, "npc_glad_at_lampost", null);
 
     this.animeShopPos = safePoint(this, P, "anime_shop", { x: 400, y: 112 });
 
-    // NPCs
-    this.xia = this.makeNPC(xiaPos.x, xiaPos.y, "Xia");
-
-    // Aloise: after escort completes, she should be gone permanently on re-enter.
-    const aloiseEscortDone = GameState.flags.__aloiseEscortDone === true;
-    if (!aloiseEscortDone) {
-      this.aloise = this.makeNPC(aloisePos.x, aloisePos.y, "Aloise");
-      if (!this.textures.exists("npc_aloise")) {
-        console.warn('[CityScene] Missing texture key "npc_aloise". Add it to ASSETS.spritesheets and ensure BootScene loads spritesheets.');
-      }
-      if (GameState.flags.aloiseFollowing) this.hideNPC(this.aloise);
-    } else {
-      this.aloise = null;
-    }
-
-    this.glad = this.makeNPC(gladPos.x, gladPos.y, "Glad");
-    this.registerSpawnedNpc("Glad", this.glad);
-    // Exit to forest
-    const exitForest = safePoint(this, P, "exit_to_forest", { x: this.map.widthInPixels - 16, y: 160 });
-    this.addDoorZone(
-      exitForest.x,
-      exitForest.y,
-      18,
-      50,
-      "→ Forest",
-      exitForest.x - 52,
-      exitForest.y - 20,
-      "Press Z to enter Forest",
-      () => this._goToForest()
-    );
+    // NPCs layer in City.tmj (talk via onTalk). Aloise hides while following / after the escort.
+    this.xia = this.getNpc("Xia");
+    this.aloise = this.getNpc("Aloise");
+    this.glad = this.getNpc("Glad");
+    // Exit to forest: Portals layer in City.tmj (built by BaseExploreScene)
 
     // World label (ensure above tiles/overlays)
     this.addWorldText(this.animeShopPos.x - 26, this.animeShopPos.y - 18, "Anime Shop", {
@@ -113,11 +79,14 @@ export default class CityScene extends BaseExploreScene {
       fill: "#aaaaaa",
     });
 
-    this._registerNPCInteractables();
     this._buildQuestMarkers();
 
     this._updateHUD();
     this._updateQuestMarkers();
+
+    // HUD + quest markers only change when GameState does.
+    subscribe(this, [EVENTS.HELP_CHANGED, EVENTS.STATE_REPLACED], () => this._updateHUD());
+    subscribe(this, [EVENTS.NPC_HELPED, EVENTS.FLAG_CHANGED, EVENTS.STATE_REPLACED], () => this._updateQuestMarkers());
   }
 
   _buildQuestMarkers() {
@@ -137,55 +106,36 @@ export default class CityScene extends BaseExploreScene {
   }
 
   _updateQuestMarkers() {
-    const qm = this.questMarkers ?? {};
-
-    if (qm.xia) qm.xia.setVisible(!isHelped("Xia"));
-
-    if (qm.aloise && this.aloise?.rect) {
-      const aloiseNeeds = !isHelped("Aloise") && !GameState.flags.aloiseFollowing;
-      qm.aloise.setVisible(aloiseNeeds && this.aloise.rect.visible);
-    }
+    const needs = {
+      xia: !isHelped("Xia"),
+      aloise: !isHelped("Aloise") && !GameState.flags.aloiseFollowing,
+      glad: !isHelped("Glad"),
+    };
 
-    if (qm.glad && this.glad?.rect) {
-      const gladNeeds = !isHelped("Glad");
-      qm.glad.setVisible(gladNeeds && this.glad.rect.visible);
+    for (const [k, m] of Object.entries(this.questMarkers ?? {})) {
+      if (m) m.setData("needed", needs[k] === true);
     }
+    this._positionQuestMarkers();
+  }
 
-    for (const [k, m] of Object.entries(qm)) {
+  // Per frame: follow + bob. NPC visibility can change without a GameState event
+  // (hideNPC, moving NPCs), so it is combined with the "needed" state here.
+  _positionQuestMarkers() {
+    for (const [k, m] of Object.entries(this.questMarkers ?? {})) {
       if (!m) continue;
       const npc = this[k];
       if (!npc?.rect) continue;
+      m.setVisible(m.getData("needed") === true && npc.rect.visible);
       m.x = npc.rect.x - 2;
       m.y = npc.rect.y - 18 + Math.round(Math.sin(this.time.now / 250) * 1);
     }
   }
 
-  _registerNPCInteractables() {
-    const addNpcTalk = (npc, name, talkFn) => {
-      if (!npc?.rect) return;
-      this.interactables.push({
-        getPos: () => ({ x: npc.rect.x, y: npc.rect.y }),
-        maxDist: 22,
-        prompt: `Press Z to talk to ${name}`,
-        isEnabled: () => npc.rect.visible && !this.isSpawnedNpcMoving(npc),
-        action: talkFn,
-      });
-    };
-
-    addNpcTalk(this.xia, "Xia", () => this._talkXia());
-
-    const aloiseTiledActive = !GameState.interactions?.disabled?.Aloise;
-    if (aloiseTiledActive) addNpcTalk(this.aloise, "Aloise", () => this._talkAloise());
-
-    addNpcTalk(this.glad, "Glad", () => this._talkGlad());
-  }
-
   update() {
     const alive = this.baseUpdateFrame();
     if (!alive) return;
 
-    this._updateHUD();
-    this._updateQuestMarkers();
+    this._positionQuestMarkers();
 
     if (GameState.flags.aloiseFollowing) {
       const af = this.followers.find((f) => f.name === "Aloise");
@@ -196,66 +146,23 @@ export default class CityScene extends BaseExploreScene {
     }
   }
 
-  _goToForest() {
-    onLeaveScene("CityScene");
-    setTransition("CityScene", "ForestScene", "toForest");
-    this.cameras.main.fadeOut(250);
-    this.cameras.main.once("camerafadeoutcomplete", () => this.scene.start("ForestScene"));
-  }
-
   _updateHUD() {
     this.hudText.setText(
       `HelpScore: ${GameState.helpScore}`
     );
   }
 
+  // Lines live in assets/dialogue/city.json (node "xia"); rewards stay here.
   _talkXia() {
-    if (isHelped("Xia")) {
-      this.dialogue.start(
-        [
-          { type: "say", speaker: "Xia", text: "Oh. Hi again." },
-          { type: "pause", ms: 450 },
-          { type: "say", speaker: "Xia", text: "Thanks for earlier." },
-          { type: "end" },
-        ],
-        this.keys,
-        () => {
-          this._updateHUD();
-          this._updateQuestMarkers();
-        }
-      );
-      return;
-    }
-
-    const script = [
-      { type: "say", speaker: "Xia", text: "Hey." },
-      { type: "pause", ms: 500 },
-      { type: "say", speaker: "Xia", text: "This is embarrassing but..." },
-      { type: "pause", ms: 700 },
-      {
-        type: "choice",
-        prompt: "Do you think he even likes me?",
-        options: [
-          { text: "He does. You're overthinking.", next: 5 },
-          { text: "Uh... maybe ask him?", next: 8 },
-        ],
-      },
-      { type: "say", speaker: "Xia", text: "Oh." },
-      { type: "pause", ms: 450 },
-      { type: "say", speaker: "Xia", text: "Okay. That actually helps." },
-      { type: "pause", ms: 600 },
-      { type: "say", speaker: "Xia", text: "Here—take this heart hairpin." },
-      { type: "end" },
+    const firstTalk = !isHelped("Xia");
 
-      { type: "say", speaker: "Xia", text: "..." },
-      { type: "pause", ms: 700 },
-      { type: "say", speaker: "Xia", text: "Yeah. That makes sense." },
-      { type: "pause", ms: 500 },
-      { type: "say", speaker: "Xia", text: "Still. Take this hairpin. I can't think straight." },
-      { type: "end" },
-    ];
+    this.dialogue.start("xia", this.keys, () => {
+      if (!firstTalk) {
+        this._updateHUD();
+        this._updateQuestMarkers();
+        return;
+      }
 
-    this.dialogue.start(script, this.keys, () => {
       markHelped("Xia", true);
       setFlag("hasHairpin", true);
       addScore(11);
@@ -306,7 +213,6 @@ export default class CityScene extends BaseExploreScene {
             next: 5,
             onSelect: () => {
               setFlag("aloiseFollowing", true);
-              this.hideNPC(this.aloise);
               this.syncFollowersFromGameState();
               markSceneProgress("CityScene");
               this._updateHUD();
@@ -337,19 +243,9 @@ export default class CityScene extends BaseExploreScene {
     addHelp(10);
     markSceneProgress("CityScene");
 
+    // The NPC stays hidden from here on (hideIfFlags __aloiseEscortDone).
     this.syncFollowersFromGameState();
 
-    // Aloise NPC should be gone permanently after escort completes.
-    if (this.aloise?.rect) {
-      try { this.aloise.rect.destroy(); } catch (_) {}
-      try { this.aloise.label?.destroy?.(); } catch (_) {}
-    }
-    this.aloise = null;
-    if (this.questMarkers?.aloise) {
-      try { this.questMarkers.aloise.destroy(); } catch (_) {}
-      this.questMarkers.aloise = null;
-    }
-
     this._updateHUD();
     this._updateQuestMarkers();
 
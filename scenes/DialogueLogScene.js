@@ -0,0 +1,144 @@
+import { DIALOGUE_TEXT_STYLE } from "../systems/DialogueBox.js";
+import { GameState } from "../systems/GameState.js";
+import { formatPlayTime, sceneTitle } from "../systems/SaveSystem.js";
+
+const SCROLL_SPEED = 4; // px per frame while W/S is held
+const CONVERSATION_GAP = 10;
+
+/**
+ * Pauses `scene` under the dialogue log (GameState.dialogueLog, this run only).
+ * Like the pause menu, the paused scene's real-time clock stops while it's open.
+ */
+export function openDialogueLog(scene) {
+  if (scene.scene.isActive("DialogueLogScene")) return;
+
+  scene.events.once("resume", () => scene.input.keyboard.resetKeys());
+
+  scene.scene.launch("DialogueLogScene", { pausedScene: scene.scene.key });
+  scene.scene.pause();
+  scene.scene.bringToTop("DialogueLogScene");
+}
+
+/**
+ * Scrollable history of every dialogue line shown this run, one block per
+ * conversation (scene + play time). Opens scrolled to the latest line.
+ * W/S or UP/DOWN (or the mouse wheel) scroll, A/D page, ESC / L close.
+ */
+export default class DialogueLogScene extends Phaser.Scene {
+  constructor() {
+    super("DialogueLogScene");
+  }
+
+  init(data) {
+    this.pausedScene = data?.pausedScene ?? null;
+  }
+
+  create() {
+    this.scene.bringToTop();
+    const { width, height } = this.cameras.main;
+
+    this.add.rectangle(0, 0, width, height, 0x000000, 0.85).setOrigin(0, 0);
+    this.add.text(14, 12, "Dialogue Log", { ...DIALOGUE_TEXT_STYLE, fontSize: "12px" });
+    this.add
+      .text(14, height - 8, "W/S: Scroll   A/D: Page   ESC/L: Close", { ...DIALOGUE_TEXT_STYLE, fontSize: "8px", fill: "#b0b0b0" })
+      .setOrigin(0, 1);
+
+    this.view = { x: 14, y: 32, width: width - 28, height: height - 52 };
+
+    const maskShape = this.make.graphics({ add: false });
+    maskShape.fillStyle(0xffffff).fillRect(this.view.x, this.view.y, this.view.width, this.view.height);
+
+    this.content = this.add.container(this.view.x, this.view.y);
+    this.content.setMask(maskShape.createGeometryMask());
+    this.contentHeight = this._buildContent();
+
+    this.scrollY = this._maxScroll();
+    this._applyScroll();
+
+    this.keys = this.input.keyboard.addKeys({
+      up: "W",
+      down: "S",
+      upAlt: "UP",
+      downAlt: "DOWN",
+      pageUp: "A",
+      pageDown: "D",
+    });
+
+    this._onClose = () => this._close();
+    this.input.keyboard.on("keydown-ESC", this._onClose);
+    this.input.keyboard.on("keydown-L", this._onClose);
+    this.input.on("wheel", (_pointer, _objects, _dx, dy) => this._scrollBy(dy * 0.5));
+
+    this.events.once("shutdown", () => {
+      this.input.keyboard.off("keydown-ESC", this._onClose);
+      this.input.keyboard.off("keydown-L", this._onClose);
+    });
+  }
+
+  update() {
+    const JD = Phaser.Input.Keyboard.JustDown;
+    if (this.keys.up.isDown || this.keys.upAlt.isDown) this._scrollBy(-SCROLL_SPEED);
+    if (this.keys.down.isDown || this.keys.downAlt.isDown) this._scrollBy(SCROLL_SPEED);
+    if (JD(this.keys.pageUp)) this._scrollBy(-this.view.height);
+    if (JD(this.keys.pageDown)) this._scrollBy(this.view.height);
+  }
+
+  // -------------------------
+  // Content
+  // -------------------------
+
+  // One header + the wrapped lines per conversation; returns the total height.
+  _buildContent() {
+    const conversations = GameState.dialogueLog?.conversations ?? [];
+    const wrap = { width: this.view.width };
+    let y = 0;
+
+    if (!conversations.length) {
+      this.content.add(this.add.text(0, 0, "Nothing has been said yet.", { ...DIALOGUE_TEXT_STYLE, fill: "#b0b0b0" }));
+      return 0;
+    }
+
+    for (const conv of conversations) {
+      const header = this.add.text(0, y, `${sceneTitle(conv.scene)}   ${formatPlayTime(conv.at)}`, {
+        ...DIALOGUE_TEXT_STYLE,
+        fontSize: "8px",
+        fill: "#8a8a8a",
+      });
+      this.content.add(header);
+      y += header.height + 2;
+
+      for (const line of conv.lines ?? []) {
+        const label = line.speaker ? `${line.speaker}: ${line.text}` : line.text;
+        const t = this.add.text(0, y, label, {
+          ...DIALOGUE_TEXT_STYLE,
+          fill: line.speaker ? DIALOGUE_TEXT_STYLE.fill : "#d0d0d0",
+          wordWrap: wrap,
+        });
+        this.content.add(t);
+        y += t.height + 2;
+      }
+
+      y += CONVERSATION_GAP;
+    }
+
+    return y - CONVERSATION_GAP;
+  }
+
+  _maxScroll() {
+    return Math.max(0, this.contentHeight - this.view.height);
+  }
+
+  _scrollBy(dy) {
+    this.scrollY = Phaser.Math.Clamp(this.scrollY + (Number(dy) || 0), 0, this._maxScroll());
+    this._applyScroll();
+  }
+
+  _applyScroll() {
+    this.content.y = this.view.y - Math.round(this.scrollY);
+  }
+
+  _close() {
+    if (this.pausedScene) this.scene.resume(this.pausedScene);
+    this.scene.stop();
+  }
+}
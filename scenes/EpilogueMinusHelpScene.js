@@ -1,13 +1,14 @@
 import EpilogueText from "../systems/EpilogueText.js";
-import { GameState } from "../systems/GameState.js";
+import { setFlag } from "../systems/GameState.js";
+import BaseEpilogueScene from "./BaseEpilogueScene.js";
 
-export default class EpilogueMinusHelpScene extends Phaser.Scene {
+export default class EpilogueMinusHelpScene extends BaseEpilogueScene {
   constructor() {
-    super("EpilogueMinusHelpScene");
+    super("EpilogueMinusHelpScene", "minusHelp");
   }
 
   create() {
-    this.cameras.main.setBackgroundColor("#000000");
+    this.beginEpilogue();
     const ep = new EpilogueText(this, { typingSpeedMs: 26, autoAdvance: true, allowManualAdvance: false });
 
     ep.start(
@@ -16,7 +17,7 @@ export default class EpilogueMinusHelpScene extends Phaser.Scene {
         "You made it.",
         "But you left a trail of little hurts behind you.",
         "",
-        `HelpScore: ${GameState.helpScore}`,
+        `HelpScore: ${this.stats.helpScore}`,
         "",
         "Napper looks at you for a long time.",
         "He still asks the question…",
@@ -25,7 +26,8 @@ export default class EpilogueMinusHelpScene extends Phaser.Scene {
         "ENDING: MINUS HELP",
       ],
       () => {
-        GameState.flags.minusHelpEndingSeen = true;
+        if (!this.replay) setFlag("minusHelpEndingSeen", true);
+        this.finishEpilogue();
       }
     );
   }
@@ -1,13 +1,13 @@
 import EpilogueText from "../systems/EpilogueText.js";
-import { GameState } from "../systems/GameState.js";
+import BaseEpilogueScene from "./BaseEpilogueScene.js";
 
-export default class EpilogueNormalScene extends Phaser.Scene {
+export default class EpilogueNormalScene extends BaseEpilogueScene {
   constructor() {
-    super("EpilogueNormalScene");
+    super("EpilogueNormalScene", "normal");
   }
 
   create() {
-    this.cameras.main.setBackgroundColor("#000000");
+    this.beginEpilogue();
     const ep = new EpilogueText(this, { typingSpeedMs: 26, autoAdvance: true, allowManualAdvance: false });
 
     ep.start(
@@ -17,12 +17,12 @@ export default class EpilogueNormalScene extends Phaser.Scene {
         "Some things were messy.",
         "But you showed up anyway.",
         "",
-        `HelpScore: ${GameState.helpScore}`,
+        `HelpScore: ${this.stats.helpScore}`,
         "",
         "THE END: (Normal ending)",
         
       ],
-      null
+      () => this.finishEpilogue()
     );
   }
 }
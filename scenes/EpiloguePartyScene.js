@@ -1,16 +1,16 @@
 import EpilogueText from "../systems/EpilogueText.js";
-import { GameState } from "../systems/GameState.js";
+import BaseEpilogueScene from "./BaseEpilogueScene.js";
 
-export default class EpiloguePartyScene extends Phaser.Scene {
+export default class EpiloguePartyScene extends BaseEpilogueScene {
   constructor() {
-    super("EpiloguePartyScene");
+    super("EpiloguePartyScene", "party");
   }
 
   create() {
-    this.cameras.main.setBackgroundColor("#000000");
+    this.beginEpilogue();
     const ep = new EpilogueText(this, { typingSpeedMs: 20, autoAdvance: true, allowManualAdvance: false });
 
-    const hs = Number(GameState.helpScore ?? 0);
+    const hs = Number(this.stats.helpScore ?? 0);
 
     ep.start(
       [
@@ -29,7 +29,7 @@ export default class EpiloguePartyScene extends Phaser.Scene {
         "",
         "THE END (Together)",
       ],
-      null
+      () => this.finishEpilogue()
     );
   }
 }
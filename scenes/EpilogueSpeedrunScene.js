@@ -1,16 +1,17 @@
 import EpilogueText from "../systems/EpilogueText.js";
-import { GameState } from "../systems/GameState.js";
+import { setFlag } from "../systems/GameState.js";
+import BaseEpilogueScene from "./BaseEpilogueScene.js";
 
-export default class EpilogueSpeedrunScene extends Phaser.Scene {
+export default class EpilogueSpeedrunScene extends BaseEpilogueScene {
   constructor() {
-    super("EpilogueSpeedrunScene");
+    super("EpilogueSpeedrunScene", "speedrun");
   }
 
   create() {
-    this.cameras.main.setBackgroundColor("#000000");
+    this.beginEpilogue();
     const ep = new EpilogueText(this, { typingSpeedMs: 24, autoAdvance: true, allowManualAdvance: false });
 
-    const t = Math.floor((GameState.flags?.minesweeperEntryMs ?? GameState.realTimeMs ?? 0) / 1000);
+    const t = Math.floor((this.stats.entryMs ?? this.stats.realTimeMs ?? 0) / 1000);
 
     ep.start(
       [
@@ -23,12 +24,13 @@ export default class EpilogueSpeedrunScene extends Phaser.Scene {
         "",
         "Speed can be its own kind of courage.",
         "",
-        `TimePassed: ${GameState.timePassed}`,
+        `TimePassed: ${this.stats.timePassed}`,
         "",
         "ENDING: SPEEDRUN",
       ],
       () => {
-        GameState.flags.speedrunEndingSeen = true;
+        if (!this.replay) setFlag("speedrunEndingSeen", true);
+        this.finishEpilogue();
       }
     );
   }
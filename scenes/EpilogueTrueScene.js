@@ -1,13 +1,13 @@
 import EpilogueText from "../systems/EpilogueText.js";
-import { GameState } from "../systems/GameState.js";
+import BaseEpilogueScene from "./BaseEpilogueScene.js";
 
-export default class EpilogueTrueScene extends Phaser.Scene {
+export default class EpilogueTrueScene extends BaseEpilogueScene {
   constructor() {
-    super("EpilogueTrueScene");
+    super("EpilogueTrueScene", "true");
   }
 
   create() {
-    this.cameras.main.setBackgroundColor("#000000");
+    this.beginEpilogue();
     const ep = new EpilogueText(this, { typingSpeedMs: 18, autoAdvance: true, allowManualAdvance: false });
 
     ep.start(
@@ -21,12 +21,12 @@ export default class EpilogueTrueScene extends Phaser.Scene {
         "Maybe it wasn't a perfect 100 score.",
         "But it was still enough for him.",
         "",
-        `HelpScore: ${GameState.helpScore}`,
+        `HelpScore: ${this.stats.helpScore}`,
         "",
         "THE END: TRUE ENDING",
         
       ],
-      null
+      () => this.finishEpilogue()
     );
   }
 }
@@ -1,13 +1,14 @@
 import EpilogueText from "../systems/EpilogueText.js";
-import { GameState } from "../systems/GameState.js";
+import { resolveEnding } from "../systems/Endings.js";
+import BaseEpilogueScene from "./BaseEpilogueScene.js";
 
-export default class EpilogueWorldScene extends Phaser.Scene {
+export default class EpilogueWorldScene extends BaseEpilogueScene {
   constructor() {
-    super("EpilogueWorldScene");
+    super("EpilogueWorldScene", "world");
   }
 
     create() {
-    this.cameras.main.setBackgroundColor("#000000");
+    this.beginEpilogue();
     const ep = new EpilogueText(this, {
       typingSpeedMs: 42,
       autoAdvance: true,
@@ -25,47 +26,20 @@ export default class EpilogueWorldScene extends Phaser.Scene {
         "Maybe you made some new friends.",
         "But in the end, you were alone.",
         ,
-        `TimePassed: ${GameState.timePassed}`,
-        `HelpScore: ${GameState.helpScore}`,
+        `TimePassed: ${this.stats.timePassed}`,
+        `HelpScore: ${this.stats.helpScore}`,
         "",
             ],
       () => {
-        const inv = GameState.inventory ?? {};
-        const helpScore = Number(GameState.helpScore ?? 0);
-        if (helpScore < 0) {
-          this.scene.start("EpilogueMinusHelpScene");
+        // Replaying from the gallery: the follow-up epilogue belongs to that old run, so stop here.
+        if (this.replay) {
+          this.finishEpilogue();
           return;
         }
 
-        const flags = GameState.flags ?? {};
-
-        const hasSaga = flags.sagaJoined === true;
-        const hasAloise = flags.aloiseFollowing === true;
-        const hasPartyEnding = hasSaga && hasAloise;
-
-        const hasHairRibbon =
-          !!flags.hasHairpin ||
-          (Number(inv.hairribbon ?? inv.hairRibbon ?? inv.HairRibbon ?? 0) > 0);
-
-        const hasLoveLetter =
-          Number(inv.loveletter ?? inv.loveLetter ?? inv.LoveLetter ?? inv.Loveletter ?? 0) > 0;
-
-        const hasMinesweeperClear = !!flags.minesweeperBoardCleared;
-        const enoughHelp = Number(GameState.helpScore ?? 0) >= 88;
-
-        const isTrue = hasHairRibbon && hasLoveLetter && hasMinesweeperClear && enoughHelp;
-        console.log("[TRUE ENDING CHECK]", {
-  helpScore: GameState.helpScore,
-  minesweeperBoardCleared: GameState.flags?.minesweeperBoardCleared,
-  hasHairpin: GameState.flags?.hasHairpin,
-  inventory: GameState.inventory,
-  loveletter: GameState.inventory?.loveletter,
-  loveLetter: GameState.inventory?.loveLetter,
-  LoveLetter: GameState.inventory?.LoveLetter,
-});
-
-        this.scene.start(hasPartyEnding ? "EpiloguePartyScene" : (isTrue ? "EpilogueTrueScene" : "EpilogueNormalScene"));
-}
+        const ending = resolveEnding("worldEnd");
+        this.scene.start(ending.sceneKey);
+      }
     );
   }
 
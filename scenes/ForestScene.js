@@ -1,6 +1,8 @@
 import BaseExploreScene from "./BaseExploreScene.js";
-import { GameState, addHelp, markHelped, setTransition, markSceneProgress, onLeaveScene } from "../systems/GameState.js";
+import { GameState, addHelp, markHelped, setFlag, markSceneProgress } from "../systems/GameState.js";
+import { EVENTS, subscribe } from "../systems/GameEvents.js";
 import { ASSETS } from "../systems/Assets.js";
+import { resolveSpawnPoint } from "../systems/SceneTransitions.js";
 
 /** @param {any} o */
 function centerOfObject(o) {
@@ -69,67 +71,28 @@ export default class ForestScene extends BaseExploreScene {
       playerBody: { w: 10, h: 10, ox: 3, oy: 6 },
     });
 
-    this.setSceneMusic("forest", { volume: 0.2, loop: true });
+    this.setSceneMusic("forest");
 
     this._applyPoints();
 
     // Roof triggers
     this._initRoofTriggersWithDebug();
 
-    // Exits (Points layer): exit_to_city / exit_to_library
-    this._registerExitDoors();
-
-    // NPCs (Points layer): npc_mona / npc_saga
-    this._initNPCsFromPoints();
-
-    // NPC interactions
-    this._registerNPCInteractables();
+    // NPCs layer in Forest.tmj (talk via onTalk). Saga hides once she has joined.
+    this.mona = this.getNpc("Mona");
+    this.sagaNPC = this.getNpc("Saga");
 
     this._updateHUD();
+    subscribe(this, [EVENTS.HELP_CHANGED, EVENTS.STATE_REPLACED], () => this._updateHUD());
+    subscribe(this, EVENTS.FLAG_CHANGED, ({ name }) => {
+      if (name === "__strawberryBushes") this._updateHUD();
+    });
   }
 
   _resolveSpawn() {
-    // Spawns in Points layer: spawn_from_city / spawn_from_library
-    const fallback = { x: 8, y: 24 };
-
-    const fromScene = String(GameState.transition?.fromScene ?? "");
-    const fromExit = String(GameState.transition?.fromExit ?? "");
-
-    if (fromExit === "toForestFromCity") return safePoint(this, "Points", "spawn_from_city", fallback);
-    if (fromExit === "toForestFromLibrary") return safePoint(this, "Points", "spawn_from_library", fallback);
-
-    if (fromExit === "toForest" && fromScene === "CityScene") return safePoint(this, "Points", "spawn_from_city", fallback);
-    if (fromExit === "toForest" && fromScene === "LibraryScene") return safePoint(this, "Points", "spawn_from_library", fallback);
-
-    // Fallbacks
-    if (fromScene === "LibraryScene") return safePoint(this, "Points", "spawn_from_library", fallback);
-    return safePoint(this, "Points", "spawn_from_city", fallback);
-  }
-
-  _registerExitDoors() {
-    const exitToCity = safePoint(this, "Points", "exit_to_city", null);
-    if (exitToCity) {
-      this.addDoorZone(exitToCity.x, exitToCity.y, 18, 18, "", 0, 0, "Press Z to return to City", () => this._leaveToCity());
-    } else {
-      console.warn('[ForestScene] Missing Points object "exit_to_city"');
-    }
-
-    const exitToLibrary = safePoint(this, "Points", "exit_to_library", null);
-    if (exitToLibrary) {
-      this.addDoorZone(
-        exitToLibrary.x,
-        exitToLibrary.y,
-        18,
-        18,
-        "",
-        0,
-        0,
-        "Press Z to enter Library",
-        () => this._leaveToLibrary()
-      );
-    } else {
-      console.warn('[ForestScene] Missing Points object "exit_to_library"');
-    }
+    // Spawns in Points layer: spawn_from_city / spawn_from_library (portal targetSpawn)
+    const fallback = safePoint(this, "Points", "spawn_from_city", { x: 8, y: 24 });
+    return resolveSpawnPoint(this, fallback);
   }
 
   update() {
@@ -137,7 +100,6 @@ export default class ForestScene extends BaseExploreScene {
     if (!alive) return;
 
     this._updateRoofVisibility();
-    this._updateHUD();
   }
 
   _updateHUD() {
@@ -153,24 +115,6 @@ export default class ForestScene extends BaseExploreScene {
     if (time <= 0) return;
   }
 
-  _leaveToCity() {
-    onLeaveScene("ForestScene");
-
-    setTransition("ForestScene", "CityScene", "toCity");
-
-    this.cameras.main.fadeOut(250);
-    this.cameras.main.once("camerafadeoutcomplete", () => this.scene.start("CityScene"));
-  }
-
-  _leaveToLibrary() {
-    onLeaveScene("ForestScene");
-
-    setTransition("ForestScene", "LibraryScene", "toLibrary");
-
-    this.cameras.main.fadeOut(250);
-    this.cameras.main.once("camerafadeoutcomplete", () => this.scene.start("LibraryScene"));
-  }
-
   // ---------------------------------------------------------------------------
   // Roof triggers
   // ---------------------------------------------------------------------------
@@ -238,49 +182,10 @@ export default class ForestScene extends BaseExploreScene {
     roof?.setVisible?.(visible);
   }
 
-  _initNPCsFromPoints() {
-    const monaP = this.getTiledPoint("Points", "npc_mona") ?? this.getTiledPoint("Points", "mona");
-    if (monaP) {
-      // Always create Mona (even after done), dialogue handles variant text.
-      this.mona = this.makeNPC(monaP.x, monaP.y, "Mona");
-    } else {
-      console.warn('[ForestScene] Missing Points object "npc_mona"');
-    }
-
-    // Saga appears only if not already joined
-    if (!GameState.flags?.sagaJoined) {
-      const sagaP = this.getTiledPoint("Points", "npc_saga") ?? this.getTiledPoint("Points", "saga");
-      if (sagaP) {
-        this.sagaNPC = this.makeNPC(sagaP.x, sagaP.y, "Saga");
-      } else {
-        console.warn('[ForestScene] Missing Points object "npc_saga"');
-      }
-    } else {
-      this.sagaNPC = null;
-    }
-  }
-
   // ---------------------------------------------------------------------------
   // NPC interactions
   // ---------------------------------------------------------------------------
 
-  _registerNPCInteractables() {
-    const addNpcTalk = (npc, name, talkFn) => {
-      if (!npc) return;
-      this.interactables.push({
-        getPos: () => ({ x: npc.rect.x, y: npc.rect.y }),
-        maxDist: 22,
-        prompt: `Press Z to talk to ${name}`,
-        isEnabled: () => npc.rect.visible,
-        action: talkFn,
-      });
-    };
-
-    addNpcTalk(this.mona, "Mona", () => this._talkMona());
-
-    if (this.sagaNPC) addNpcTalk(this.sagaNPC, "Saga", () => this._talkSaga());
-  }
-
     _talkMona() {
     const sagaHere = !!GameState.flags?.sagaJoined;
     const bushes = Math.min(Number(GameState.flags?.__strawberryBushes ?? 0) || 0, 4);
@@ -362,11 +267,7 @@ export default class ForestScene extends BaseExploreScene {
             text: "Yes",
             next: 5,
             onSelect: () => {
-              if (!GameState.flags) GameState.flags = {};
-              GameState.flags.sagaJoined = true;
-
-              this.destroyNPC(this.sagaNPC);
-              this.sagaNPC = null;
+              setFlag("sagaJoined", true);
 
               this.syncFollowersFromGameState();
               markSceneProgress("ForestScene");
@@ -0,0 +1,88 @@
+import MenuList from "../systems/MenuList.js";
+import { DIALOGUE_TEXT_STYLE } from "../systems/DialogueBox.js";
+import { ENDINGS } from "../systems/Endings.js";
+import { getEndingRecord, countUnlockedEndings } from "../systems/MetaProgress.js";
+import { formatPlayTime } from "../systems/SaveSystem.js";
+import { shakeCamera } from "../systems/Settings.js";
+
+/**
+ * Ending gallery (meta progress, see systems/MetaProgress.js).
+ *
+ * Z replays an unlocked epilogue with the ending's best stats and comes back here.
+ * init data: returnScene (ESC), index (selected row).
+ */
+export default class GalleryScene extends Phaser.Scene {
+  constructor() {
+    super("GalleryScene");
+  }
+
+  init(data) {
+    this.returnScene = data?.returnScene ?? "TitleScene";
+    this.startIndex = Number(data?.index) || 0;
+  }
+
+  create() {
+    this.cameras.main.setBackgroundColor("#000000");
+    const { width, height } = this.cameras.main;
+
+    this.add.text(14, 12, `Endings  ${countUnlockedEndings()}/${ENDINGS.length}`, { ...DIALOGUE_TEXT_STYLE, fontSize: "12px" });
+
+    this.menu = new MenuList(this, {
+      x: 24,
+      y: 34,
+      index: this.startIndex,
+      items: ENDINGS.map((e) => {
+        const rec = getEndingRecord(e.id);
+        return {
+          label: rec ? e.title : "???",
+          color: rec ? undefined : "#606060",
+          action: () => this._replay(e, rec),
+        };
+      }),
+      onChange: (i) => this._renderDetail(i),
+      onCancel: () => this.scene.start(this.returnScene),
+    });
+
+    this.detailText = this.add.text(14, 34 + ENDINGS.length * 14 + 12, "", {
+      ...DIALOGUE_TEXT_STYLE,
+      fontSize: "8px",
+      fill: "#b0b0b0",
+      wordWrap: { width: width - 28 },
+    });
+    this._renderDetail(this.menu.index);
+
+    this.add
+      .text(14, height - 12, "W/S: Select   Z: Replay   ESC: Back", { ...DIALOGUE_TEXT_STYLE, fontSize: "8px", fill: "#b0b0b0" })
+      .setOrigin(0, 1);
+  }
+
+  _renderDetail(i) {
+    const rec = getEndingRecord(ENDINGS[i]?.id);
+    if (!rec) {
+      this.detailText.setText("Locked.");
+      return;
+    }
+
+    const best = rec.best ?? {};
+    const lines = [
+      `First seen: ${new Date(rec.firstSeenAt).toLocaleDateString()}   Times seen: ${rec.timesSeen}`,
+      `Best HelpScore: ${best.helpScore ?? "-"}   Best time: ${formatPlayTime(best.realTimeMs)}`,
+    ];
+    if (best.entryMs != null) lines.push(`Fastest mine entry: ${formatPlayTime(best.entryMs)}`);
+    this.detailText.setText(lines.join("\n"));
+  }
+
+  _replay(ending, rec) {
+    if (!rec) {
+      shakeCamera(this.cameras.main, 80, 0.004);
+      return;
+    }
+
+    this.scene.start(ending.sceneKey, {
+      replay: true,
+      stats: rec.best ?? {},
+      returnScene: "GalleryScene",
+      returnData: { returnScene: this.returnScene, index: this.menu.index },
+    });
+  }
+}
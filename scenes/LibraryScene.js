@@ -4,13 +4,15 @@ import {
   addHelp,
   markHelped,
   isHelped,
-  setTransition,
   markSceneProgress,
-  onLeaveScene,
   isWorldEnding,
   setLayerHidden,
+  setFlag,
 } from "../systems/GameState.js";
+import { EVENTS, subscribe } from "../systems/GameEvents.js";
+import { resolveEnding } from "../systems/Endings.js";
 import { ASSETS } from "../systems/Assets.js";
+import { transitionTo, resolveSpawnPoint } from "../systems/SceneTransitions.js";
 
 export default class LibraryScene extends BaseExploreScene {
   constructor() {
@@ -18,54 +20,6 @@ export default class LibraryScene extends BaseExploreScene {
     this._lastMusicMood = "";
   }
 
-  /**
-   * Single-direction idle-loop NPC (no facing system).
-   * Expects `texKey` to be a spritesheet with frames.
-   * Returns `{ rect, label, name, isSprite, animKey }` to match existing interactable usage.
-   */
-  makeIdleLoopNPC(x, y, name, texKey, opts = {}) {
-    const animKey = String(opts.animKey ?? `${texKey}_idle`);
-    const frames = Array.isArray(opts.frames) ? opts.frames : [0, 1, 2, 3];
-    const frameRate = Number(opts.frameRate ?? 4);
-    const repeat = Number.isFinite(opts.repeat) ? Number(opts.repeat) : -1;
-
-    const scale = Number(opts.scale ?? 1);
-    const originX = Number(opts.originX ?? 0.5);
-    const originY = Number(opts.originY ?? 0.8);
-    const depth = Number(opts.depth ?? 999);
-
-    if (!this.anims.exists(animKey)) {
-      this.anims.create({
-        key: animKey,
-        frames: frames.map((f) => ({ key: texKey, frame: f })),
-        frameRate,
-        repeat,
-      });
-    }
-
-    const spr = this.add.sprite(x, y, texKey, frames[0]);
-    spr.setDepth(depth);
-    spr.setScale(scale);
-    spr.setOrigin(originX, originY);
-    spr.play(animKey);
-
-    const label = this.addWorldText(
-      x - 10,
-      y + 10,
-      name,
-      { fontSize: "7px", fill: "#aaaaaa" },
-      { depth: depth + 1 }
-    );
-
-    return {
-      rect: spr,
-      label,
-      name,
-      isSprite: true,
-      animKey,
-    };
-  }
-
   create() {
     this.baseCreate({
       title: "Giant Library",
@@ -107,64 +61,18 @@ export default class LibraryScene extends BaseExploreScene {
 
     const P = "Points";
 
-    // Spawn-from-forest support for Tiled (point)
-    const spawnFromForest = this.getTiledPoint(P, "spawn_from_forest");
-    if (GameState.transition?.fromScene === "ForestScene" && spawnFromForest) {
-      this.player.x = spawnFromForest.x;
-      this.player.y = spawnFromForest.y;
-      this.player.body.reset(spawnFromForest.x, spawnFromForest.y);
+    // Spawn from the exit that brought us here (EXIT_SPAWNS), e.g. spawn_from_forest
+    const spawn = resolveSpawnPoint(this, null, P);
+    if (spawn) {
+      this.player.x = spawn.x;
+      this.player.y = spawn.y;
+      this.player.body.reset(spawn.x, spawn.y);
     }
 
-    // NPC points
-    const snoopyPos = this.getTiledPoint(P, "npc_snoopy");
-    const aresPos = this.getTiledPoint(P, "npc_ares");
-    const leafeonPos = this.getTiledPoint(P, "npc_leafeon");
-
-    // Snoopy: custom idle loop (single direction, 4 frames)
-    this.snoopy = this.makeIdleLoopNPC(snoopyPos?.x ?? 140, snoopyPos?.y ?? 120, "Snoopy", "npc_snoopy", {
-      frames: [0, 1, 2, 3],
-      frameRate: 4,
-      originY: 0.8,
-      scale: 1,
-    });
-
-    // Others: keep standard NPC system
-    this.ares = this.makeNPC(aresPos?.x ?? 120, aresPos?.y ?? 160, "Ares");
-    this.registerSpawnedNpc("Ares", this.ares);
-    this.leafeon = this.makeNPC(leafeonPos?.x ?? 220, leafeonPos?.y ?? 150, "Leafeon");
-    this.registerSpawnedNpc("Leafeon", this.leafeon);
-
-    // Doors
-    const exitForest = this.getTiledPoint(P, "exit_to_forest");
-    const exitMine = this.getTiledPoint(P, "exit_to_minesweeper");
-
-    if (exitForest) {
-      this.addDoorZone(
-        exitForest.x,
-        exitForest.y,
-        24,
-        48,
-        "← Forest",
-        exitForest.x + 18,
-        exitForest.y - 18,
-        "Press Z to return to Forest",
-        () => this._goToForest()
-      );
-    }
-
-    if (exitMine) {
-      this.addDoorZone(
-        exitMine.x,
-        exitMine.y,
-        24,
-        48,
-        "→ Mine",
-        exitMine.x - 60,
-        exitMine.y - 18,
-        "Press Z to enter Mine",
-        () => this._goToMine()
-      );
-    }
+    // NPCs layer in Library.tmj (Snoopy uses an idle loop via idleFrames)
+    this.snoopy = this.getNpc("Snoopy");
+    this.ares = this.getNpc("Ares");
+    this.leafeon = this.getNpc("Leafeon");
 
     // Per-scene flags container
     GameState.flags = GameState.flags ?? {};
@@ -175,8 +83,8 @@ export default class LibraryScene extends BaseExploreScene {
     // Start correct music now
     this._updateLibraryMusic(true);
 
-    this._registerNPCInteractables();
     this._updateHUD();
+    subscribe(this, [EVENTS.HELP_CHANGED, EVENTS.STATE_REPLACED], () => this._updateHUD());
   }
 
   update() {
@@ -185,8 +93,6 @@ export default class LibraryScene extends BaseExploreScene {
 
     // Swap music when mood flips (8 minutes global time)
     this._updateLibraryMusic(false);
-
-    this._updateHUD();
   }
 
   _libraryMood() {
@@ -206,59 +112,33 @@ export default class LibraryScene extends BaseExploreScene {
     }
   }
 
-  _registerNPCInteractables() {
-    const addNpcTalk = (npc, name, talkFn) => {
-      this.interactables.push({
-        id: `npc_${name.toLowerCase()}_talk`,
-        selectable: true,
-        getPos: () => ({ x: npc.rect.x, y: npc.rect.y }),
-        maxDist: 26,
-        prompt: `Press Z to talk to ${name}`,
-        isEnabled: () => npc.rect.visible,
-        action: talkFn,
-      });
-    };
-
-  //  addNpcTalk(this.snoopy, "Snoopy", () => this._talkSnoopy());
-  //  addNpcTalk(this.ares, "Ares", () => this._talkAres());
-  //  addNpcTalk(this.leafeon, "Leafeon", () => this._talkLeafeon());
+  // Doors come from the Portals layer; only the mine entrance needs scene logic.
+  onPortal(portal) {
+    if (portal.targetScene !== "MinesweeperScene") return false;
+    this._goToMine(portal);
+    return true;
   }
 
-  _goToForest() {
-    onLeaveScene("LibraryScene");
-    setTransition("LibraryScene", "ForestScene", "toForest");
-    this.scene.start("ForestScene");
-  }
-
-  _goToMine() {
-    // After 8 minutes global time (paused during dialogue), entering Mine triggers EpilogueWorldScene.
-    if (isWorldEnding()) {
-      this.scene.start("EpilogueWorldScene");
-      return;
-    }
-
+  _goToMine(portal) {
     // Record first time the player reaches the mine entrance (speedrun uses this).
-    if (GameState.flags.minesweeperEntryMs == null) {
-      GameState.flags.minesweeperEntryMs = GameState.realTimeMs ?? 0;
-    }
-
-    // Endings decided immediately on entering the mine from the Library.
-    // Priority: minus-help overrides speedrun.
-    if ((GameState.helpScore ?? 0) < 0) {
-      onLeaveScene("LibraryScene");
-      this.scene.start("EpilogueMinusHelpScene");
-      return;
+    // After 8 minutes global time the world has ended and the mine is never entered.
+    if (!isWorldEnding() && GameState.flags.minesweeperEntryMs == null) {
+      setFlag("minesweeperEntryMs", GameState.realTimeMs ?? 0);
     }
 
-    if ((GameState.realTimeMs ?? 0) <= 60_000) {
-      onLeaveScene("LibraryScene");
-      this.scene.start("EpilogueSpeedrunScene");
+    // Endings decided immediately on entering the mine (world / minus-help / speedrun).
+    const ending = resolveEnding("mineEntry");
+    if (ending) {
+      transitionTo(this, ending.sceneKey, { leave: ending.id !== "world", durationMs: 600 });
       return;
     }
 
-    onLeaveScene("LibraryScene");
-    setTransition("LibraryScene", "MinesweeperScene", "toMine");
-    this.scene.start("MinesweeperScene");
+    transitionTo(this, portal.targetScene, {
+      exitId: portal.id,
+      spawn: portal.targetSpawn,
+      effect: portal.effect,
+      durationMs: portal.durationMs,
+    });
   }
 
   _updateHUD() {
@@ -0,0 +1,116 @@
+import MenuList from "../systems/MenuList.js";
+import { DIALOGUE_TEXT_STYLE } from "../systems/DialogueBox.js";
+import { GameState } from "../systems/GameState.js";
+import { listSaveSlots, loadFromSlot, slotTitle, summaryLine } from "../systems/SaveSystem.js";
+import { getLatestCheckpointSummary, restoreLatestCheckpoint } from "../systems/Autosave.js";
+import { promptImportSaveCode, pickAndImportSaveFile } from "../systems/SaveTransfer.js";
+
+/**
+ * Load screen: manual slots, the latest autosave checkpoint, save code / file import.
+ * init data:
+ *  - returnScene / returnData for "Back"
+ *  - closeScenes: scenes to stop once a load succeeds (e.g. the game scene paused under PauseScene)
+ */
+export default class LoadScene extends Phaser.Scene {
+  constructor() {
+    super("LoadScene");
+  }
+
+  init(data) {
+    this.returnScene = data?.returnScene ?? "TitleScene";
+    this.returnData = data?.returnData ?? {};
+    this.closeScenes = data?.closeScenes ?? [];
+  }
+
+  create() {
+    this.scene.bringToTop();
+    this.cameras.main.setBackgroundColor("#000000");
+    const { width, height } = this.cameras.main;
+
+    this.add.text(14, 12, "Load", { ...DIALOGUE_TEXT_STYLE, fontSize: "12px" });
+
+    const items = listSaveSlots().map(({ slotId, empty, summary }) => {
+      if (empty) return { label: `${slotTitle(slotId)}   (empty)`, enabled: false };
+      if (summary.error) {
+        return { label: `${slotTitle(slotId)}   (unreadable)`, color: "#ffb3b3", detail: summary.error, action: () => {} };
+      }
+      return {
+        label: `${slotTitle(slotId)}   ${summaryLine(summary)}`,
+        detail: `Saved ${new Date(summary.savedAt).toLocaleString()}`,
+        action: () => this._report(loadFromSlot(this, slotId)),
+      };
+    });
+
+    const checkpoint = getLatestCheckpointSummary();
+    items.push(
+      checkpoint
+        ? {
+            label: `Checkpoint   ${summaryLine(checkpoint)}`,
+            detail: `Autosaved ${new Date(checkpoint.savedAt).toLocaleString()}`,
+            action: () => this._report(restoreLatestCheckpoint(this)),
+          }
+        : { label: "Checkpoint   (none)", enabled: false },
+      { label: "Paste save code", action: () => this._runAsync(() => promptImportSaveCode(this)) },
+      { label: "Import save file", action: () => this._runAsync(() => pickAndImportSaveFile(this)) },
+      { label: "Back", action: () => this._back() }
+    );
+
+    this.menu = new MenuList(this, {
+      x: 24,
+      y: 34,
+      items,
+      onChange: (_, item) => this.detailText.setText(item.detail ?? ""),
+      onCancel: () => this._back(),
+    });
+
+    this.detailText = this.add.text(14, height - 40, "", {
+      ...DIALOGUE_TEXT_STYLE,
+      fontSize: "8px",
+      fill: "#b0b0b0",
+      wordWrap: { width: width - 28 },
+    });
+    this.detailText.setText(items[this.menu.index]?.detail ?? "");
+
+    this.add
+      .text(14, height - 12, "W/S: Select   Z: Load   ESC: Back", { ...DIALOGUE_TEXT_STYLE, fontSize: "8px", fill: "#b0b0b0" })
+      .setOrigin(0, 1);
+  }
+
+  _back() {
+    this.scene.start(this.returnScene, this.returnData);
+  }
+
+  _report(res) {
+    if (res?.ok) {
+      this._closeOtherScenes();
+      return;
+    }
+    if (!this.detailText?.active) return;
+    if (res?.error) this.detailText.setText(res.error).setColor("#ffb3b3");
+  }
+
+  async _runAsync(fn) {
+    this.menu.setInputEnabled(false);
+    const res = await fn();
+    if (res?.ok) {
+      this._closeOtherScenes();
+      return;
+    }
+    // The menu is gone if the scene was left while waiting.
+    if (this.menu?.scene) {
+      this.menu.setInputEnabled(true);
+      this._report(res);
+    }
+  }
+
+  // The loaded scene was just started; anything still paused underneath goes away
+  // (unless it IS the loaded scene, which scene.start already restarts).
+  // closeScenes means we came from the pause menu, whose sound.pauseAll() is undone here.
+  _closeOtherScenes() {
+    const target = GameState.transition?.toScene;
+    for (const key of this.closeScenes) {
+      if (key && key !== target) this.scene.stop(key);
+    }
+    if (this.closeScenes.length) this.sound.resumeAll();
+  }
+}
@@ -0,0 +1,134 @@
+import BaseExploreScene from "./BaseExploreScene.js";
+import { ASSETS, mapSceneKey, titleCase } from "../systems/Assets.js";
+import { parseProps, splitCsv } from "../systems/TiledProps.js";
+import { resolveSpawnPoint } from "../systems/SceneTransitions.js";
+
+/**
+ * Explore scene driven entirely by a Tiled map: one instance per ASSETS.maps entry
+ * that has no hand-written scene (see createMapScenes). Exits come from the
+ * Portals layer, interactions from Interactables, as in every BaseExploreScene.
+ *
+ * Map properties (Map > Map Properties in Tiled, all optional):
+ *  - title: HUD title (default: map id)
+ *  - music, musicVolume: MUSIC_TRACKS / ASSETS.sfx name
+ *  - tilesets: "Tiled name=assetId, ..." bindings; unbound tilesets are matched to
+ *    ASSETS.tilesets by image file name
+ *  - activeTileset: assetId for the tile picker (default: first bound tileset)
+ *  - overPlayerLayers, roofLayers, collisionTileLayers: csv of tile layer names
+ *  - collidersLayer (default "Collideables"), interactablesLayer, portalsLayer
+ *  - pointsLayer (default "Points"), spawn (default "spawnpoint")
+ *  - cameraZoom (default 1)
+ */
+
+function basename(path) {
+  return String(path ?? "").split(/[\\/]/).pop().split("?")[0].toLowerCase();
+}
+
+/**
+ * One MapScene per ASSETS.maps entry whose scene key isn't taken by a hand-written scene.
+ * @param {string[]} takenKeys scene keys registered with their own class
+ */
+export function createMapScenes(takenKeys = []) {
+  const taken = new Set(takenKeys);
+  return Object.keys(ASSETS.maps ?? {})
+    .filter((id) => !taken.has(mapSceneKey(id)))
+    .map((id) => new MapScene(id));
+}
+
+// Tiled name -> Phaser texture key for every tileset the map uses.
+function resolveTilesets(data, props, mapKey) {
+  const explicit = {};
+  for (const pair of splitCsv(props.tilesets)) {
+    const [name, assetId] = pair.split("=").map((s) => s.trim());
+    if (name && assetId) explicit[name] = assetId;
+  }
+
+  const out = [];
+  for (const ts of data.tilesets ?? []) {
+    if (ts.source) {
+      console.warn(`[MapScene] ${mapKey}: external tileset "${ts.source}" is not supported; embed it in Tiled.`);
+      continue;
+    }
+
+    const assetId = explicit[ts.name];
+    const def = assetId
+      ? ASSETS.tilesets[assetId]
+      : Object.values(ASSETS.tilesets ?? {}).find((d) => basename(d.url) === basename(ts.image));
+    if (!def) {
+      console.warn(`[MapScene] ${mapKey}: no ASSETS.tilesets entry for tileset "${ts.name}" (${ts.image}).`);
+      continue;
+    }
+
+    out.push({
+      name: ts.name,
+      key: def.key,
+      tileW: ts.tilewidth,
+      tileH: ts.tileheight,
+      margin: ts.margin ?? 0,
+      spacing: ts.spacing ?? 0,
+    });
+  }
+  return out;
+}
+
+export default class MapScene extends BaseExploreScene {
+  constructor(mapId) {
+    super(mapSceneKey(mapId));
+    this.mapId = mapId;
+  }
+
+  create() {
+    const def = ASSETS.maps[this.mapId];
+    const data = this.cache.tilemap.get(def?.key)?.data;
+    if (!data) {
+      console.error(`[MapScene] Map "${this.mapId}" is not loaded (ASSETS.maps.${this.mapId}).`);
+      this.scene.start("TitleScene");
+      return;
+    }
+
+    const props = parseProps(data);
+    const tilesets = resolveTilesets(data, props, def.key);
+    const activeTileset = ASSETS.tilesets[String(props.activetileset ?? "").trim()]?.key ?? tilesets[0]?.key;
+
+    this.baseCreate({
+      title: String(props.title ?? titleCase(this.mapId)),
+      spawnX: 32,
+      spawnY: 32,
+      cameraZoom: Number(props.camerazoom ?? 1) || 1,
+      tiled: {
+        mapKey: def.key,
+        tilesets,
+        objectLayers: {
+          colliders: String(props.colliderslayer ?? "Collideables"),
+          interactables: String(props.interactableslayer ?? "Interactables"),
+          portals: String(props.portalslayer ?? "Portals"),
+        },
+        overPlayerLayers: splitCsv(props.overplayerlayers),
+        roofLayers: props.rooflayers !== undefined ? splitCsv(props.rooflayers) : undefined,
+        collisionTileLayers: splitCsv(props.collisiontilelayers),
+        setActiveTilesetKey: activeTileset,
+      },
+    });
+
+    const P = String(props.pointslayer ?? "Points");
+    const fallback = this.getTiledPoint(P, String(props.spawn ?? "spawnpoint"));
+    const spawn = resolveSpawnPoint(this, fallback, P);
+    if (spawn) {
+      this.player.x = spawn.x;
+      this.player.y = spawn.y;
+      this.player.body.reset(spawn.x, spawn.y);
+    } else {
+      console.warn(`[MapScene] ${this.scene.key}: no spawn point "${props.spawn ?? "spawnpoint"}" in layer "${P}".`);
+    }
+
+    const music = String(props.music ?? "").trim();
+    if (music) {
+      const volume = props.musicvolume !== undefined ? Number(props.musicvolume) : undefined;
+      this.setSceneMusic(music, { volume });
+    }
+  }
+
+  update() {
+    this.baseUpdateFrame();
+  }
+}
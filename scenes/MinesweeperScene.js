@@ -1,52 +1,28 @@
 import DialogueBox from "../systems/DialogueBox.js";
 import { ensureCharacterAnims, playCharacterAnim } from "../systems/CharacterAnims.js";
-import { GameState, addScore, setFlag, isTrueReady, canWorldInteract } from "../systems/GameState.js";
-import { ASSETS } from "../systems/Assets.js";
+import { GameState, addScore, addHelp, setHelpScore, setFlag, isTrueReady, canWorldInteract } from "../systems/GameState.js";
+import { resolveEnding } from "../systems/Endings.js";
+import { openPauseMenu } from "./PauseScene.js";
+import { shakeCamera } from "../systems/Settings.js";
+import { getAudio } from "../systems/AudioManager.js";
+import { startSceneMusic, playEntryStinger } from "../systems/SceneMusic.js";
+import { transitionTo, isTransitioning, playEnterTransition } from "../systems/SceneTransitions.js";
 
 
 export default class MinesweeperScene extends Phaser.Scene {
   constructor() {
     super("MinesweeperScene");
-    this._bgm = null;
-    this._bgmKey = "";
+    this.audio = null;
   }
 
 
-  _pickEndingScene(defaultSceneKey) {
-    const flags = GameState.flags ?? {};
-    const helpScore = Number(GameState.helpScore ?? 0);
-
-    // Priority: minus help overrides speedrun.
-    if (helpScore < 0) return "EpilogueMinusHelpScene";
-
-    const entryMs = Number(flags.minesweeperEntryMs ?? NaN);
-    const isSpeedrun = Number.isFinite(entryMs) && entryMs <= 60_000;
-    if (isSpeedrun) return "EpilogueSpeedrunScene";
-
-    const hasParty = flags.sagaJoined === true && flags.aloiseFollowing === true;
-    if (hasParty) return "EpiloguePartyScene";
-
-    return defaultSceneKey;
-  }
-
-  _audioExists(key) {
-    return !!this.cache?.audio?.exists?.(key);
-  }
-
-  _resolveAudioKey(nameOrKey) {
-    const s = String(nameOrKey ?? "").trim();
-    if (!s) return "";
-    if (this._audioExists(s)) return s;
-
-    const def = ASSETS.sfx?.[s];
-    const mapped = def?.key ?? "";
-    if (mapped && this._audioExists(mapped)) return mapped;
-
-    return "";
+  _goToEnding() {
+    const ending = resolveEnding("napper");
+    transitionTo(this, ending.sceneKey, { leave: false, durationMs: 600 });
   }
 
   _playBgm() {
-    const key = this._resolveAudioKey("minesweeper") || this._resolveAudioKey("sfx_minesweeper");
+    const key = this.audio.resolveKey("minesweeper") || this.audio.resolveKey("sfx_minesweeper");
     // Diagnostics: show whether audio is locked by autoplay policy.
     try {
       console.log("[MinesweeperScene] sound.locked?", this.sound?.locked, "key:", key);
@@ -65,37 +41,21 @@ export default class MinesweeperScene extends Phaser.Scene {
     if (!key) {
       console.warn("[MinesweeperScene] minesweeper music missing. Expected ASSETS.sfx.minesweeper.key='sfx_minesweeper' and audio preloaded.");
       // Helpful diagnostics
-      try { console.log("[MinesweeperScene] cache has sfx_minesweeper?", this._audioExists("sfx_minesweeper")); } catch (_) {}
+      try { console.log("[MinesweeperScene] cache has sfx_minesweeper?", this.audio.exists("sfx_minesweeper")); } catch (_) {}
       return;
     }
 
-    if (this._bgmKey === key && this._bgm?.isPlaying) return;
-
-    this._stopBgm();
-    this._bgmKey = key;
-    this._bgm = this.sound.add(key, { loop: true, volume: 0.35 });
-    this._bgm.__sceneOwned = true;
-    try {
-      this._bgm.play();
-      console.log("[MinesweeperScene] bgm started?", this._bgm?.isPlaying, "volume:", this._bgm?.volume);
-    } catch (e) {
-      console.error("[MinesweeperScene] play() failed:", e);
-    }
-  }
-
-  _stopBgm() {
-    if (this._bgm) {
-      try { this._bgm.stop(); } catch (_) {}
-      try { this._bgm.destroy(); } catch (_) {}
-    }
-    this._bgm = null;
-    this._bgmKey = "";
+    // Hard switch (fadeMs 0) like before; owned by this scene, so it stops on shutdown.
+    // No MUSIC_TRANSITIONS rule targets this scene, so the Library track never carries in.
+    const bgm = startSceneMusic(this, key, { volume: 0.35, loop: true, fadeMs: 0 });
+    console.log("[MinesweeperScene] bgm started?", bgm?.isPlaying, "volume:", bgm?.volume);
   }
 
 
   create() {
-    this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => this._stopBgm());
-    this.events.once(Phaser.Scenes.Events.DESTROY, () => this._stopBgm());
+    this.audio = getAudio(this);
+    this.audio.attachScene(this);
+    playEntryStinger(this);
     this._playBgm();
 
     this.cameras.main.setBackgroundColor("#050505");
@@ -112,6 +72,8 @@ export default class MinesweeperScene extends Phaser.Scene {
       left: "A",
       right: "D",
       interact: "Z",
+      pause: "ESC",
+      pauseAlt: "ENTER",
     });
 
     // Board config
@@ -234,14 +196,29 @@ export default class MinesweeperScene extends Phaser.Scene {
     this._revealAt(this.playerCell.c, this.playerCell.r, true);
     this._updateHUD();
     this._updateNapperFacing();
+
+    playEnterTransition(this);
   }
 
   update() {
+    if (isTransitioning(this)) {
+      this.promptText.setText("");
+      return;
+    }
+
     if (this.dialogue.isActive()) {
       this.promptText.setText("");
       return;
     }
 
+    // Both keys are read every frame (JustDown consumes the press), so no short-circuit here.
+    const esc = Phaser.Input.Keyboard.JustDown(this.keys.pause);
+    const enter = Phaser.Input.Keyboard.JustDown(this.keys.pauseAlt);
+    if ((esc || enter) && canWorldInteract(this)) {
+      openPauseMenu(this);
+      return;
+    }
+
     this._updateHUD();
     this._updateNapperFacing();
 
@@ -411,7 +388,7 @@ export default class MinesweeperScene extends Phaser.Scene {
     });
 
     if (this.bombs.has(`${nc},${nr}`)) {
-      this.cameras.main.shake(140, 0.006);
+      shakeCamera(this.cameras.main, 140, 0.006);
 
       this.tiles[nr][nc].setFillStyle(0xffffff, 0.35);
       this.time.delayedCall(120, () => {
@@ -479,8 +456,8 @@ export default class MinesweeperScene extends Phaser.Scene {
 
       // Reward once for clearing the board (+8 HelpScore).
       if (!GameState.flags.__ms_help_rewarded) {
-        GameState.flags.__ms_help_rewarded = true;
-        GameState.helpScore += 8;
+        setFlag("__ms_help_rewarded", true);
+        addHelp(8);
       }
 
       this.cameras.main.flash(180, 255, 255, 255);
@@ -633,7 +610,7 @@ export default class MinesweeperScene extends Phaser.Scene {
   _talkToNapper() {
     const bothFollowers = !!GameState.flags.sagaJoined && !!GameState.flags.aloiseFollowing;
     if (bothFollowers && !GameState.flags.__ms_napper_easteregg) {
-      GameState.flags.__ms_napper_easteregg = true;
+      setFlag("__ms_napper_easteregg", true);
 
       const egg = [
         { type: "say", speaker: "Napper", text: "…" },
@@ -655,7 +632,7 @@ export default class MinesweeperScene extends Phaser.Scene {
     const trueEligible = isTrueReady() && GameState.flags.minesweeperBoardCleared;
 
     if (trueEligible) {
-      GameState.helpScore = 88;
+      setHelpScore(88);
 
       const script = [
         { type: "say", speaker: "Napper", text: "…" },
@@ -676,7 +653,7 @@ export default class MinesweeperScene extends Phaser.Scene {
 
       this.dialogue.start(script, this.keys, () => {
         addScore(12);
-        this.scene.start(this._pickEndingScene("EpilogueTrueScene"));
+        this._goToEnding();
       });
       return;
     }
@@ -724,8 +701,6 @@ export default class MinesweeperScene extends Phaser.Scene {
       { type: "end" },
     ];
 
-    this.dialogue.start(script, this.keys, () => {
-      this.scene.start(this._pickEndingScene("EpilogueNormalScene"));
-    });
+    this.dialogue.start(script, this.keys, () => this._goToEnding());
   }
 }
@@ -0,0 +1,59 @@
+import MenuList from "../systems/MenuList.js";
+import { DIALOGUE_TEXT_STYLE } from "../systems/DialogueBox.js";
+import { getLastRun } from "../systems/MetaProgress.js";
+import { CARRY_RULES, getCarryChoices, setCarryChoice, startNewGamePlus } from "../systems/NewGamePlus.js";
+
+/**
+ * Pick what carries over from the last completed run, then start New Game+.
+ */
+export default class NewGamePlusScene extends Phaser.Scene {
+  constructor() {
+    super("NewGamePlusScene");
+  }
+
+  create() {
+    this.cameras.main.setBackgroundColor("#000000");
+    const { height } = this.cameras.main;
+
+    const last = getLastRun();
+    this.add.text(14, 12, "New Game+", { ...DIALOGUE_TEXT_STYLE, fontSize: "12px" });
+    this.add.text(14, 28, `Carry over from run ${last?.runNumber ?? 1}:`, { ...DIALOGUE_TEXT_STYLE, fontSize: "8px", fill: "#b0b0b0" });
+
+    const toggle = (rule) => setCarryChoice(rule.id, !getCarryChoices().has(rule.id));
+
+    const items = CARRY_RULES.map((rule) => {
+      const available = !!last && rule.isAvailable(last);
+      return {
+        label: () => `[${available && getCarryChoices().has(rule.id) ? "x" : " "}] ${rule.label}${available ? "" : "  (not earned)"}`,
+        enabled: available,
+        action: () => {
+          toggle(rule);
+          this.menu.refresh();
+        },
+        adjust: () => toggle(rule),
+      };
+    });
+
+    items.push(
+      {
+        label: "Start",
+        action: () => {
+          if (startNewGamePlus()) this.scene.start("CityScene");
+        },
+      },
+      { label: "Back", action: () => this.scene.start("TitleScene") }
+    );
+
+    this.menu = new MenuList(this, {
+      x: 24,
+      y: 44,
+      items,
+      index: items.length - 2,
+      onCancel: () => this.scene.start("TitleScene"),
+    });
+
+    this.add
+      .text(14, height - 12, "W/S: Select   Z: Toggle   ESC: Back", { ...DIALOGUE_TEXT_STYLE, fontSize: "8px", fill: "#b0b0b0" })
+      .setOrigin(0, 1);
+  }
+}
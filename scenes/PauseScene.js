@@ -0,0 +1,154 @@
+import MenuList from "../systems/MenuList.js";
+import { DIALOGUE_TEXT_STYLE } from "../systems/DialogueBox.js";
+import { SAVE_SLOTS, getSlotSummary, saveToSlot, slotTitle, summaryLine } from "../systems/SaveSystem.js";
+import { exportSaveFile, promptExportSaveCode } from "../systems/SaveTransfer.js";
+import { getAudio } from "../systems/AudioManager.js";
+
+/**
+ * Pauses `scene` (an explore scene or Minesweeper) under the PauseScene overlay.
+ *
+ * scene.pause() stops the scene's update(), so BaseExploreScene._tickGlobalRealTime
+ * (and with it the WORLD_END_MS deadline) is frozen; sound.pauseAll() freezes music/ambience.
+ */
+export function openPauseMenu(scene) {
+  if (scene.scene.isActive("PauseScene")) return;
+
+  // Keys released while paused never see their keyup; clear them so movement/pause work on resume.
+  scene.events.once("resume", () => scene.input.keyboard.resetKeys());
+
+  scene.sound.pauseAll();
+  scene.scene.launch("PauseScene", { pausedScene: scene.scene.key });
+  scene.scene.pause();
+  scene.scene.bringToTop("PauseScene");
+}
+
+export default class PauseScene extends Phaser.Scene {
+  constructor() {
+    super("PauseScene");
+  }
+
+  init(data) {
+    this.pausedScene = data?.pausedScene ?? null;
+  }
+
+  create() {
+    this.scene.bringToTop();
+    const { width, height } = this.cameras.main;
+
+    this.add.rectangle(0, 0, width, height, 0x000000, 0.7).setOrigin(0, 0);
+    this.titleText = this.add.text(width / 2, 40, "Paused", { ...DIALOGUE_TEXT_STYLE, fontSize: "14px" }).setOrigin(0.5);
+
+    this.messageText = this.add
+      .text(width / 2, height - 24, "", { ...DIALOGUE_TEXT_STYLE, fontSize: "8px", fill: "#b0b0b0" })
+      .setOrigin(0.5);
+
+    this.menu = new MenuList(this, { x: width / 2 - 90, y: 70, onCancel: () => this._onCancel() });
+    this._showMain();
+  }
+
+  // -------------------------
+  // Pages
+  // -------------------------
+
+  _showMain(index = 0) {
+    this.page = "main";
+    this.titleText.setText("Paused");
+    this.menu.setItems(
+      [
+        { label: "Resume", action: () => this._resume() },
+        { label: "Save", action: () => this._showSave() },
+        { label: "Load", action: () => this._goTo("LoadScene", { closeScenes: [this.pausedScene] }) },
+        { label: "Settings", action: () => this._goTo("SettingsScene") },
+        { label: "Quit to Title", action: () => this._showQuitConfirm() },
+      ],
+      index
+    );
+  }
+
+  _showSave() {
+    this.page = "save";
+    this.titleText.setText("Save");
+
+    const slotItem = (slotId) => ({
+      label: () => {
+        const s = getSlotSummary(slotId);
+        if (!s) return `${slotTitle(slotId)}   (empty)`;
+        if (s.error) return `${slotTitle(slotId)}   (unreadable)`;
+        return `${slotTitle(slotId)}   ${summaryLine(s)}`;
+      },
+      action: () => {
+        const res = saveToSlot(slotId, this.pausedScene);
+        this.messageText.setText(res ? `Saved to ${slotTitle(slotId)}.` : "Could not save (storage unavailable?).");
+        this.menu.refresh();
+      },
+    });
+
+    this.menu.setItems(
+      [
+        ...SAVE_SLOTS.map(slotItem),
+        {
+          label: "Export save file",
+          action: () => {
+            exportSaveFile(this.pausedScene);
+            this.messageText.setText("Save file downloaded.");
+          },
+        },
+        {
+          label: "Show save code",
+          action: async () => {
+            this.menu.setInputEnabled(false);
+            const res = await promptExportSaveCode(this.pausedScene);
+            if (!this.menu.scene) return;
+            this.menu.setInputEnabled(true);
+            if (!res.ok) this.messageText.setText(res.error);
+          },
+        },
+        { label: "Back", action: () => this._showMain(1) },
+      ],
+      0
+    );
+  }
+
+  _showQuitConfirm() {
+    this.page = "quit";
+    this.titleText.setText("Quit to title? Unsaved progress is lost.");
+    this.menu.setItems(
+      [
+        { label: "Cancel", action: () => this._showMain(4) },
+        { label: "Quit", action: () => this._quitToTitle() },
+      ],
+      0
+    );
+  }
+
+  _onCancel() {
+    this.messageText.setText("");
+    if (this.page === "main") this._resume();
+    else this._showMain(this.page === "save" ? 1 : 4);
+  }
+
+  // -------------------------
+  // Actions
+  // -------------------------
+
+  _resume() {
+    this.sound.resumeAll();
+    if (this.pausedScene) this.scene.resume(this.pausedScene);
+    this.scene.stop();
+  }
+
+  // Load / Settings run as full screens on top of the still-paused game scene and come back here.
+  _goTo(sceneKey, data = {}) {
+    this.scene.start(sceneKey, {
+      ...data,
+      returnScene: "PauseScene",
+      returnData: { pausedScene: this.pausedScene },
+    });
+  }
+
+  _quitToTitle() {
+    if (this.pausedScene) this.scene.stop(this.pausedScene);
+    getAudio(this).stopAll();
+    this.scene.start("TitleScene");
+  }
+}
@@ -0,0 +1,100 @@
+import MenuList from "../systems/MenuList.js";
+import { DIALOGUE_TEXT_STYLE } from "../systems/DialogueBox.js";
+import { TEXT_SPEEDS, getSetting, setSetting, applySettings, resetSettings, shakeCamera } from "../systems/Settings.js";
+
+function percent(v) {
+  return `${Math.round((Number(v) || 0) * 100)}%`;
+}
+
+/**
+ * init data: returnScene / returnData for "Back".
+ */
+export default class SettingsScene extends Phaser.Scene {
+  constructor() {
+    super("SettingsScene");
+  }
+
+  init(data) {
+    this.returnScene = data?.returnScene ?? "TitleScene";
+    this.returnData = data?.returnData ?? {};
+  }
+
+  create() {
+    this.scene.bringToTop();
+    this.cameras.main.setBackgroundColor("#000000");
+    const { height } = this.cameras.main;
+
+    this.add.text(14, 12, "Settings", { ...DIALOGUE_TEXT_STYLE, fontSize: "12px" });
+
+    const volumeItem = (name, title) => ({
+      label: () => `${title}   < ${percent(getSetting(name))} >`,
+      adjust: (dir) => {
+        setSetting(name, Math.round((getSetting(name) + dir * 0.1) * 10) / 10);
+        applySettings(this.game);
+      },
+      action: () => {},
+    });
+
+    const speeds = Object.keys(TEXT_SPEEDS);
+    const cycleTextSpeed = (dir) => {
+      const i = speeds.indexOf(getSetting("textSpeed"));
+      setSetting("textSpeed", speeds[(i + dir + speeds.length) % speeds.length]);
+    };
+    const toggleInstant = () => {
+      setSetting("instantText", !getSetting("instantText"));
+      this.menu.refresh();
+    };
+
+    this.menu = new MenuList(this, {
+      x: 24,
+      y: 34,
+      items: [
+        volumeItem("masterVolume", "Master volume"),
+        volumeItem("musicVolume", "Music"),
+        volumeItem("sfxVolume", "Sound effects"),
+        volumeItem("ambienceVolume", "Ambience"),
+        volumeItem("voiceVolume", "Voices"),
+        {
+          label: () => `Text speed   < ${getSetting("textSpeed")} >`,
+          enabled: () => !getSetting("instantText"),
+          adjust: cycleTextSpeed,
+          action: () => {
+            cycleTextSpeed(1);
+            this.menu.refresh();
+          },
+        },
+        {
+          label: () => `Instant text   ${getSetting("instantText") ? "On" : "Off"}`,
+          adjust: toggleInstant,
+          action: toggleInstant,
+        },
+        {
+          label: () => `Screen shake   < ${percent(getSetting("screenShake"))} >`,
+          adjust: (dir) => {
+            setSetting("screenShake", Math.round((getSetting("screenShake") + dir * 0.25) * 4) / 4);
+            shakeCamera(this.cameras.main, 120, 0.006);
+          },
+          action: () => {},
+        },
+        {
+          label: "Reset to defaults",
+          action: () => {
+            resetSettings();
+            applySettings(this.game);
+            this.menu.refresh();
+          },
+        },
+        { label: "Back", action: () => this._back() },
+      ],
+      onCancel: () => this._back(),
+    });
+
+    this.add
+      .text(14, height - 12, "W/S: Select   A/D: Change   ESC: Back", { ...DIALOGUE_TEXT_STYLE, fontSize: "8px", fill: "#b0b0b0" })
+      .setOrigin(0, 1);
+  }
+
+  _back() {
+    this.scene.start(this.returnScene, this.returnData);
+  }
+}
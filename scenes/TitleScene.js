@@ -0,0 +1,78 @@
+import MenuList from "../systems/MenuList.js";
+import { DIALOGUE_TEXT_STYLE } from "../systems/DialogueBox.js";
+import { resetGameState } from "../systems/GameState.js";
+import { listSaveSlots, loadFromSlot } from "../systems/SaveSystem.js";
+import { getLatestCheckpointSummary, restoreLatestCheckpoint } from "../systems/Autosave.js";
+import { countUnlockedEndings } from "../systems/MetaProgress.js";
+import { ENDINGS } from "../systems/Endings.js";
+import { canStartNewGamePlus } from "../systems/NewGamePlus.js";
+import { getAudio } from "../systems/AudioManager.js";
+
+// Newest readable save across the manual slots and the autosave checkpoint.
+function mostRecentSave() {
+  const all = listSaveSlots()
+    .map((s) => s.summary)
+    .filter((s) => s && !s.error);
+
+  const checkpoint = getLatestCheckpointSummary();
+  if (checkpoint) all.push(checkpoint);
+
+  return all.sort((a, b) => b.savedAt - a.savedAt)[0] ?? null;
+}
+
+export default class TitleScene extends Phaser.Scene {
+  constructor() {
+    super("TitleScene");
+  }
+
+  create() {
+    // A track started with carry=true has no owner any more; the title is silent.
+    getAudio(this).stopMusic({ fadeMs: 400 });
+
+    this.cameras.main.setBackgroundColor("#000000");
+    const { width, height } = this.cameras.main;
+
+    this.add.text(width / 2, 48, "Valentine", { ...DIALOGUE_TEXT_STYLE, fontSize: "20px" }).setOrigin(0.5);
+
+    const latest = mostRecentSave();
+
+    this.menu = new MenuList(this, {
+      x: width / 2 - 50,
+      y: 96,
+      items: [
+        { label: "New Game", action: () => this._newGame() },
+        { label: "New Game+", enabled: canStartNewGamePlus(), action: () => this.scene.start("NewGamePlusScene") },
+        {
+          label: latest ? `Continue  (${latest.sceneTitle} ${latest.playTime})` : "Continue",
+          enabled: !!latest,
+          action: () => this._continue(latest),
+        },
+        { label: "Load", action: () => this.scene.start("LoadScene", { returnScene: "TitleScene" }) },
+        { label: "Settings", action: () => this.scene.start("SettingsScene", { returnScene: "TitleScene" }) },
+        {
+          label: `Gallery  ${countUnlockedEndings()}/${ENDINGS.length}`,
+          action: () => this.scene.start("GalleryScene", { returnScene: "TitleScene" }),
+        },
+      ],
+    });
+
+    this.messageText = this.add
+      .text(width / 2, height - 28, "", { ...DIALOGUE_TEXT_STYLE, fontSize: "8px", fill: "#ffb3b3" })
+      .setOrigin(0.5);
+
+    this.add
+      .text(width / 2, height - 12, "W/S: Select   Z: Confirm", { ...DIALOGUE_TEXT_STYLE, fontSize: "8px", fill: "#b0b0b0" })
+      .setOrigin(0.5);
+  }
+
+  _newGame() {
+    resetGameState();
+    this.scene.start("CityScene");
+  }
+
+  _continue(latest) {
+    if (!latest) return;
+    const res = latest.slotId === "autosave" ? restoreLatestCheckpoint(this) : loadFromSlot(this, latest.slotId);
+    if (!res.ok) this.messageText.setText(res.error);
+  }
+}
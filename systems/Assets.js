@@ -5,12 +5,19 @@ export const ASSETS = {
     game: { family: "GameFont", url: "assets/fonts/GameFont4.ttf" },
   },
 
+  // A new area only needs an entry here: without a scene class of its own it runs as
+  // MapScene "<Id>Scene" (or `scene: "Key"`), configured by the .tmj map properties.
   maps: {
     city: { key: "map_city", url: "assets/maps/City.tmj" },
     forest: { key: "map_forest", url: "assets/maps/Forest.tmj" },
     library: { key: "map_library", url: "assets/maps/Library.tmj" },
   },
 
+  // Dialogue node files (systems/DialogueScripts.js); node ids are global across files.
+  dialogue: {
+    city: { key: "dlg_city", url: "assets/dialogue/city.json" },
+  },
+
   spritesheets: {
   player: { key: "player", url: "assets/sprites/characters/player/player.png", frameWidth: 16, frameHeight: 16, },
   npc_aloise: { key:"npc_aloise", url:"assets/sprites/characters/npcs/celeste.png", frameWidth:16, frameHeight:16 },
@@ -37,6 +44,15 @@ export const ASSETS = {
     library: { key: "ts_library", url: "assets/images/tilesets/libassetpack-tiled.png" },
   },
 
+  // Dialogue portraits, by speaker name (lowercase). Speakers without an entry
+  // fall back to the idle frame of their npc_<name> spritesheet.
+  //   key: texture (spritesheet or image); url (+ frameWidth/frameHeight) loads it
+  //   frame: default frame, side: "left" | "right"
+  //   expressions: { sad: 7 } (frame on `key`) or { sad: "portrait_xia_sad" } (texture)
+  portraits: {
+    saga: { key: "npc_saga", side: "right" },
+  },
+
   sfx: {
   knock: { key: "sfx_knock", url: "assets/audio/creatorshome_knock.mp3" },
   trashcan: { key: "sfx_trashcan", url: "assets/audio/trashcan.mp3" },
@@ -64,3 +80,14 @@ export const ASSETS = {
 
 },
 };
+
+/** "city" -> "City" (first letter only). */
+export function titleCase(s) {
+  const t = String(s ?? "");
+  return t.charAt(0).toUpperCase() + t.slice(1);
+}
+
+/** Scene key of an ASSETS.maps entry: `scene` or "<Id>Scene". */
+export function mapSceneKey(mapId) {
+  return ASSETS.maps[mapId]?.scene ?? `${titleCase(mapId)}Scene`;
+}
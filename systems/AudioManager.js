@@ -0,0 +1,398 @@
+// systems/AudioManager.js
+import { ASSETS } from "./Assets.js";
+import { AUDIO_BUSES, busLevel } from "./Settings.js";
+
+/**
+ * Game-level audio service, one per Phaser.Game (see getAudio()).
+ *
+ * Every sound goes through an AudioHandle that remembers its authored volume
+ * (e.g. city music 0.2) and bus. The real volume is recomputed every step as
+ *
+ *   base * fade gain * bus setting * lowest active duck factor for that bus
+ *
+ * so ducking, fades and settings changes never read back a volume that another
+ * system already modified.
+ *
+ * Ownership:
+ *  - handles are owned by the scene key passed as `owner` (attachScene() hooks
+ *    shutdown -> releaseScene()), ducks can be owned the same way
+ *  - there is one music track; with carry=true it survives its owner's shutdown
+ *    and the next playMusic() with the same key simply continues it
+ *  - music remembers where each track stopped; playMusic({ resume: true }) seeks there
+ *    (scene-level rules for all of this live in systems/SceneMusic.js)
+ */
+
+const DUCK_BUSES = Object.freeze(["music", "ambience"]);
+
+function clamp01(n, fallback = 1) {
+  const x = Number(n);
+  if (!Number.isFinite(x)) return fallback;
+  return Math.max(0, Math.min(1, x));
+}
+
+function clampInt(n, min, max) {
+  const x = Math.floor(Number(n));
+  if (!Number.isFinite(x)) return min;
+  return Math.max(min, Math.min(max, x));
+}
+
+class AudioHandle {
+  constructor(manager, sound, { key, bus, volume, owner, noDuck }) {
+    this.manager = manager;
+    this.sound = sound;
+    this.key = key;
+    this.bus = bus;
+    this.base = clamp01(volume);
+    this.gain = 1;
+    this.owner = owner;
+    this.noDuck = noDuck === true;
+    this.carry = false;
+    this.fade = null;
+    this.released = false;
+    this.applied = -1;
+  }
+
+  get isPlaying() {
+    return !this.released && !!this.sound?.isPlaying;
+  }
+
+  get isPaused() {
+    return !this.released && !!this.sound?.isPaused;
+  }
+
+  /** Authored (pre-bus, pre-duck) volume. */
+  get volume() {
+    return this.base;
+  }
+
+  play({ seek = 0 } = {}) {
+    if (this.released) return this;
+    this.manager._applyVolume(this);
+    try {
+      if (seek > 0) this.sound.play({ seek });
+      else this.sound.play();
+    } catch (e) {
+      console.warn(`[Audio] play() failed for "${this.key}"`, e);
+    }
+    return this;
+  }
+
+  setVolume(volume) {
+    this.base = clamp01(volume);
+    this.manager._applyVolume(this);
+    return this;
+  }
+
+  /** Tweens the fade gain (0..1); onDone runs once the target is reached. */
+  fadeTo(gain, durationMs, onDone = null) {
+    const ms = clampInt(durationMs, 0, 10000);
+    if (ms <= 0) {
+      this.gain = clamp01(gain);
+      this.fade = null;
+      this.manager._applyVolume(this);
+      onDone?.();
+      return this;
+    }
+    this.fade = { from: this.gain, to: clamp01(gain), ms, t: 0, onDone };
+    return this;
+  }
+
+  stop({ fadeMs = 0 } = {}) {
+    if (this.released) return;
+    if (fadeMs > 0 && this.isPlaying) {
+      this.fadeTo(0, fadeMs, () => this.destroy());
+      return;
+    }
+    this.destroy();
+  }
+
+  destroy() {
+    if (this.released) return;
+    this.released = true;
+    this.fade = null;
+    if (this.bus === "music") this.manager._rememberPosition(this);
+    try {
+      this.sound?.stop?.();
+      this.sound?.destroy?.();
+    } catch (_) {}
+    this.manager._forget(this);
+  }
+}
+
+export default class AudioManager {
+  constructor(game) {
+    this.game = game;
+    this.music = null;
+
+    this._handles = new Set();
+    this._musicPositions = new Map(); // key -> seconds where the track last stopped
+    this._ducks = new Map(); // reason -> { factor, buses: Set, owner }
+    this._sceneHooks = new Map(); // sceneKey -> shutdown listener
+
+    this._onStep = (_time, delta) => this.update(delta);
+    game.events?.on?.("step", this._onStep);
+    game.events?.once?.("destroy", () => this.destroy());
+  }
+
+  // -------------------------
+  // Keys
+  // -------------------------
+
+  exists(key) {
+    return !!this.game.cache?.audio?.exists?.(key);
+  }
+
+  // Accept:
+  //  - "knock" (ASSETS.sfx name) OR
+  //  - "sfx_knock" (already-loaded key)
+  resolveKey(nameOrKey) {
+    const s = String(nameOrKey ?? "").trim();
+    if (!s) return "";
+
+    if (this.exists(s)) return s;
+
+    const mapped = ASSETS.sfx?.[s]?.key ?? "";
+    if (mapped && this.exists(mapped)) return mapped;
+
+    return "";
+  }
+
+  // -------------------------
+  // Sounds
+  // -------------------------
+
+  /**
+   * Creates (but doesn't start) a sound. Returns null if the key can't be resolved.
+   * Non-looping sounds release themselves when they complete.
+   */
+  add(nameOrKey, { bus = "sfx", volume = 1, loop = false, owner = null, noDuck = false } = {}) {
+    const key = this.resolveKey(nameOrKey);
+    if (!key) {
+      console.warn(`[Audio] Missing audio key mapping/cache for "${nameOrKey}"`);
+      return null;
+    }
+
+    const sound = this.game.sound.add(key, { loop: loop === true, volume: 0 });
+    const handle = new AudioHandle(this, sound, {
+      key,
+      bus: AUDIO_BUSES.includes(bus) ? bus : "sfx",
+      volume,
+      owner,
+      noDuck,
+    });
+    this._handles.add(handle);
+
+    if (loop !== true) sound.once?.("complete", () => handle.destroy());
+    return handle;
+  }
+
+  /** add() + play(). */
+  play(nameOrKey, opts = {}) {
+    return this.add(nameOrKey, opts)?.play() ?? null;
+  }
+
+  // -------------------------
+  // Music (single track)
+  // -------------------------
+
+  get musicKey() {
+    return this.music && !this.music.released ? this.music.key : "";
+  }
+
+  /** Seconds where `nameOrKey` last stopped (0 if never played). */
+  musicPosition(nameOrKey) {
+    return this._musicPositions.get(this.resolveKey(nameOrKey)) ?? 0;
+  }
+
+  /**
+   * Starts (or keeps) the music track. Same key already playing -> it continues and
+   * takes over the new owner/volume/carry; otherwise the old track crossfades out.
+   * resume=true starts a new track where it last stopped instead of from zero.
+   */
+  playMusic(
+    nameOrKey,
+    { volume = 0.6, loop = true, fadeMs = 600, owner = null, carry = false, resume = false } = {}
+  ) {
+    const key = this.resolveKey(nameOrKey);
+    if (!key) {
+      console.warn(`[Audio] Cannot start music: missing key for "${nameOrKey}"`);
+      return null;
+    }
+
+    const fade = clampInt(fadeMs ?? 0, 0, 5000);
+    const cur = this.music && !this.music.released ? this.music : null;
+
+    if (cur && cur.key === key && (cur.isPlaying || cur.isPaused)) {
+      cur.owner = owner;
+      cur.carry = carry === true;
+      cur.base = clamp01(volume);
+      if (cur.gain < 1 || cur.fade) cur.fadeTo(1, fade);
+      return cur;
+    }
+
+    const next = this.add(key, { bus: "music", volume, loop, owner });
+    if (!next) return null;
+    next.carry = carry === true;
+    this.music = next;
+
+    const seek = resume ? this._musicPositions.get(key) ?? 0 : 0;
+
+    // No existing music or no fade requested -> hard switch
+    if (!cur || fade <= 0) {
+      cur?.destroy();
+      return next.play({ seek });
+    }
+
+    cur.stop({ fadeMs: fade });
+    next.gain = 0;
+    next.play({ seek });
+    next.fadeTo(1, fade);
+    return next;
+  }
+
+  stopMusic({ fadeMs = 0 } = {}) {
+    const cur = this.music;
+    this.music = null;
+    cur?.stop({ fadeMs });
+  }
+
+  // -------------------------
+  // Ducking
+  // -------------------------
+
+  /** Named duck; the lowest factor among active reasons wins per bus. */
+  duck(reason, factor = 0.35, { buses = DUCK_BUSES, owner = null } = {}) {
+    const id = String(reason ?? "").trim();
+    if (!id) return;
+    this._ducks.set(id, { factor: clamp01(factor, 0.35), buses: new Set(buses), owner });
+    this._applyAll();
+  }
+
+  unduck(reason) {
+    if (this._ducks.delete(String(reason ?? "").trim())) this._applyAll();
+  }
+
+  isDucked(reason) {
+    return this._ducks.has(String(reason ?? "").trim());
+  }
+
+  duckFactor(handle) {
+    if (handle.noDuck) return 1;
+    let f = 1;
+    for (const d of this._ducks.values()) {
+      if (d.buses.has(handle.bus)) f = Math.min(f, d.factor);
+    }
+    return f;
+  }
+
+  // -------------------------
+  // Scene ownership
+  // -------------------------
+
+  /** Release everything owned by `scene` on its shutdown. Call from create() (scenes are reused). */
+  attachScene(scene) {
+    const key = scene?.scene?.key;
+    if (!key) return;
+
+    const prev = this._sceneHooks.get(key);
+    if (prev) {
+      scene.events.off(Phaser.Scenes.Events.SHUTDOWN, prev);
+      scene.events.off(Phaser.Scenes.Events.DESTROY, prev);
+    }
+
+    const release = () => this.releaseScene(key);
+    this._sceneHooks.set(key, release);
+    scene.events.once(Phaser.Scenes.Events.SHUTDOWN, release);
+    scene.events.once(Phaser.Scenes.Events.DESTROY, release);
+  }
+
+  releaseScene(sceneKey) {
+    for (const [reason, d] of this._ducks.entries()) {
+      if (d.owner === sceneKey) this._ducks.delete(reason);
+    }
+
+    for (const h of [...this._handles]) {
+      if (h.owner !== sceneKey) continue;
+      if (h === this.music && h.carry) {
+        h.owner = null;
+        continue;
+      }
+      h.destroy();
+    }
+
+    this._applyAll();
+  }
+
+  stopAll() {
+    for (const h of [...this._handles]) h.destroy();
+    this._ducks.clear();
+    this.music = null;
+  }
+
+  // -------------------------
+  // Per-step volume
+  // -------------------------
+
+  update(delta) {
+    const dt = Number(delta) || 0;
+    for (const h of [...this._handles]) {
+      const f = h.fade;
+      if (f) {
+        f.t = Math.min(f.ms, f.t + dt);
+        h.gain = f.from + (f.to - f.from) * (f.t / f.ms);
+        if (f.t >= f.ms) {
+          h.fade = null;
+          f.onDone?.();
+        }
+      }
+      if (!h.released) this._applyVolume(h);
+    }
+  }
+
+  _applyAll() {
+    for (const h of this._handles) this._applyVolume(h);
+  }
+
+  _applyVolume(h) {
+    const v = clamp01(h.base * h.gain * busLevel(h.bus) * this.duckFactor(h), 0);
+    if (v === h.applied) return;
+    h.applied = v;
+    try {
+      h.sound?.setVolume?.(v);
+    } catch (_) {}
+  }
+
+  _rememberPosition(handle) {
+    const s = handle.sound;
+    if (!s || !(s.isPlaying || s.isPaused)) return;
+    const pos = Number(s.seek) || 0;
+    const dur = Number(s.duration) || Infinity;
+    // Too close to the end of a non-looping track: start over next time.
+    this._musicPositions.set(handle.key, pos < dur - 0.5 ? pos : 0);
+  }
+
+  _forget(handle) {
+    this._handles.delete(handle);
+    if (this.music === handle) this.music = null;
+  }
+
+  destroy() {
+    this.stopAll();
+    this.game.events?.off?.("step", this._onStep);
+    _managers.delete(this.game);
+  }
+}
+
+const _managers = new WeakMap();
+
+/** The AudioManager of a Phaser.Game (or of a scene's game), created on first use. */
+export function getAudio(sceneOrGame) {
+  const game = sceneOrGame?.sys?.game ?? sceneOrGame;
+  if (!game) return null;
+  let mgr = _managers.get(game);
+  if (!mgr) {
+    mgr = new AudioManager(game);
+    _managers.set(game, mgr);
+  }
+  return mgr;
+}
@@ -1,5 +1,7 @@
 import { canWorldInteract, disableInteraction, setLayerHidden } from "./GameState.js";
 import { parseProps, splitCsv } from "./TiledProps.js";
+import { shakeCamera } from "./Settings.js";
+import { getAudio } from "./AudioManager.js";
 
 /**
  * Walk-into triggers.
@@ -21,7 +23,7 @@ import { parseProps, splitCsv } from "./TiledProps.js";
  *  - denyShakeIntensity=0.01
  *
  * Zone audio:
- *  - zoneSfx="knock" (alias OK), or zoneMusic/zoneAmbience
+ *  - zoneSfx="knock" (alias OK), or zoneMusic/zoneAmbience (picks the settings bus)
  *  - zoneLoop=true (default true)
  *  - zoneVolume=0.6
  *  - zoneFadeInMs=0
@@ -30,6 +32,9 @@ import { parseProps, splitCsv } from "./TiledProps.js";
  * Ducking (optional):
  *  - zoneDuckMusic=true
  *  - zoneDuckFactor=0.25   (0..1, default 0.35)
+ *
+ * All audio goes through the scene's AudioManager (owner = scene key), ducking
+ * as the named reason "<scene>:zone:<id>".
  */
 export function updateAutoTriggerZones(scene) {
   if (!scene?.player) return;
@@ -39,26 +44,14 @@ export function updateAutoTriggerZones(scene) {
   if (!scene._triggerExitArmed) scene._triggerExitArmed = new Set();
   if (scene._denyCooldownUntil === undefined) scene._denyCooldownUntil = 0;
 
-  if (!scene._zoneAudioById) scene._zoneAudioById = new Map();
-  if (!scene._duckReasons) scene._duckReasons = new Map(); // reasonId -> factor
-  if (!scene._duckedVolumes) scene._duckedVolumes = new Map(); // sound -> originalVolume
+  if (!scene._zoneAudioById) scene._zoneAudioById = new Map(); // id -> AudioHandle
+
+  const audio = getAudio(scene);
+  const owner = scene.scene.key;
 
   const px = scene.player.x;
   const py = scene.player.y;
 
-  const resolveAudioKey = (nameOrKey) => {
-    if (!nameOrKey) return "";
-    if (typeof scene._resolveAudioKey === "function") return scene._resolveAudioKey(nameOrKey);
-    if (typeof scene._resolveSfxKey === "function") return scene._resolveSfxKey(nameOrKey);
-    return String(nameOrKey).trim();
-  };
-
-  const audioExists = (key) => {
-    if (!key) return false;
-    if (typeof scene._audioExists === "function") return scene._audioExists(key);
-    return !!scene.cache?.audio?.exists?.(key);
-  };
-
   const applyLayerVisibility = (namesCsv, visible) => {
     for (const lname of splitCsv(namesCsv)) {
       const layer = scene.layers?.[lname];
@@ -68,136 +61,50 @@ export function updateAutoTriggerZones(scene) {
     }
   };
 
-  const recomputeDuck = () => {
-    let factor = 1;
-    for (const f of scene._duckReasons.values()) factor = Math.min(factor, Number(f) || 1);
-
-    if (factor >= 1) {
-      for (const [snd, v] of scene._duckedVolumes.entries()) {
-        try {
-          snd.setVolume?.(v);
-        } catch (_) {}
-      }
-      scene._duckedVolumes.clear();
-      return;
-    }
-
-    const sounds = scene.sound?.sounds ?? [];
-    for (const snd of sounds) {
-      if (!snd?.isPlaying) continue;
-      if (snd.__noDuck === true) continue;
-
-      if (!scene._duckedVolumes.has(snd)) {
-        scene._duckedVolumes.set(snd, Number(snd.volume ?? 1));
-      }
-      snd.setVolume?.(Math.max(0, Math.min(1, (scene._duckedVolumes.get(snd) ?? 1) * factor)));
-    }
-  };
-
-  const setDuckReason = (reasonId, factor) => {
-    scene._duckReasons.set(reasonId, Math.max(0, Math.min(1, Number(factor ?? 0.35))));
-    recomputeDuck();
-  };
-
-  const clearDuckReason = (reasonId) => {
-    scene._duckReasons.delete(reasonId);
-    recomputeDuck();
-  };
+  const duckReason = (id) => `${owner}:zone:${id}`;
 
   const stopZoneAudio = (id, props) => {
     const handle = scene._zoneAudioById.get(id);
     if (!handle) return;
-
-    const fadeOutMs = Number(props.zonefadeoutms ?? 0);
-    if (fadeOutMs > 0 && typeof handle.setVolume === "function") {
-      const startV = Number(handle.volume ?? 1);
-      const steps = 8;
-      const stepMs = Math.max(10, Math.floor(fadeOutMs / steps));
-      let i = 0;
-
-      const timer = scene.time.addEvent({
-        delay: stepMs,
-        repeat: steps - 1,
-        callback: () => {
-          i += 1;
-          const v = startV * (1 - i / steps);
-          try {
-            handle.setVolume?.(Math.max(0, v));
-          } catch (_) {}
-          if (i >= steps) {
-            try {
-              handle.stop?.();
-              handle.destroy?.();
-            } catch (_) {}
-            scene._zoneAudioById.delete(id);
-          }
-        },
-      });
-
-      handle.__fadeTimer = timer;
-      return;
-    }
-
-    try {
-      handle.stop?.();
-      handle.destroy?.();
-    } catch (_) {}
     scene._zoneAudioById.delete(id);
+    handle.stop({ fadeMs: Number(props.zonefadeoutms ?? 0) });
   };
 
   const startZoneAudio = (id, props) => {
     if (scene._zoneAudioById.has(id)) return;
 
     const name = props.zonesfx ?? props.zonemusic ?? props.zoneambience ?? "";
-    const key = resolveAudioKey(name);
-    if (!key || !audioExists(key)) return;
+    if (!audio.resolveKey(name)) return;
 
+    const bus = props.zonesfx ? "sfx" : props.zonemusic ? "music" : "ambience";
     const loop = props.zoneloop !== false;
     const volume = props.zonevolume !== undefined ? Number(props.zonevolume) : 0.6;
 
-    const sound = scene.sound.add(key, { loop, volume: Math.max(0, Math.min(1, volume)) });
-
-    // mark: don't duck itself (optional) + mark as scene-owned for shutdown cleanup
-    sound.__noDuck = true;
-    sound.__sceneOwned = true;
+    // noDuck: a zone never ducks its own audio
+    const handle = audio.add(name, { bus, loop, volume, owner, noDuck: true });
+    if (!handle) return;
 
-    scene._zoneAudioById.set(id, sound);
+    scene._zoneAudioById.set(id, handle);
 
     const fadeInMs = Number(props.zonefadeinms ?? 0);
     if (fadeInMs > 0) {
-      const target = sound.volume ?? 1;
-      sound.setVolume?.(0);
-      sound.play?.();
-
-      const steps = 8;
-      const stepMs = Math.max(10, Math.floor(fadeInMs / steps));
-      let i = 0;
-
-      sound.__fadeTimer = scene.time.addEvent({
-        delay: stepMs,
-        repeat: steps - 1,
-        callback: () => {
-          i += 1;
-          const v = target * (i / steps);
-          try {
-            sound.setVolume?.(Math.max(0, Math.min(1, v)));
-          } catch (_) {}
-        },
-      });
+      handle.gain = 0;
+      handle.play();
+      handle.fadeTo(1, fadeInMs);
     } else {
-      sound.play?.();
+      handle.play();
     }
 
     // Optional zone ducking (reduce other audio)
     const duck = props.zoneduckmusic === true || String(props.zoneduckmusic ?? "").toLowerCase() === "true";
     if (duck) {
       const factor = props.zoneduckfactor !== undefined ? Number(props.zoneduckfactor) : 0.35;
-      setDuckReason(`__zone_${id}`, factor);
+      audio.duck(duckReason(id), factor, { owner });
     }
   };
 
   const stopZoneDuck = (id) => {
-    clearDuckReason(`__zone_${id}`);
+    audio.unduck(duckReason(id));
   };
 
   for (const it of scene.interactables ?? []) {
@@ -270,13 +177,12 @@ export function updateAutoTriggerZones(scene) {
           scene._denyCooldownUntil = now + cd;
 
           const denySfxName = String(props.denysfx ?? "").trim();
-          const denyKey = resolveAudioKey(denySfxName);
-          if (denyKey && audioExists(denyKey)) scene.sound.play(denyKey);
+          if (denySfxName && audio.resolveKey(denySfxName)) audio.play(denySfxName, { bus: "sfx", owner });
 
           const shakeMs = Number(props.denyshakems ?? 0);
           if (shakeMs > 0) {
             const intensity = Number(props.denyshakeintensity ?? 0.01);
-            scene.cameras?.main?.shake?.(shakeMs, intensity);
+            shakeCamera(scene.cameras?.main, shakeMs, intensity);
           }
 
           const mode = String(props.denymode ?? "rewind").toLowerCase();
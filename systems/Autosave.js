@@ -0,0 +1,123 @@
+// systems/Autosave.js
+import { EVENTS, on } from "./GameEvents.js";
+import { serializeGameState, summarizeSnapshot, startFromSnapshot } from "./SaveSystem.js";
+import { migrateSnapshot } from "./SaveMigrations.js";
+
+/**
+ * Rolling autosave ("checkpoints").
+ *
+ * Every setTransition() (transition:changed event) into one of CHECKPOINT_SCENES pushes a snapshot of
+ * GameState, keeping the last MAX_CHECKPOINTS. The snapshot's scene is the
+ * transition target, so restoring re-enters that scene at its normal spawn.
+ *
+ * The index.html error overlay reads AUTOSAVE_KEY directly (plain script, no
+ * modules) and reloads with `?restore=checkpoint`; BootScene picks that up.
+ */
+
+export const AUTOSAVE_KEY = "valentine.autosave";
+export const MAX_CHECKPOINTS = 5;
+export const RESTORE_PARAM = "restore";
+
+const CHECKPOINT_SCENES = new Set(["CityScene", "ForestScene", "LibraryScene", "MinesweeperScene"]);
+
+function storage() {
+  try {
+    return window.localStorage ?? null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function readRaw() {
+  const ls = storage();
+  if (!ls) return [];
+  try {
+    const list = JSON.parse(ls.getItem(AUTOSAVE_KEY) ?? "[]");
+    return Array.isArray(list) ? list : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function writeRaw(list) {
+  const ls = storage();
+  if (!ls) return;
+  try {
+    ls.setItem(AUTOSAVE_KEY, JSON.stringify(list));
+  } catch (e) {
+    console.warn("[Autosave] Failed to write checkpoints", e);
+  }
+}
+
+// -------------------------
+// Checkpoints
+// -------------------------
+
+export function recordCheckpoint(sceneKey) {
+  const list = readRaw();
+  list.push(serializeGameState(sceneKey, { name: "Autosave" }));
+  writeRaw(list.slice(-MAX_CHECKPOINTS));
+}
+
+/** Newest first. Entries that fail migration are skipped. */
+export function listCheckpoints() {
+  const out = [];
+  for (const raw of readRaw().reverse()) {
+    try {
+      out.push(migrateSnapshot(raw));
+    } catch (_) {}
+  }
+  return out;
+}
+
+export function getLatestCheckpoint() {
+  return listCheckpoints()[0] ?? null;
+}
+
+export function getLatestCheckpointSummary() {
+  return summarizeSnapshot(getLatestCheckpoint(), "autosave");
+}
+
+export function clearCheckpoints() {
+  storage()?.removeItem(AUTOSAVE_KEY);
+}
+
+/** @returns {{ ok: boolean, error?: string }} */
+export function restoreLatestCheckpoint(scene) {
+  const snapshot = getLatestCheckpoint();
+  if (!snapshot) return { ok: false, error: "No checkpoint to restore." };
+  return startFromSnapshot(scene, snapshot);
+}
+
+// -------------------------
+// Wiring
+// -------------------------
+
+let _installed = false;
+
+/** Call once at startup (main.js). */
+export function installAutosave() {
+  if (_installed) return;
+  _installed = true;
+
+  on(EVENTS.TRANSITION_CHANGED, (t) => {
+    if (!t?.fromScene || !CHECKPOINT_SCENES.has(t.toScene)) return;
+    recordCheckpoint(t.toScene);
+  });
+}
+
+/**
+ * True if the page was reloaded from the error overlay's "restore" button.
+ * Strips the query param so a later manual refresh starts normally.
+ */
+export function consumeRestoreRequest() {
+  try {
+    const url = new URL(window.location.href);
+    if (url.searchParams.get(RESTORE_PARAM) !== "checkpoint") return false;
+    url.searchParams.delete(RESTORE_PARAM);
+    window.history.replaceState(null, "", url.toString());
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
@@ -36,6 +36,17 @@ const DEFAULT_ROW_INDEX = Object.freeze({
 const DIRS_4 = Object.freeze(["down", "left", "right", "up"]);
 const DIRS_2 = Object.freeze(["left", "right"]);
 
+/**
+ * Frame index of a direction's idle pose (what the `-idle-` animation shows).
+ * @param {"down"|"left"|"right"|"up"} [dir]
+ * @param {{ cols?: number, rowIndex?: Object }} [opts]
+ * @returns {number}
+ */
+export function idleFrameIndex(dir = "down", { cols = 3, rowIndex = DEFAULT_ROW_INDEX } = {}) {
+  const r = typeof rowIndex[dir] === "number" ? rowIndex[dir] : rowIndex.down ?? 0;
+  return r * cols + 1;
+}
+
 /**
  * Creates idle/walk animations for a character spritesheet (once).
  * @param {Phaser.Scene} scene
@@ -1,7 +1,17 @@
 // systems/DialogueBox.js
-import { lockInteract } from "./GameState.js";
+import { beginDialogueConversation, lockInteract, logDialogueLine } from "./GameState.js";
+import { typingDelayMs } from "./Settings.js";
+import { buildDialogueScript } from "./DialogueScripts.js";
+import { hasMarkup, parseMarkup, stripMarkup } from "./DialogueMarkup.js";
+import { getAudio } from "./AudioManager.js";
+import { resolvePortrait } from "./Portraits.js";
+import { createVoiceBlipper, resolveVoice } from "./VoiceBlips.js";
 
 const UI_DEPTH = 100000; // must beat any tile layer / marker depth
+const PORTRAIT_SIZE = 40; // square slot beside the text; sprites scale by whole steps to fit
+
+// Shared with menus (MenuList, TitleScene...) so every text box reads the same.
+export const DIALOGUE_TEXT_STYLE = Object.freeze({ fontSize: "10px", fill: "#ffffff" });
 
 export default class DialogueBox {
   constructor(scene, opts = {}) {
@@ -16,6 +26,7 @@ export default class DialogueBox {
     this.x = opts.x ?? scene.cameras.main.width / 2;
     this.y = opts.y ?? (scene.cameras.main.height - this.height / 2 - 8);
 
+    // Base delay; textSpeed / instantText settings are applied per line (typingDelayMs).
     this.typingSpeedMs = opts.typingSpeedMs ?? 18;
 
     // Prevent instant confirm when choices appear
@@ -29,12 +40,26 @@ export default class DialogueBox {
     this.active = false;
     this.script = [];
     this.index = 0;
+    this.logId = 0; // GameState.dialogueLog conversation for this start()
 
     this.isTyping = false;
     this.fullText = "";
     this.visibleText = "";
     this.typingEvent = null;
 
+    // Markup lines (DialogueMarkup): parsed line + one Text per glyph when styled.
+    this.markup = null;
+    this.glyphs = [];
+    this._onGlyphUpdate = null;
+    this._shakeBucket = -1;
+
+    // Voice blips for the line being typed (VoiceBlips); silent for choices.
+    this._blip = () => {};
+
+    // Text column; narrowed on the portrait's side while one is shown (_layoutText).
+    this.textLeft = this.x - this.width / 2 + this.margin;
+    this.textWidth = this.width - this.margin * 2;
+
     this.inChoice = false;
     this.choiceIndex = 0;
     this.choiceOptions = [];
@@ -58,31 +83,33 @@ export default class DialogueBox {
       this.x - this.width / 2 + this.margin,
       this.y - this.height / 2 + 6,
       "",
-      { fontSize: "10px", fill: "#ffffff" }
+      { ...DIALOGUE_TEXT_STYLE }
     );
 
     this.bodyText = this.scene.add.text(
       this.x - this.width / 2 + this.margin,
       this.y - this.height / 2 + 20,
       "",
-      { fontSize: "10px", fill: "#ffffff", wordWrap: { width: this.width - this.margin * 2 } }
+      { ...DIALOGUE_TEXT_STYLE, wordWrap: { width: this.width - this.margin * 2 } }
     );
 
     this.choiceText = this.scene.add.text(
       this.x - this.width / 2 + this.margin,
       this.y - this.height / 2 + 38,
       "",
-      { fontSize: "10px", fill: "#ffffff" }
+      { ...DIALOGUE_TEXT_STYLE }
     );
 
     this.choiceCursor = this.scene.add.text(
       this.x - this.width / 2 + 2,
       this.y - this.height / 2 + 38,
       "▶",
-      { fontSize: "10px", fill: "#ffffff" }
+      { ...DIALOGUE_TEXT_STYLE }
     );
 
-    this.container.add([this.panel, this.speakerText, this.bodyText, this.choiceText, this.choiceCursor]);
+    this.portrait = this.scene.add.image(this.x, this.y, "__DEFAULT").setVisible(false);
+
+    this.container.add([this.panel, this.portrait, this.speakerText, this.bodyText, this.choiceText, this.choiceCursor]);
 
     // Ensure top-of-display-list in case something also has huge depth
     this.scene.children.bringToTop(this.container);
@@ -116,7 +143,7 @@ export default class DialogueBox {
   }
 
   /**
-   * Track a Phaser sound so it can be stopped when the dialogue closes.
+   * Track a sound (Phaser sound or AudioHandle) so it can be stopped when the dialogue closes.
    * Use persistAfterDialogue=true to keep it playing after stop().
    */
   trackSound(sound, { persistAfterDialogue = false } = {}) {
@@ -136,13 +163,20 @@ export default class DialogueBox {
     this._ownedSounds.clear();
   }
 
+  /**
+   * @param {Array<object>|string} script step array, or a dialogue node id (DialogueScripts)
+   */
   start(script, keys, onComplete = null) {
+    const steps = buildDialogueScript(script);
+    if (!steps) return;
+
     this.stop(false);
 
     this.active = true;
-    this.script = script;
+    this.script = steps;
     this.index = 0;
     this.onComplete = onComplete;
+    this.logId = beginDialogueConversation();
 
     this.show();
     this._bindKeys();
@@ -167,6 +201,8 @@ export default class DialogueBox {
     this.choiceOptions = [];
     this.choiceStepOnSelect = null;
 
+    this._clearGlyphs();
+    this._showPortrait(null);
     this.bodyText.setText("");
     this.speakerText.setText("");
     this.choiceText.setText("");
@@ -311,12 +347,23 @@ export default class DialogueBox {
 
     if (step.type === "say") {
       this._gateInput();
-      return this._say(step.speaker ?? "", step.text ?? "");
+      return this._say(step.speaker ?? "", step.text ?? "", step);
     }
     if (step.type === "pause") return this._pause(step.ms ?? 400);
     if (step.type === "choice") {
+      // Options with a failing `if` are hidden; none left -> skip the choice.
+      const options = (step.options ?? []).filter((o) => typeof o.if !== "function" || o.if());
+      if (!options.length) {
+        this.index += 1;
+        return this._runCurrentStep();
+      }
       this._gateInput();
-      return this._choice(step.prompt ?? "", step.options ?? [], step.onSelect ?? null);
+      return this._choice(step.prompt ?? "", options, step.onSelect ?? null);
+    }
+    if (step.type === "jump") {
+      const take = typeof step.if !== "function" || step.if();
+      this.index = take && typeof step.to === "number" ? step.to : this.index + 1;
+      return this._runCurrentStep();
     }
     if (step.type === "action") {
       try { step.run?.(); } catch (e) { console.warn("[DialogueBox] action failed", e); }
@@ -330,6 +377,8 @@ export default class DialogueBox {
   }
 
   _pause(ms) {
+    this._clearGlyphs();
+    this._showPortrait(null);
     this.speakerText.setText("");
     this.bodyText.setText("");
     this.choiceText.setText("");
@@ -342,16 +391,50 @@ export default class DialogueBox {
     });
   }
 
-  _say(speaker, text) {
+  // Per-line `expression` / `side` come from the say step (Tiled line props or dialogue files).
+  _showPortrait(speaker, { expression, side } = {}) {
+    const p = speaker ? resolvePortrait(this.scene.textures, speaker, { expression, side }) : null;
+    if (!p) {
+      this.portrait.setVisible(false);
+      this._layoutText(null);
+      return;
+    }
+
+    this.portrait.setTexture(p.key, p.frame);
+    const scale = Math.max(1, Math.floor(PORTRAIT_SIZE / Math.max(this.portrait.width, this.portrait.height, 1)));
+    const slotX = p.side === "right"
+      ? this.x + this.width / 2 - this.margin - PORTRAIT_SIZE / 2
+      : this.x - this.width / 2 + this.margin + PORTRAIT_SIZE / 2;
+
+    this.portrait.setScale(scale).setPosition(Math.round(slotX), Math.round(this.y)).setVisible(true);
+    this._layoutText(p.side);
+  }
+
+  _layoutText(portraitSide) {
+    const inset = portraitSide ? PORTRAIT_SIZE + this.margin : 0;
+    this.textLeft = this.x - this.width / 2 + this.margin + (portraitSide === "left" ? inset : 0);
+    this.textWidth = this.width - this.margin * 2 - inset;
+
+    this.speakerText.setX(this.textLeft);
+    this.bodyText.setX(this.textLeft);
+    this.bodyText.setWordWrapWidth(this.textWidth);
+  }
+
+  _say(speaker, text, step = {}) {
     this._ensureTop();
+    this._clearGlyphs();
+    this._showPortrait(speaker, step);
 
     this.speakerText.setText(speaker ? `${speaker}` : "");
     this.choiceText.setText("");
     this.choiceCursor.setVisible(false);
 
-    this.fullText = text;
+    this.markup = hasMarkup(text) ? parseMarkup(text) : null;
+    this.fullText = this.markup ? this.markup.text : text;
     this.visibleText = "";
     this.bodyText.setText("");
+    this._blip = createVoiceBlipper(this.scene.game, resolveVoice(speaker, step.voice));
+    logDialogueLine(this.logId, { scene: this.scene.scene.key, speaker, text: this.fullText });
 
     this.isTyping = true;
 
@@ -360,16 +443,20 @@ export default class DialogueBox {
       this.typingEvent = null;
     }
 
+    if (this.markup) return this._typeMarkup();
+
     let i = 0;
+    const delay = typingDelayMs(this.typingSpeedMs);
     this.typingEvent = this.scene.time.addEvent({
-      delay: this.typingSpeedMs,
+      delay: Math.max(1, delay),
       loop: true,
       callback: () => {
         if (!this.active) return;
 
-        i += 1;
+        i = delay > 0 ? i + 1 : this.fullText.length;
         this.visibleText = this.fullText.slice(0, i);
         this.bodyText.setText(this.visibleText);
+        if (delay > 0) this._blip(this.fullText[i - 1]);
 
         if (i >= this.fullText.length) {
           this.isTyping = false;
@@ -382,6 +469,139 @@ export default class DialogueBox {
     });
   }
 
+  // Markup lines: one timer per glyph so [pause] / [speed] can change the rhythm.
+  // Skipping (Z) shows the rest at once; cues not reached yet never fire.
+  _typeMarkup() {
+    const { glyphs, cues, styled } = this.markup;
+    if (styled) this._buildGlyphs(glyphs);
+
+    if (typingDelayMs(this.typingSpeedMs) <= 0) {
+      this._finishTypingInstant();
+      return;
+    }
+
+    let shown = 0;
+    let cue = 0;
+    let speedMs = this.typingSpeedMs;
+
+    const tick = () => {
+      this.typingEvent = null;
+      if (!this.active || !this.isTyping) return;
+
+      while (cue < cues.length && cues[cue].at <= shown) {
+        const c = cues[cue++];
+        if (c.speed !== undefined) speedMs = c.speed ?? this.typingSpeedMs;
+        if (c.sfx) this._playCueSfx(c.sfx);
+        if (c.pause) {
+          this.typingEvent = this.scene.time.delayedCall(c.pause, tick);
+          return;
+        }
+      }
+
+      if (shown >= glyphs.length) {
+        this.isTyping = false;
+        return;
+      }
+
+      shown += 1;
+      this._showGlyphs(shown);
+      this._blip(glyphs[shown - 1].ch);
+      this.typingEvent = this.scene.time.delayedCall(Math.max(1, typingDelayMs(speedMs)), tick);
+    };
+
+    tick();
+  }
+
+  _showGlyphs(count) {
+    this.visibleText = this.markup.glyphs.slice(0, count).map((g) => g.ch).join("");
+    if (!this.glyphs.length) {
+      this.bodyText.setText(this.visibleText);
+      return;
+    }
+    this.glyphs.forEach((g, i) => g.text.setVisible(i < count));
+  }
+
+  // Styled lines: one Text per glyph (own color), wrapped at word boundaries like bodyText.
+  _buildGlyphs(glyphs) {
+    const left = this.textLeft;
+    const top = this.bodyText.y;
+    const wrapWidth = this.textWidth;
+
+    const texts = glyphs.map((g) =>
+      this.scene.add
+        .text(0, 0, g.ch, g.color ? { ...DIALOGUE_TEXT_STYLE, fill: g.color } : { ...DIALOGUE_TEXT_STYLE })
+        .setVisible(false)
+    );
+    const lineHeight = texts[0]?.height ?? 12;
+
+    let x = 0;
+    let y = 0;
+    let i = 0;
+    while (i < glyphs.length) {
+      if (glyphs[i].ch === "\n") {
+        x = 0;
+        y += lineHeight;
+        i += 1;
+        continue;
+      }
+
+      // A word, or a single whitespace glyph
+      let end = i;
+      let wordWidth = 0;
+      while (end < glyphs.length && !/\s/.test(glyphs[end].ch)) wordWidth += texts[end++].width;
+      if (end === i) end = i + 1;
+      else if (x > 0 && x + wordWidth > wrapWidth) {
+        x = 0;
+        y += lineHeight;
+      }
+
+      for (; i < end; i++) {
+        texts[i].setPosition(left + x, top + y);
+        x += texts[i].width;
+      }
+    }
+
+    this.glyphs = texts.map((text, k) => ({ text, x: text.x, y: text.y, dx: 0, dy: 0, shake: glyphs[k].shake, wave: glyphs[k].wave }));
+    this.container.add(texts);
+
+    if (this.glyphs.some((g) => g.shake || g.wave)) {
+      this._onGlyphUpdate = (time) => this._animateGlyphs(time);
+      this.scene.events.on("update", this._onGlyphUpdate);
+    }
+  }
+
+  _animateGlyphs(time) {
+    // Shake jumps ~16 times a second; every frame reads as noise at this size.
+    const bucket = Math.floor(time / 60);
+    const reshake = bucket !== this._shakeBucket;
+    this._shakeBucket = bucket;
+
+    this.glyphs.forEach((g, i) => {
+      if (!g.shake && !g.wave) return;
+      if (g.shake && reshake) {
+        g.dx = Phaser.Math.Between(-1, 1);
+        g.dy = Phaser.Math.Between(-1, 1);
+      }
+      const waveY = g.wave ? Math.sin(time / 140 + i * 0.5) * 2 : 0;
+      g.text.setPosition(g.x + g.dx, g.y + g.dy + waveY);
+    });
+  }
+
+  _clearGlyphs() {
+    if (this._onGlyphUpdate) {
+      this.scene.events.off("update", this._onGlyphUpdate);
+      this._onGlyphUpdate = null;
+    }
+    for (const g of this.glyphs) g.text.destroy();
+    this.glyphs = [];
+    this.markup = null;
+  }
+
+  _playCueSfx(nameOrKey) {
+    const snd = getAudio(this.scene)?.play(nameOrKey, { bus: "sfx", owner: this.scene.scene.key });
+    this.trackSound(snd);
+  }
+
   _finishTypingInstant() {
     if (!this.isTyping) return;
 
@@ -392,14 +612,17 @@ export default class DialogueBox {
     }
 
     this.visibleText = this.fullText;
-    this.bodyText.setText(this.fullText);
+    if (this.markup) this._showGlyphs(this.markup.glyphs.length);
+    else this.bodyText.setText(this.fullText);
   }
 
   _choice(prompt, options, stepOnSelect) {
     this._ensureTop();
+    this._clearGlyphs();
+    this._showPortrait(null);
 
     this.speakerText.setText("");
-    this.fullText = prompt;
+    this.fullText = stripMarkup(prompt);
     this.visibleText = "";
     this.bodyText.setText("");
 
@@ -412,13 +635,14 @@ export default class DialogueBox {
     }
 
     let i = 0;
+    const delay = typingDelayMs(this.typingSpeedMs);
     this.typingEvent = this.scene.time.addEvent({
-      delay: this.typingSpeedMs,
+      delay: Math.max(1, delay),
       loop: true,
       callback: () => {
         if (!this.active) return;
 
-        i += 1;
+        i = delay > 0 ? i + 1 : this.fullText.length;
         this.visibleText = this.fullText.slice(0, i);
         this.bodyText.setText(this.visibleText);
 
@@ -446,7 +670,7 @@ export default class DialogueBox {
   _renderChoices() {
     if (!this.inChoice) return;
 
-    const lines = this.choiceOptions.map((o) => o.text ?? "");
+    const lines = this.choiceOptions.map((o) => stripMarkup(o.text ?? ""));
     this.choiceText.setText(lines.join("\n"));
 
     const baseY = this.y - this.height / 2 + 38;
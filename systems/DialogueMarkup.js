@@ -0,0 +1,85 @@
+// systems/DialogueMarkup.js
+
+/**
+ * Inline markup for dialogue lines (DialogueBox._say):
+ *
+ *   "I [color=#f88]really[/color] mean it.[pause=400] [wave]ily[/wave]"
+ *
+ * Spans:  [color=#f88]..[/color]  [shake]..[/shake]  [wave]..[/wave]
+ * Cues:   [pause=400] (ms)  [speed=60] (ms per character, [/speed] resets)
+ *         [sfx=paperflip] (ASSETS.sfx name or key, played when typing reaches it)
+ *
+ * Anything else in brackets is plain text. Pure (no Phaser).
+ */
+
+const TAG_RE = /\[(\/?)(color|shake|wave|pause|speed|sfx)(?:=([^\]]*))?\]/gi;
+
+export function hasMarkup(text) {
+  TAG_RE.lastIndex = 0;
+  return TAG_RE.test(String(text ?? ""));
+}
+
+/** Plain text only (dialogue log, choice prompts). */
+export function stripMarkup(text) {
+  return String(text ?? "").replace(TAG_RE, "");
+}
+
+/**
+ * @returns {{
+ *   text: string,
+ *   glyphs: { ch: string, color: string|null, shake: boolean, wave: boolean }[],
+ *   cues: { at: number, pause?: number, speed?: number|null, sfx?: string }[],
+ *   styled: boolean
+ * }} cues fire before glyph `at` is shown (at === glyphs.length: after the last one)
+ */
+export function parseMarkup(text) {
+  const src = String(text ?? "");
+  const glyphs = [];
+  const cues = [];
+  const colors = [];
+  let shake = 0;
+  let wave = 0;
+  let styled = false;
+
+  const pushText = (s) => {
+    for (const ch of s) {
+      glyphs.push({ ch, color: colors.length ? colors[colors.length - 1] : null, shake: shake > 0, wave: wave > 0 });
+    }
+  };
+
+  let last = 0;
+  TAG_RE.lastIndex = 0;
+  for (let m = TAG_RE.exec(src); m; m = TAG_RE.exec(src)) {
+    pushText(src.slice(last, m.index));
+    last = TAG_RE.lastIndex;
+
+    const closing = m[1] === "/";
+    const tag = m[2].toLowerCase();
+    const value = String(m[3] ?? "").trim();
+    const at = glyphs.length;
+
+    if (tag === "color") {
+      if (closing) colors.pop();
+      else if (value) colors.push(value);
+      styled = true;
+    } else if (tag === "shake") {
+      shake = Math.max(0, shake + (closing ? -1 : 1));
+      styled = true;
+    } else if (tag === "wave") {
+      wave = Math.max(0, wave + (closing ? -1 : 1));
+      styled = true;
+    } else if (tag === "pause") {
+      const ms = Number(value);
+      if (!closing && Number.isFinite(ms) && ms > 0) cues.push({ at, pause: Math.min(ms, 10000) });
+    } else if (tag === "speed") {
+      const ms = Number(value);
+      if (closing) cues.push({ at, speed: null });
+      else if (Number.isFinite(ms) && ms >= 0) cues.push({ at, speed: ms });
+    } else if (tag === "sfx") {
+      if (!closing && value) cues.push({ at, sfx: value });
+    }
+  }
+  pushText(src.slice(last));
+
+  return { text: glyphs.map((g) => g.ch).join(""), glyphs, cues, styled };
+}
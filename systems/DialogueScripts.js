@@ -0,0 +1,213 @@
+// systems/DialogueScripts.js
+import { GameState, hasItem, isHelped, setFlag } from "./GameState.js";
+import { hasFollower } from "./InteractionRuntime.js";
+
+/**
+ * Dialogue files (assets/dialogue/*.json, listed in ASSETS.dialogue): named
+ * nodes compiled into the step arrays DialogueBox runs.
+ *
+ *   {
+ *     "nodes": {
+ *       "xia": [
+ *         { "if": { "helped": "Xia" }, "goto": "again" },
+ *         "Xia: Hey.",
+ *         { "pause": 500 },
+ *         { "choice": "Does he like me?", "options": [
+ *           { "text": "He does.", "goto": "yes" },
+ *           { "text": "Ask him?", "goto": "no", "if": { "flag": "metBoyfriend" } }
+ *         ] },
+ *         { "label": "yes" }, "Xia: Oh.", { "end": true },
+ *         { "label": "no" }, { "say": "...", "speaker": "Xia" }, { "goto": "xia_outro" },
+ *         { "label": "again" }, "Xia: Hi again."
+ *       ]
+ *     }
+ *   }
+ *
+ * Steps: "Speaker: text" (no colon = narration), { say, speaker, expression?, side?, voice? }, { pause: ms },
+ * { label }, { goto, if? }, { choice, options: [{ text, goto?, if?, set? }] },
+ * { set: flag(s) }, { clear: flag(s) }, { end: true }. A node ends after its last step.
+ * `goto` targets a label of the same node first, then another node.
+ *
+ * Conditions (every key must hold): { flag, item, helped, follower } (string or
+ * list, all required), { any: [cond, ...] }, { not: cond }.
+ *
+ * Pure (no Phaser): BootScene registers the loaded files, DialogueBox.start()
+ * takes a node id, tools/interaction-harness.mjs plays them headless.
+ */
+
+const NODES = new Map(); // node id -> { steps, source }
+
+export function registerDialogueFile(data, source = "") {
+  const nodes = data?.nodes;
+  if (!nodes || typeof nodes !== "object" || Array.isArray(nodes)) {
+    console.warn(`[DialogueScripts] ${source || "dialogue file"}: no "nodes" object`);
+    return 0;
+  }
+
+  let count = 0;
+  for (const [id, steps] of Object.entries(nodes)) {
+    if (!Array.isArray(steps)) {
+      console.warn(`[DialogueScripts] ${source}: node "${id}" is not a list of steps`);
+      continue;
+    }
+    const prev = NODES.get(id);
+    if (prev) console.warn(`[DialogueScripts] node "${id}" in ${source} replaces the one in ${prev.source}`);
+    NODES.set(id, { steps, source });
+    count++;
+  }
+  return count;
+}
+
+export function hasDialogueNode(id) {
+  return NODES.has(String(id ?? "").trim());
+}
+
+export function dialogueNodeIds() {
+  return [...NODES.keys()];
+}
+
+// -------------------------
+// Conditions
+// -------------------------
+
+const asList = (v) => (Array.isArray(v) ? v : v === undefined || v === null ? [] : [v]).map((x) => String(x).trim()).filter(Boolean);
+
+export function evalDialogueCondition(cond) {
+  if (cond === undefined || cond === null) return true;
+  if (typeof cond === "function") return !!cond();
+  if (typeof cond !== "object") return !!cond;
+
+  for (const f of asList(cond.flag)) if (GameState.flags?.[f] !== true) return false;
+  for (const item of asList(cond.item)) if (!hasItem(item)) return false;
+  for (const name of asList(cond.helped)) if (!isHelped(name)) return false;
+  for (const name of asList(cond.follower)) if (!hasFollower(name)) return false;
+
+  if (Array.isArray(cond.any) && !cond.any.some((c) => evalDialogueCondition(c))) return false;
+  if (cond.not !== undefined && evalDialogueCondition(cond.not)) return false;
+  return true;
+}
+
+// -------------------------
+// Compiling
+// -------------------------
+
+function parseSpeakerInline(line) {
+  const s = String(line ?? "").trim();
+  const idx = s.indexOf(":");
+  if (idx <= 0) return { speaker: "", text: s };
+  return { speaker: s.slice(0, idx).trim(), text: s.slice(idx + 1).trim() };
+}
+
+// Portrait / voice meta only when set, like InteractionRuntime's line steps.
+function sayStep(step) {
+  const out = { type: "say", speaker: String(step.speaker ?? "").trim(), text: String(step.say) };
+  if (step.expression) out.expression = String(step.expression).trim();
+  if (step.side) out.side = String(step.side).trim();
+  if (step.voice) out.voice = String(step.voice).trim();
+  return out;
+}
+
+const condFn = (cond) => (cond === undefined ? undefined : () => evalDialogueCondition(cond));
+
+function setFlags(names, value) {
+  for (const f of asList(names)) setFlag(f, value);
+}
+
+// Node steps -> DialogueBox steps. Jump targets stay names ("node.label" / "node")
+// until every reachable node is placed.
+function compileNode(nodeId, steps, queueNode) {
+  const out = [{ type: "label", name: nodeId }];
+  const target = (name) => {
+    const n = String(name ?? "").trim();
+    if (!n) return null;
+    if (steps.some((s) => s?.label === n)) return `${nodeId}.${n}`;
+    queueNode(n);
+    return n;
+  };
+
+  for (const step of steps) {
+    if (typeof step === "string") {
+      out.push({ type: "say", ...parseSpeakerInline(step) });
+      continue;
+    }
+    if (!step || typeof step !== "object") continue;
+
+    if (step.label !== undefined) out.push({ type: "label", name: `${nodeId}.${String(step.label).trim()}` });
+    else if (step.say !== undefined) out.push(sayStep(step));
+    else if (step.pause !== undefined) out.push({ type: "pause", ms: Number(step.pause) || 0 });
+    else if (step.goto !== undefined) out.push({ type: "jump", to: target(step.goto), if: condFn(step.if) });
+    else if (step.choice !== undefined) {
+      out.push({
+        type: "choice",
+        prompt: String(step.choice ?? ""),
+        options: (step.options ?? []).map((o) => ({
+          text: String(o?.text ?? ""),
+          next: o?.goto !== undefined ? target(o.goto) : undefined,
+          if: condFn(o?.if),
+          onSelect: o?.set !== undefined ? () => setFlags(o.set, true) : undefined,
+        })),
+      });
+    } else if (step.set !== undefined) out.push({ type: "action", run: () => setFlags(step.set, true) });
+    else if (step.clear !== undefined) out.push({ type: "action", run: () => setFlags(step.clear, false) });
+    else if (step.end) out.push({ type: "end" });
+    else console.warn(`[DialogueScripts] node "${nodeId}": unknown step`, step);
+  }
+
+  out.push({ type: "end" });
+  return out;
+}
+
+function compileNodeGraph(startId) {
+  const pending = [startId];
+  const placed = new Set();
+  const script = [];
+
+  while (pending.length) {
+    const id = pending.shift();
+    if (placed.has(id)) continue;
+    placed.add(id);
+
+    const node = NODES.get(id);
+    if (!node) {
+      console.warn(`[DialogueScripts] unknown dialogue node "${id}"`);
+      continue;
+    }
+    script.push(...compileNode(id, node.steps, (n) => pending.push(n)));
+  }
+  return script;
+}
+
+/**
+ * Anything DialogueBox.start() accepts -> a flat step array with every jump /
+ * choice target resolved to an index. A string is a node id; arrays may use
+ * { type: "label", name } steps and name them in `jump.to` / `option.next`.
+ * Returns null for an unknown node.
+ */
+export function buildDialogueScript(scriptOrNodeId) {
+  let script;
+  if (typeof scriptOrNodeId === "string") {
+    const id = scriptOrNodeId.trim();
+    if (!NODES.has(id)) {
+      console.warn(`[DialogueScripts] unknown dialogue node "${id}"`);
+      return null;
+    }
+    script = compileNodeGraph(id);
+  } else {
+    script = Array.isArray(scriptOrNodeId) ? scriptOrNodeId : [];
+  }
+
+  const labels = new Map();
+  script.forEach((step, i) => {
+    if (step?.type === "label" && step.name) labels.set(step.name, i);
+  });
+  if (!labels.size) return script;
+
+  // Unknown label -> past the end (DialogueBox closes normally).
+  const resolve = (to) => (typeof to === "string" ? labels.get(to) ?? script.length : to);
+
+  return script.map((step) => {
+    if (step?.type === "jump") return { ...step, to: resolve(step.to) };
+    if (step?.type === "choice") return { ...step, options: (step.options ?? []).map((o) => ({ ...o, next: resolve(o.next) })) };
+    return step;
+  });
+}
@@ -0,0 +1,103 @@
+// systems/Endings.js
+import { GameState, isTrueReady, isWorldEnding } from "./GameState.js";
+
+/**
+ * Ending rules: one ordered list, first match wins.
+ *
+ * Triggers (where an ending can be decided):
+ *  - "mineEntry": Library -> Mine door. No match means "enter the mine normally".
+ *  - "napper":    talking to Napper at the end of Minesweeper.
+ *  - "worldEnd":  after EpilogueWorldScene finishes, picks the follow-up epilogue.
+ *
+ * Priority (highest first):
+ *   world > minusHelp > speedrun > party > true > normal
+ *
+ * Conditions only read the `state` they are given, so they can be evaluated
+ * against any GameState-shaped object (defaults to the live GameState).
+ */
+
+export const ENDING_TRIGGERS = Object.freeze(["mineEntry", "napper", "worldEnd"]);
+
+const SPEEDRUN_MS = 60_000;
+
+function speedrunMs(state) {
+  const entry = state.flags?.minesweeperEntryMs;
+  return Number(entry ?? state.realTimeMs ?? NaN);
+}
+
+export const ENDINGS = Object.freeze([
+  {
+    id: "world",
+    title: "Alone",
+    sceneKey: "EpilogueWorldScene",
+    triggers: ["mineEntry"],
+    when: (s) => isWorldEnding(s),
+    reason: (s) => `global time ${Math.floor((s.realTimeMs ?? 0) / 1000)}s reached the world-end limit`,
+  },
+  {
+    id: "minusHelp",
+    title: "Minus Help",
+    sceneKey: "EpilogueMinusHelpScene",
+    triggers: ["mineEntry", "napper", "worldEnd"],
+    when: (s) => Number(s.helpScore ?? 0) < 0,
+    reason: (s) => `HelpScore ${s.helpScore} is negative`,
+  },
+  {
+    id: "speedrun",
+    title: "Speedrun",
+    sceneKey: "EpilogueSpeedrunScene",
+    triggers: ["mineEntry", "napper", "worldEnd"],
+    when: (s) => {
+      const ms = speedrunMs(s);
+      return Number.isFinite(ms) && ms <= SPEEDRUN_MS;
+    },
+    reason: (s) => `reached the mine after ${Math.floor(speedrunMs(s) / 1000)}s (limit ${SPEEDRUN_MS / 1000}s)`,
+  },
+  {
+    id: "party",
+    title: "Together",
+    sceneKey: "EpiloguePartyScene",
+    triggers: ["napper", "worldEnd"],
+    when: (s) => s.flags?.sagaJoined === true && s.flags?.aloiseFollowing === true,
+    reason: () => "Saga and Aloise are both in the party",
+  },
+  {
+    id: "true",
+    title: "True Ending",
+    sceneKey: "EpilogueTrueScene",
+    triggers: ["napper", "worldEnd"],
+    when: (s) => isTrueReady(s),
+    reason: () => "hair ribbon + love letter + cleared board + HelpScore >= 88",
+  },
+  {
+    id: "normal",
+    title: "Normal Ending",
+    sceneKey: "EpilogueNormalScene",
+    triggers: ["napper", "worldEnd"],
+    when: () => true,
+    reason: () => "no other ending matched",
+  },
+]);
+
+export function getEnding(id) {
+  return ENDINGS.find((e) => e.id === id) ?? null;
+}
+
+/**
+ * @param {"mineEntry"|"napper"|"worldEnd"} trigger
+ * @param {object} [state] defaults to the live GameState
+ * @returns {{ id: string, sceneKey: string, reason: string } | null}
+ */
+export function resolveEnding(trigger, state = GameState) {
+  if (!ENDING_TRIGGERS.includes(trigger)) {
+    console.warn(`[Endings] Unknown trigger "${trigger}"`);
+    return null;
+  }
+
+  for (const e of ENDINGS) {
+    if (!e.triggers.includes(trigger)) continue;
+    if (!e.when(state)) continue;
+    return { id: e.id, sceneKey: e.sceneKey, reason: e.reason(state) };
+  }
+  return null;
+}
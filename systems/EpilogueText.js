@@ -1,3 +1,5 @@
+import { typingDelayMs } from "./Settings.js";
+
 export default class EpilogueText {
   constructor(scene, opts = {}) {
     this.scene = scene;
@@ -116,11 +118,12 @@ export default class EpilogueText {
       return;
     }
 
+    const delay = typingDelayMs(this.typingSpeedMs);
     this.event = this.scene.time.addEvent({
-      delay: this.typingSpeedMs,
+      delay: Math.max(1, delay),
       loop: true,
       callback: () => {
-        i += 1;
+        i = delay > 0 ? i + 1 : this.full.length;
         this.visible = this.full.slice(0, i);
         this.text.setText(this.visible);
 
@@ -0,0 +1,102 @@
+// systems/GameEvents.js
+
+/**
+ * Change events for GameState.
+ *
+ * The GameState helpers (addItem, setFlag, addHelp, markHelped, ...) emit one of
+ * the EVENTS below after they mutate state, so HUDs / toasts can react instead
+ * of polling every frame. Code that writes GameState directly bypasses this,
+ * so always go through the helpers.
+ *
+ * Payloads:
+ *  - item:added / item:removed   { item, count, total }
+ *  - flag:changed                { name, value, prev }
+ *  - help:changed                { value, prev, delta }
+ *  - score:changed               { value, prev, delta }
+ *  - npc:helped                  { name, value }
+ *  - interaction:counted         { id, count }
+ *  - interaction:disabled        { id }
+ *  - interaction:choice          { id, choice }
+ *  - layer:hidden                { sceneKey, layerName, hidden }
+ *  - transition:changed          { fromScene, toScene, fromExit, toSpawn }
+ *  - dialogue:logged             { id, scene, speaker, text, at }
+ *  - state:replaced              {}  (save loaded / new game; re-read everything)
+ *
+ * "*" listeners receive every event as (payload, type).
+ * No Phaser dependency; scene scoping only relies on scene.events.
+ */
+
+export const EVENTS = Object.freeze({
+  ITEM_ADDED: "item:added",
+  ITEM_REMOVED: "item:removed",
+  FLAG_CHANGED: "flag:changed",
+  HELP_CHANGED: "help:changed",
+  SCORE_CHANGED: "score:changed",
+  NPC_HELPED: "npc:helped",
+  INTERACTION_COUNTED: "interaction:counted",
+  INTERACTION_DISABLED: "interaction:disabled",
+  INTERACTION_CHOICE: "interaction:choice",
+  LAYER_HIDDEN: "layer:hidden",
+  TRANSITION_CHANGED: "transition:changed",
+  DIALOGUE_LOGGED: "dialogue:logged",
+  STATE_REPLACED: "state:replaced",
+});
+
+const _listeners = new Map(); // type -> Set<fn>
+
+/** @returns {() => void} unsubscribe */
+export function on(type, fn) {
+  if (typeof fn !== "function") return () => {};
+  const k = String(type ?? "").trim();
+  if (!k) return () => {};
+
+  if (!_listeners.has(k)) _listeners.set(k, new Set());
+  _listeners.get(k).add(fn);
+  return () => off(k, fn);
+}
+
+export function off(type, fn) {
+  const set = _listeners.get(String(type ?? "").trim());
+  if (!set) return;
+  set.delete(fn);
+  if (!set.size) _listeners.delete(String(type).trim());
+}
+
+export function emit(type, payload = {}) {
+  const k = String(type ?? "").trim();
+  if (!k) return;
+
+  // Copy first: listeners may unsubscribe (or subscribe) while we iterate.
+  const fns = [...(_listeners.get(k) ?? []), ...(_listeners.get("*") ?? [])];
+  for (const fn of fns) {
+    try {
+      fn(payload, k);
+    } catch (e) {
+      console.warn(`[GameEvents] listener for "${k}" failed`, e);
+    }
+  }
+}
+
+/**
+ * Scene-scoped subscription: removed automatically when `scene` shuts down or
+ * is destroyed, so restarting a scene never stacks listeners.
+ * `types` may be a single event type or an array.
+ * @returns {() => void} unsubscribe (safe to call more than once)
+ */
+export function subscribe(scene, types, fn) {
+  const list = (Array.isArray(types) ? types : [types]).map((t) => String(t ?? "").trim()).filter(Boolean);
+  const offs = list.map((t) => on(t, fn));
+
+  let done = false;
+  const cleanup = () => {
+    if (done) return;
+    done = true;
+    offs.forEach((u) => u());
+    scene?.events?.off?.("shutdown", cleanup);
+    scene?.events?.off?.("destroy", cleanup);
+  };
+
+  scene?.events?.once?.("shutdown", cleanup);
+  scene?.events?.once?.("destroy", cleanup);
+  return cleanup;
+}
@@ -1,63 +1,99 @@
 // systems/GameState.js
-export const GameState = {
-  score: 0,
+import { EVENTS, emit } from "./GameEvents.js";
 
-  helpScore: 0,
+/** Fresh state for a new run. GameState starts as one of these; resetGameState() restores it. */
+export function createDefaultGameState() {
+  return {
+    score: 0,
 
-  // Old "progress counter" time (used by some HUDs / logic)
-  timePassed: 0,
+    helpScore: 0,
 
-  // NEW: real-life global time (ms) across the whole play session.
-  realTimeMs: 0,
+    // Old "progress counter" time (used by some HUDs / logic)
+    timePassed: 0,
 
-  transition: { fromScene: null, toScene: null, fromExit: null },
+    // NEW: real-life global time (ms) across the whole play session.
+    realTimeMs: 0,
 
-  // Global interaction gate (cooldown timer only)
-  input: {
-    interactLockUntil: 0,
-    // kept for compatibility, but I'm not using anymore
-    requireInteractKeyUp: false,
-  },
+    transition: { fromScene: null, toScene: null, fromExit: null, toSpawn: null },
 
-  inventory: {},
+    // Global interaction gate (cooldown timer only)
+    input: {
+      interactLockUntil: 0,
+      // kept for compatibility, but I'm not using anymore
+      requireInteractKeyUp: false,
+    },
 
-  interactions: {
-    counts: {}, // id -> number
-    disabled: {}, // id -> true
-    choices: {}, // id -> last chosen option (number)
-  },
+    inventory: {},
 
-  hiddenLayers: {},
+    interactions: {
+      counts: {}, // id -> number
+      disabled: {}, // id -> true
+      choices: {}, // id -> last chosen option (number)
+    },
 
-  flags: {
-    hasHairpin: false,
+    hiddenLayers: {},
 
-    sagaPath: null,
-    sagaJoined: false,
+    flags: {
+      hasHairpin: false,
 
-    gladOutcome: null,
+      sagaPath: null,
+      sagaJoined: false,
 
-    aloiseFollowing: false,
-    aloiseParty: false,
-    aloiseForestIntroShown: false,
+      gladOutcome: null,
 
-    minesweeperCleared: false,
-    minesweeperBoardCleared: false,
-  },
+      aloiseFollowing: false,
+      aloiseParty: false,
+      aloiseForestIntroShown: false,
 
-  sceneProgress: {
-    CityScene: false,
-    ForestScene: false,
-    LibraryScene: false,
-  },
+      minesweeperCleared: false,
+      minesweeperBoardCleared: false,
+    },
 
-  forest: {
-    strawberriesInitialized: false,
-    strawberryPositions: [],
-  },
+    sceneProgress: {
+      CityScene: false,
+      ForestScene: false,
+      LibraryScene: false,
+    },
 
-  npcsHelped: {},
-};
+    forest: {
+      strawberriesInitialized: false,
+      strawberryPositions: [],
+    },
+
+    npcsHelped: {},
+
+    // Every line DialogueBox has shown this run, grouped by conversation (see logDialogueLine).
+    dialogueLog: {
+      lastId: 0,
+      conversations: [], // { id, scene, at, lines: [{ speaker, text, at }] }, oldest first
+    },
+
+    // Which playthrough this is (see systems/NewGamePlus.js).
+    run: {
+      number: 1,
+      newGamePlus: false,
+      carried: [], // carry-over rule ids applied at the start of this run
+    },
+  };
+}
+
+export const GameState = createDefaultGameState();
+
+/**
+ * Replaces every section in place (imports keep pointing at the same object).
+ * `sections` (optional) overrides whole top-level sections of the fresh defaults;
+ * loading a save passes the saved state here.
+ */
+export function resetGameState(sections = null) {
+  const next = { ...createDefaultGameState(), ...(sections ?? {}) };
+  for (const k of Object.keys(GameState)) delete GameState[k];
+  Object.assign(GameState, next);
+  emit(EVENTS.STATE_REPLACED);
+}
+
+export function isNewGamePlus() {
+  return GameState.run?.newGamePlus === true;
+}
 
 // -------------------------
 // Inventory
@@ -67,12 +103,17 @@ export function addItem(item, count = 1) {
   const k = String(item ?? "").trim();
   if (!k) return;
   GameState.inventory[k] = (GameState.inventory[k] ?? 0) + (count ?? 1);
+  emit(EVENTS.ITEM_ADDED, { item: k, count: count ?? 1, total: GameState.inventory[k] });
 }
 
 export function removeItem(item, count = 1) {
   const k = String(item ?? "").trim();
   if (!k) return;
-  GameState.inventory[k] = Math.max(0, (GameState.inventory[k] ?? 0) - (count ?? 1));
+  const prev = GameState.inventory[k] ?? 0;
+  GameState.inventory[k] = Math.max(0, prev - (count ?? 1));
+  if (GameState.inventory[k] !== prev) {
+    emit(EVENTS.ITEM_REMOVED, { item: k, count: prev - GameState.inventory[k], total: GameState.inventory[k] });
+  }
 }
 
 export function hasItem(item, count = 1) {
@@ -89,13 +130,16 @@ export function incrementInteractionCount(id) {
   const k = String(id ?? "").trim();
   if (!k) return 0;
   GameState.interactions.counts[k] = (GameState.interactions.counts[k] ?? 0) + 1;
+  emit(EVENTS.INTERACTION_COUNTED, { id: k, count: GameState.interactions.counts[k] });
   return GameState.interactions.counts[k];
 }
 
 export function disableInteraction(id) {
   const k = String(id ?? "").trim();
   if (!k) return;
+  if (GameState.interactions.disabled[k] === true) return;
   GameState.interactions.disabled[k] = true;
+  emit(EVENTS.INTERACTION_DISABLED, { id: k });
 }
 
 export function isInteractionDisabled(id) {
@@ -111,6 +155,7 @@ export function setInteractionChoice(id, choice) {
   if (!k) return;
   if (!Number.isFinite(c) || c <= 0) return;
   GameState.interactions.choices[k] = Math.trunc(c);
+  emit(EVENTS.INTERACTION_CHOICE, { id: k, choice: Math.trunc(c) });
 }
 
 export function getInteractionChoice(id) {
@@ -131,7 +176,9 @@ export function setLayerHidden(sceneKey, layerName, hidden) {
   if (!sk || !ln) return;
 
   GameState.hiddenLayers[sk] = GameState.hiddenLayers[sk] ?? {};
+  if (GameState.hiddenLayers[sk][ln] === !!hidden) return;
   GameState.hiddenLayers[sk][ln] = !!hidden;
+  emit(EVENTS.LAYER_HIDDEN, { sceneKey: sk, layerName: ln, hidden: !!hidden });
 }
 
 export function isLayerHidden(sceneKey, layerName) {
@@ -145,18 +192,30 @@ export function isLayerHidden(sceneKey, layerName) {
 // NPC help / scoring
 // -------------------------
 
+export function setHelpScore(value) {
+  const prev = Number(GameState.helpScore) || 0;
+  const next = Number(value) || 0;
+  GameState.helpScore = next;
+  if (next !== prev) emit(EVENTS.HELP_CHANGED, { value: next, prev, delta: next - prev });
+}
+
 export function addHelp(n = 1) {
-  GameState.helpScore += Number(n) || 0;
+  setHelpScore((Number(GameState.helpScore) || 0) + (Number(n) || 0));
 }
 
 export function addScore(n = 1) {
-  GameState.score += Number(n) || 0;
+  const prev = Number(GameState.score) || 0;
+  const delta = Number(n) || 0;
+  GameState.score = prev + delta;
+  if (delta) emit(EVENTS.SCORE_CHANGED, { value: GameState.score, prev, delta });
 }
 
 export function markHelped(npcName, value = true) {
   const k = String(npcName ?? "").trim();
   if (!k) return;
+  if (GameState.npcsHelped[k] === value) return;
   GameState.npcsHelped[k] = value;
+  emit(EVENTS.NPC_HELPED, { name: k, value });
 }
 
 export function isHelped(npcName) {
@@ -167,8 +226,9 @@ export function isHelped(npcName) {
 // Scene progress + transitions
 // -------------------------
 
-export function setTransition(fromScene, toScene, fromExit) {
-  GameState.transition = { fromScene, toScene, fromExit };
+export function setTransition(fromScene, toScene, fromExit, toSpawn = null) {
+  GameState.transition = { fromScene, toScene, fromExit, toSpawn };
+  emit(EVENTS.TRANSITION_CHANGED, { ...GameState.transition });
 }
 
 export function markSceneProgress(sceneKey) {
@@ -186,9 +246,9 @@ export function onLeaveScene(sceneKey) {
 // True ending readiness (for Minesweeper / EpilogueTrueScene)
 // -------------------------
 
-export function isTrueReady() {
-  const inv = GameState.inventory ?? {};
-  const flags = GameState.flags ?? {};
+export function isTrueReady(state = GameState) {
+  const inv = state.inventory ?? {};
+  const flags = state.flags ?? {};
 
   const hasHairRibbon =
     !!flags.hasHairpin || (Number(inv.hairribbon ?? inv.hairRibbon ?? inv.HairRibbon ?? 0) > 0);
@@ -197,7 +257,7 @@ export function isTrueReady() {
     Number(inv.loveletter ?? inv.loveLetter ?? inv.LoveLetter ?? inv.Loveletter ?? 0) > 0;
 
   const hasMinesweeperClear = !!flags.minesweeperBoardCleared;
-  const enoughHelp = Number(GameState.helpScore ?? 0) >= 88;
+  const enoughHelp = Number(state.helpScore ?? 0) >= 88;
 
   return hasHairRibbon && hasLoveLetter && hasMinesweeperClear && enoughHelp;
 }
@@ -210,8 +270,8 @@ export function isTrueReady() {
 
 export const WORLD_END_MS = 8 * 60 * 1000; // 8 minutes
 
-export function isWorldEnding() {
-  return (GameState.realTimeMs ?? 0) >= WORLD_END_MS;
+export function isWorldEnding(state = GameState) {
+  return (state.realTimeMs ?? 0) >= WORLD_END_MS;
 }
 
 /**
@@ -231,7 +291,9 @@ export function setFlag(name, value = true) {
   const k = String(name ?? "").trim();
   if (!k) return;
   GameState.flags = GameState.flags ?? {};
+  const prev = GameState.flags[k];
   GameState.flags[k] = value;
+  if (prev !== value) emit(EVENTS.FLAG_CHANGED, { name: k, value, prev });
 }
 
 export function getFlag(name, fallback = undefined) {
@@ -240,3 +302,40 @@ export function getFlag(name, fallback = undefined) {
   return GameState.flags?.[k] ?? fallback;
 }
 
+// -------------------------
+// Dialogue log
+// -------------------------
+
+// Oldest conversations are dropped past this (saves live in localStorage).
+export const DIALOGUE_LOG_MAX_CONVERSATIONS = 150;
+
+/** New conversation id; nothing is stored until its first line is logged. */
+export function beginDialogueConversation() {
+  const log = GameState.dialogueLog;
+  log.lastId = (Number(log.lastId) || 0) + 1;
+  return log.lastId;
+}
+
+/**
+ * Appends a shown line to conversation `id` (opened by beginDialogueConversation).
+ * `at` is play time (GameState.realTimeMs), so it reads the same after a load.
+ */
+export function logDialogueLine(id, { scene = "", speaker = "", text = "" } = {}) {
+  const t = String(text ?? "").trim();
+  if (!t) return;
+
+  const log = GameState.dialogueLog;
+  const at = Number(GameState.realTimeMs) || 0;
+  let conv = log.conversations[log.conversations.length - 1];
+  if (!conv || conv.id !== id) {
+    conv = { id, scene: String(scene ?? ""), at, lines: [] };
+    log.conversations.push(conv);
+    if (log.conversations.length > DIALOGUE_LOG_MAX_CONVERSATIONS) {
+      log.conversations.splice(0, log.conversations.length - DIALOGUE_LOG_MAX_CONVERSATIONS);
+    }
+  }
+
+  const line = { speaker: String(speaker ?? "").trim(), text: t, at };
+  conv.lines.push(line);
+  emit(EVENTS.DIALOGUE_LOGGED, { id, scene: conv.scene, ...line });
+}
@@ -0,0 +1,1211 @@
+// systems/InteractionRuntime.js
+import {
+  GameState,
+  addItem,
+  hasItem,
+  removeItem,
+  incrementInteractionCount,
+  disableInteraction,
+  isInteractionDisabled,
+  setInteractionChoice,
+  setLayerHidden,
+  markHelped,
+  isHelped,
+  addHelp,
+  addScore,
+  setFlag,
+} from "./GameState.js";
+import { splitCsv, parseProps } from "./TiledProps.js";
+import { hasDialogueNode } from "./DialogueScripts.js";
+
+/**
+ * The Tiled interaction engine (dialogue, choices, requirements, effects) without
+ * Phaser. BaseExploreScene wires it to the world through a host adapter
+ * (_getInteractionHost); tools/interaction-harness.mjs drives it headless.
+ *
+ * Host adapter (every member required; the harness records each call):
+ *  - sceneKey                          scene the interaction lives in
+ *  - startDialogue(script, onComplete) DialogueBox.start() (steps or a dialogue node id);
+ *                                      onComplete only on a normal end
+ *  - delay(ms, fn)
+ *  - shake(ms)                         stacked camera shake
+ *  - playSfx(name, { volume })
+ *  - playLineSfx(name, { volume, stopOnDialogueEnd })
+ *  - duckMusic(id, factor), unduckMusic(id)
+ *  - setMusic(nameOrKey, { volume, loop, fadeMs, persist, carry }), clearMusicOverride()
+ *  - setPrompt(id, text)               interactable prompt shown in the HUD
+ *  - dropInteractable(id)              remove from the active list (state is already saved)
+ *  - removeTileUnder(id, layerName)    -> true if a tile under the interactable was removed
+ *  - setLayerVisible(layerName, visible)
+ *  - removeCollider(id)                persists the removal itself
+ *  - isNpcMoving(npcId)
+ *  - despawnNpc(npcId), hideNpcByName(name), syncFollowers()
+ *  - flipNpcY(npcId)                   -> false if no such spawned NPC
+ *  - moveNpcToPoint(npcId, pointName, opts), moveNpcAlongWaypoints(npcId, csv, opts)
+ *
+ * All state changes go through GameState; the host only touches visuals/audio.
+ * What a property *does* lives in the effect registry (registerEffect, below).
+ */
+
+function clampInt(n, min, max) {
+  const x = Number.isFinite(Number(n)) ? Number(n) : 0;
+  return Math.max(min, Math.min(max, Math.trunc(x)));
+}
+
+function isTrue(v) {
+  return v === true || String(v ?? "").toLowerCase() === "true";
+}
+
+export function flagKey(prefix, ...parts) {
+  return `${prefix}__${parts.map((p) => String(p)).join("__")}`;
+}
+
+// -------------------------
+// Followers
+// -------------------------
+
+export function hasFollower(name) {
+  const n = String(name ?? "").trim().toLowerCase();
+  if (!n) return false;
+  if (n === "saga") return GameState?.flags?.sagaJoined === true;
+  if (n === "aloise") return GameState?.flags?.aloiseFollowing === true;
+  // generic: allow flags like "<name>Joined" or "<name>Following"
+  const joinedKey = `${n}joined`;
+  const followingKey = `${n}following`;
+  return GameState?.flags?.[joinedKey] === true || GameState?.flags?.[followingKey] === true;
+}
+
+export function setFollowerFlag(name, enabled) {
+  const n = String(name ?? "").trim().toLowerCase();
+  if (!n) return;
+  if (n === "saga") setFlag("sagaJoined", !!enabled);
+  else if (n === "aloise") setFlag("aloiseFollowing", !!enabled);
+  else {
+    setFlag(`${n}joined`, !!enabled);
+    setFlag(`${n}following`, !!enabled);
+  }
+}
+
+// -------------------------
+// Quest-style interaction gating (cross-scene)
+// -------------------------
+
+function forcedDisabledFlag(sceneKey, interactionId) {
+  return flagKey("__int_forced_disabled", String(sceneKey ?? "").trim(), String(interactionId ?? "").trim());
+}
+
+function forcedEnabledFlag(sceneKey, interactionId) {
+  return flagKey("__int_forced_enabled", String(sceneKey ?? "").trim(), String(interactionId ?? "").trim());
+}
+
+export function setInteractionForcedDisabled(sceneKey, interactionId, disabled) {
+  if (disabled) {
+    setFlag(forcedDisabledFlag(sceneKey, interactionId), true);
+    setFlag(forcedEnabledFlag(sceneKey, interactionId), false);
+  } else {
+    setFlag(forcedDisabledFlag(sceneKey, interactionId), false);
+  }
+}
+
+export function setInteractionForcedEnabled(sceneKey, interactionId, enabled) {
+  if (enabled) {
+    setFlag(forcedEnabledFlag(sceneKey, interactionId), true);
+    setFlag(forcedDisabledFlag(sceneKey, interactionId), false);
+  } else {
+    setFlag(forcedEnabledFlag(sceneKey, interactionId), false);
+  }
+}
+
+/** "Scene:id" (also "|" or "/") or a bare id in `defaultSceneKey`. */
+export function parseInteractionTarget(raw, defaultSceneKey) {
+  const s = String(raw ?? "").trim();
+  if (!s) return null;
+
+  const seps = [":", "|", "/"];
+  for (const sep of seps) {
+    const idx = s.indexOf(sep);
+    if (idx > 0) {
+      const sceneKey = s.slice(0, idx).trim();
+      const id = s.slice(idx + 1).trim();
+      if (sceneKey && id) return { sceneKey, id };
+    }
+  }
+
+  return { sceneKey: String(defaultSceneKey ?? "").trim(), id: s };
+}
+
+function flagsAllTrue(flagNames) {
+  for (const f of flagNames) {
+    const k = String(f ?? "").trim();
+    if (!k) continue;
+    if (GameState.flags?.[k] !== true) return false;
+  }
+  return true;
+}
+
+function flagsAnyTrue(flagNames) {
+  for (const f of flagNames) {
+    const k = String(f ?? "").trim();
+    if (!k) continue;
+    if (GameState.flags?.[k] === true) return true;
+  }
+  return false;
+}
+
+/** Interactable.isEnabled(): forced toggles, flag gating, moving NPC, requiresChoice. */
+export function isInteractionEnabled(host, id, props) {
+  const sceneKey = host.sceneKey;
+
+  // Cross-scene quest toggles (forced state)
+  if (GameState.flags?.[forcedDisabledFlag(sceneKey, id)] === true) return false;
+  if (isInteractionDisabled(id)) return false;
+  if (GameState.flags?.[forcedEnabledFlag(sceneKey, id)] === true) return true;
+
+  // Flag gating
+  const enabledIf = splitCsv(props.enabledifflags ?? props.enabledifflag);
+  if (enabledIf.length && !flagsAllTrue(enabledIf)) return false;
+
+  const enabledIfAny = splitCsv(props.enabledifanyflags ?? props.enabledifanyflag);
+  if (enabledIfAny.length && !flagsAnyTrue(enabledIfAny)) return false;
+
+  const disabledIf = splitCsv(props.disabledifflags ?? props.disabledifflag);
+  if (disabledIf.length && flagsAnyTrue(disabledIf)) return false;
+
+  // If this interaction is tied to a spawned NPC, disable it while the NPC is moving.
+  const npcId = String(props.npcid ?? props.targetnpc ?? props.npc ?? "").trim();
+  if (npcId && host.isNpcMoving(npcId)) return false;
+
+  const reqChoiceId = String(props.requireschoiceid ?? props.requireschoice ?? "").trim();
+  const reqChoiceValRaw = props.requireschoicevalue ?? props.requireschoiceval ?? props.requireschoiceindex;
+  if (reqChoiceId) {
+    const want = Number(reqChoiceValRaw);
+    const got = Number(GameState.interactions?.choices?.[reqChoiceId]);
+    if (Number.isFinite(want) && want > 0) return got === want;
+    // If only id is provided, require that *any* choice exists.
+    return Number.isFinite(got) && got > 0;
+  }
+
+  return true;
+}
+
+// -------------------------
+// Dialogue script building
+// -------------------------
+
+export function getNumberedKeys(props, baseKey) {
+  const keys = [];
+  if (props[baseKey] !== undefined) keys.push(baseKey);
+  for (let i = 2; i <= 99; i++) {
+    const k = `${baseKey}${i}`;
+    if (props[k] === undefined) break;
+    keys.push(k);
+  }
+  return keys;
+}
+
+function lineIndexFromKey(prefix, key) {
+  const p = String(prefix ?? "");
+  const k = String(key ?? "");
+  if (!p || !k) return 1;
+  if (k === p) return 1;
+  const m = k.match(new RegExp(`^${p}(\\d+)$`));
+  if (!m) return 1;
+  const n = Number(m[1]);
+  return Number.isFinite(n) && n > 0 ? n : 1;
+}
+
+// Per-line meta (speaker, expression, ...): <key><suffix>, then <prefix><n><suffix>, then <prefix><suffix>.
+function resolveLineProp(props, prefix, key, suffix) {
+  const p = String(prefix ?? "");
+  const k = String(key ?? "");
+  const n = lineIndexFromKey(p, k);
+
+  const direct = String(props[`${k}${suffix}`] ?? "").trim();
+  if (direct) return direct;
+
+  const numbered = String(props[`${p}${n}${suffix}`] ?? "").trim();
+  if (numbered) return numbered;
+
+  return String(props[`${p}${suffix}`] ?? "").trim();
+}
+
+function resolveLineSpeaker(props, baseSpeaker, prefix, key) {
+  return resolveLineProp(props, prefix, key, "speaker") || String(baseSpeaker ?? "").trim();
+}
+
+// "say" step for one line key: speaker + portrait / voice meta (dialogue3Expression=sad,
+// dialogue3PortraitSide=right, dialogue3Voice=none).
+function sayStep(props, baseSpeaker, prefix, key, text) {
+  const step = { type: "say", speaker: resolveLineSpeaker(props, baseSpeaker, prefix, key), text };
+  const expression = resolveLineProp(props, prefix, key, "expression");
+  const side = resolveLineProp(props, prefix, key, "portraitside");
+  const voice = resolveLineProp(props, prefix, key, "voice");
+  if (expression) step.expression = expression;
+  if (side) step.side = side;
+  if (voice) step.voice = voice;
+  return step;
+}
+
+// basePrefix examples: "dialogue", "postdialogue", "choice1postdialogue"
+function selectDialogueVariantPrefix(props, basePrefix) {
+  const hasSaga = hasFollower("Saga");
+  const hasAloise = hasFollower("Aloise");
+
+  if (hasSaga && hasAloise) {
+    const p = `bothfollowers${basePrefix}`;
+    if (getNumberedKeys(props, p).length) return p;
+  }
+  if (hasSaga) {
+    const p = `sagafollower${basePrefix}`;
+    if (getNumberedKeys(props, p).length) return p;
+  }
+  if (hasAloise) {
+    const p = `aloisefollower${basePrefix}`;
+    if (getNumberedKeys(props, p).length) return p;
+  }
+  return basePrefix;
+}
+
+function selectPromptVariant(props, basePromptKey) {
+  const hasSaga = hasFollower("Saga");
+  const hasAloise = hasFollower("Aloise");
+
+  if (hasSaga && hasAloise) {
+    const v = String(props[`bothfollowers${basePromptKey}`] ?? "").trim();
+    if (v) return v;
+  }
+  if (hasSaga) {
+    const v = String(props[`sagafollower${basePromptKey}`] ?? "").trim();
+    if (v) return v;
+  }
+  if (hasAloise) {
+    const v = String(props[`aloisefollower${basePromptKey}`] ?? "").trim();
+    if (v) return v;
+  }
+  return String(props[basePromptKey] ?? "").trim();
+}
+
+// -------------------------
+// Follower dialogue (followDialogue*)
+// -------------------------
+
+// followDialogue / <variant>followDialogue lines REPLACE the main line(s) while a
+// follower is in the party. Same party test as every other follower variant.
+function hasFollowerDialogueProps(props) {
+  return Object.keys(props ?? {}).some((k) => {
+    const key = String(k).toLowerCase();
+    return (
+      key.startsWith("followdialogue") ||
+      key.startsWith("aloisefollowerfollowdialogue") ||
+      key.startsWith("sagafollowerfollowdialogue") ||
+      key.startsWith("bothfollowersfollowdialogue") ||
+      key === "followpausems"
+    );
+  });
+}
+
+// "Aloise: Hey" -> speaker Aloise for that line only.
+function parseSpeakerInline(line, defaultSpeaker) {
+  const s = String(line ?? "").trim();
+  const idx = s.indexOf(":");
+  if (idx <= 0) return { speaker: defaultSpeaker, text: s };
+  return { speaker: s.slice(0, idx).trim(), text: s.slice(idx + 1).trim() };
+}
+
+function appendFollowerDialogue(props, script, { basePrefix = "followdialogue" } = {}) {
+  if (!Array.isArray(script)) return;
+  if (!hasFollower("Saga") && !hasFollower("Aloise")) return;
+
+  const prefix = selectDialogueVariantPrefix(props, basePrefix);
+  const lines = getNumberedKeys(props, prefix)
+    .map((k) => String(props[k] ?? "").trim())
+    .filter(Boolean);
+  if (!lines.length) return;
+
+  script.length = 0;
+
+  const pauseMs = clampInt(props.followpausems ?? 250, 0, 5000);
+  if (pauseMs > 0) script.push({ type: "pause", ms: pauseMs });
+
+  const defaultSpeaker = String(props.speaker ?? "").trim();
+  for (const ln of lines) {
+    const { speaker, text } = parseSpeakerInline(ln, defaultSpeaker);
+    if (text) script.push({ type: "say", speaker, text });
+  }
+}
+
+function buildDialogueScriptFromPrefix(host, props, baseSpeaker, prefix, interactionId = null) {
+  const p = String(prefix ?? "").trim();
+  if (!p) return [];
+  const keys = getNumberedKeys(props, p);
+  const steps = [];
+
+  for (const k of keys) {
+    const text = String(props[k] ?? "").trim();
+    if (!text) continue;
+
+    appendLineMetaActions(host, interactionId, props, k, steps);
+
+    steps.push(sayStep(props, baseSpeaker, p, k, text));
+  }
+
+  // Support single unnumbered property even if getNumberedKeys missed it (defensive)
+  if (!keys.length) {
+    const text = String(props[p] ?? "").trim();
+    if (text) {
+      appendLineMetaActions(host, interactionId, props, p, steps);
+      steps.push(sayStep(props, baseSpeaker, p, p, text));
+    }
+  }
+
+  return steps;
+}
+
+function buildSequenceScriptFromKeys(host, keys, props, baseSpeaker, startIndex1 = 1, endIndex1 = null, interactionId = null) {
+  const list = Array.isArray(keys) ? keys : [];
+  if (!list.length) return [];
+  const start = Math.max(1, Number(startIndex1) || 1);
+  const end =
+    endIndex1 == null ? list.length : Math.max(start, Math.min(list.length, Number(endIndex1) || list.length));
+
+  const slice = list.slice(start - 1, end);
+  const steps = [];
+
+  for (const k of slice) {
+    const text = String(props[k] ?? "").trim();
+    if (!text) continue;
+
+    // k already encodes its prefix; resolve prefix by stripping trailing digits
+    const prefix = String(k).replace(/\d+$/, "");
+
+    appendLineMetaActions(host, interactionId, props, k, steps);
+    steps.push(sayStep(props, baseSpeaker, prefix, k, text));
+  }
+
+  return steps;
+}
+
+function postHelpedKey(props) {
+  const k = String(props.posthelpedname ?? props.markhelped ?? props.speaker ?? "").trim();
+  return k || null;
+}
+
+function playScaledSfx(host, sfxName, basePct, stepPct, maxPct, useIndex) {
+  const base = clampInt(basePct ?? 20, 0, 100);
+  const step = clampInt(stepPct ?? 5, 0, 100);
+  const max = clampInt(maxPct ?? 80, 0, 100);
+  const pct = Math.min(max, base + (useIndex - 1) * step);
+  host.playSfx(sfxName, { volume: pct / 100 });
+}
+
+// -------------------------
+// Main interaction runner
+// -------------------------
+
+/** Z on an interactable (or a trigger firing): `obj` is the raw Tiled object. */
+export function runInteraction(host, obj) {
+  const props = parseProps(obj);
+  const id = String(props.id ?? obj?.name ?? "").trim();
+  const isTrigger = props.autofire === true || String(props.trigger ?? "").toLowerCase() === "true";
+  if (!id) return;
+  if (isInteractionDisabled(id)) return;
+
+  // Requirement gating:
+  // - By default, once an interaction is "helped"/completed, skip requiresItem checks so it doesn't relock.
+  // - Optionally, requiresItemOnce only checks on the very first interaction use.
+  const helpedKeyPre = postHelpedKey(props);
+  const isAlreadyHelped = helpedKeyPre ? isHelped(helpedKeyPre) : false;
+
+  const requireOnce = isTrue(props.requiresitemonce);
+  const currentUses = Number(GameState?.interactions?.counts?.[id] ?? 0) || 0;
+
+  const skipRequiresIfHelped = props.requiresitemskipifhelped === undefined ? true : isTrue(props.requiresitemskipifhelped);
+
+  // Persist "requirements satisfied" so denyDialogue can't relock later (e.g., if the key was consumed).
+  const reqSatisfiedFlag = flagKey("__req_satisfied", host.sceneKey, id);
+  const reqSatisfiedAlready = GameState.flags?.[reqSatisfiedFlag] === true;
+
+  const shouldCheckRequires = !reqSatisfiedAlready && !(skipRequiresIfHelped && isAlreadyHelped) && !(requireOnce && currentUses > 0);
+
+  if (shouldCheckRequires) {
+    for (const item of splitCsv(props.requiresitem)) {
+      if (!hasItem(item)) {
+        const deny = String(props.denydialogue ?? "You can't do that yet.").trim();
+        host.startDialogue([{ type: "say", speaker: "", text: deny }, { type: "end" }]);
+        return;
+      }
+    }
+
+    // Requirements passed at least once; remember so denyDialogue never shows for this interaction again.
+    setFlag(reqSatisfiedFlag, true);
+  }
+
+  const wantsDuck = isTrue(props.mutemusic) || isTrue(props.duckmusic);
+  const duckFactor = props.duckmusicfactor !== undefined ? Number(props.duckmusicfactor) : 0;
+
+  const startDuck = () => {
+    if (wantsDuck) host.duckMusic(id, duckFactor);
+  };
+
+  const endDuck = () => {
+    if (wantsDuck) host.unduckMusic(id);
+  };
+
+  // dialogueNode: a DialogueScripts node owns the whole conversation (it branches
+  // on helped/flags itself), so dialogue*, choice* and postDialogue* don't apply.
+  // An unknown node falls back to those props instead (checked before any ducking).
+  let dialogueNode = String(props.dialoguenode ?? "").trim();
+  if (dialogueNode && !hasDialogueNode(dialogueNode)) {
+    console.warn(`[Interaction] "${id}": dialogueNode "${dialogueNode}" not found; using its dialogue props.`);
+    dialogueNode = "";
+  }
+
+  const helpedKey = postHelpedKey(props);
+  if (!dialogueNode && helpedKey && isHelped(helpedKey)) {
+    runPostHelped(host, id, props, startDuck, endDuck);
+    return;
+  }
+
+  const useIndex = incrementInteractionCount(id);
+
+  const preName = props.presfx ? String(props.presfx).trim() : "";
+  const preOnce = props.presfxonce === true;
+  const preDelay = clampInt(props.presfxdelayms ?? 0, 0, 3000);
+  const preBase = clampInt(props.presfxbase ?? 100, 0, 100);
+  const allowPre = !preName || !preOnce || useIndex === 1;
+
+  const runMain = () => {
+    applyEffects(host, id, props, "use", { count: useIndex });
+
+    if (dialogueNode) {
+      startDuck();
+      host.startDialogue(dialogueNode, () => {
+        applyInteractionEffects(host, id, props);
+        endDuck();
+      });
+      return;
+    }
+
+    const choicePrompt = String(props.choiceprompt ?? "").trim();
+    const choice1Text = String(props.choice1text ?? "").trim();
+    if (choicePrompt && choice1Text) {
+      runChoiceInteraction(host, id, props);
+      return;
+    }
+
+    const speaker = String(props.speaker ?? "").trim();
+    const loop = props.loopdialogue === true;
+    const sequenceDialogue = isTrue(props.sequencedialogue);
+
+    const dialoguePrefix = selectDialogueVariantPrefix(props, "dialogue");
+    const keys = getNumberedKeys(props, dialoguePrefix);
+    const endN = keys.length ? clampInt(props.enddialogue ?? keys.length, 1, keys.length) : 0;
+
+    if (!keys.length || props.nodialogue === true) {
+      if (hasFollowerDialogueProps(props)) {
+        const script = [];
+        appendFollowerDialogue(props, script, { basePrefix: "followdialogue" });
+        script.push({ type: "end" });
+
+        startDuck();
+        host.startDialogue(script, () => endDuck());
+        return;
+      }
+
+      // Replace main dialogue with follower dialogue (pure talk) when followers are present.
+      const replaceMainWithFollower = (isTrigger || isTrue(props.replacewithfollower)) && hasFollowerDialogueProps(props);
+
+      if (replaceMainWithFollower) {
+        const script = [];
+        appendFollowerDialogue(props, script, { basePrefix: "followdialogue" });
+
+        if (script.length) {
+          script.push({ type: "end" });
+          startDuck();
+          host.startDialogue(script, () => endDuck());
+          return;
+        }
+      }
+
+      applyInteractionEffects(host, id, props);
+      return;
+    }
+
+    let lineIndex = useIndex;
+    if (loop) lineIndex = ((lineIndex - 1) % endN) + 1;
+    else lineIndex = Math.min(lineIndex, endN);
+
+    if (sequenceDialogue && !loop) {
+      const script = buildSequenceScriptFromKeys(host, keys, props, speaker, lineIndex, endN, id);
+
+      if (!script.length) {
+        applyInteractionEffects(host, id, props);
+        return;
+      }
+
+      script.push({ type: "end" });
+
+      startDuck();
+      host.startDialogue(script, () => {
+        applyInteractionEffects(host, id, props);
+        endDuck();
+      });
+      return;
+    }
+
+    const key = lineIndex === 1 ? dialoguePrefix : `${dialoguePrefix}${lineIndex}`;
+    const textLine = String(props[key] ?? props[dialoguePrefix] ?? "").trim();
+    const isFinal = !loop && lineIndex === endN;
+
+    startDuck();
+    const script = [];
+    appendLineMetaActions(host, id, props, key, script);
+    script.push(sayStep(props, speaker, dialoguePrefix, key, textLine));
+    appendFollowerDialogue(props, script, { basePrefix: "followdialogue" });
+    script.push({ type: "end" });
+    host.startDialogue(script, () => {
+      if (isFinal) applyInteractionEffects(host, id, props);
+      endDuck();
+    });
+  };
+
+  if (allowPre && preName) {
+    host.playSfx(preName, { volume: preBase / 100 });
+    if (preDelay > 0) host.delay(preDelay, runMain);
+    else runMain();
+  } else {
+    runMain();
+  }
+}
+
+// After markHelped: choiceNPostDialogue* / postDialogue*, one more line per visit unless sequenceDialogue.
+function runPostHelped(host, id, props, startDuck, endDuck) {
+  const speaker = String(props.speaker ?? "").trim();
+  const sequenceDialogue = isTrue(props.sequencedialogue);
+
+  // Prompt override (supports follower variants + choice variants)
+  const lastChoice = Number(GameState?.interactions?.choices?.[id] ?? 0) || 0;
+
+  // Determine which post-dialogue prefix to use:
+  //  1) choiceNPostDialogue* (if last choice exists)
+  //  2) postDialogue* fallback
+  let basePrefix = "postdialogue";
+  if (lastChoice > 0) {
+    const cand = `choice${lastChoice}postdialogue`;
+    if (getNumberedKeys(props, cand).length) basePrefix = cand;
+  }
+
+  // Apply follower variants: bothFollowers*, sagaFollower*, aloiseFollower*
+  const prefix = selectDialogueVariantPrefix(props, basePrefix);
+
+  // Prompt keys: choiceNPostPrompt or postPrompt, with follower variants too
+  let basePromptKey = "postprompt";
+  if (lastChoice > 0) {
+    const candPromptKey = `choice${lastChoice}postprompt`;
+    const candPrompt = String(props[candPromptKey] ?? "").trim();
+    if (candPrompt) basePromptKey = candPromptKey;
+  }
+  const postPrompt = selectPromptVariant(props, basePromptKey);
+  if (postPrompt) host.setPrompt(id, postPrompt);
+
+  let script = buildDialogueScriptFromPrefix(host, props, speaker, prefix, id);
+  if (!sequenceDialogue && script.length) {
+    // Progressive post-dialogue: 1st visit -> line1, 2nd -> line2, ... then keep last.
+    const k = `__postdlg_count|${host.sceneKey}|${id}|${prefix}`;
+    const n = (Number(GameState.flags?.[k] ?? 0) || 0) + 1;
+    setFlag(k, n);
+
+    const idx = Math.min(n, script.length) - 1;
+    script = [script[idx]];
+  }
+
+  if (script.length || hasFollowerDialogueProps(props)) {
+    appendFollowerDialogue(props, script, { basePrefix: "followdialogue" });
+    script.push({ type: "end" });
+
+    startDuck();
+    host.startDialogue(script, () => endDuck());
+  }
+}
+
+export function runChoiceInteraction(host, id, props) {
+  const baseSpeaker = String(props.speaker ?? "").trim();
+  const sequenceDialogue = isTrue(props.sequencedialogue);
+
+  // Support follower variants for the intro "dialogue*" too.
+  const dialoguePrefix = selectDialogueVariantPrefix(props, "dialogue");
+  const introKeys = getNumberedKeys(props, dialoguePrefix);
+
+  const prompt = String(props.choiceprompt ?? "Choose").trim();
+
+  const script = [];
+
+  // Intro lines (dialogue, dialogue2, ...) with per-line speaker + meta actions.
+  if (introKeys.length) {
+    if (sequenceDialogue) {
+      script.push(...buildSequenceScriptFromKeys(host, introKeys, props, baseSpeaker, 1, introKeys.length, id));
+    } else {
+      for (const k of introKeys) {
+        const t = String(props[k] ?? "").trim();
+        if (!t) continue;
+
+        appendLineMetaActions(host, id, props, k, script);
+        script.push(sayStep(props, baseSpeaker, dialoguePrefix, k, t));
+      }
+    }
+  } else {
+    const intro = String(props[dialoguePrefix] ?? props.dialogue ?? "").trim();
+    if (intro) {
+      const k = props[dialoguePrefix] !== undefined ? dialoguePrefix : "dialogue";
+      appendLineMetaActions(host, id, props, k, script);
+      script.push(sayStep(props, baseSpeaker, dialoguePrefix, k, intro));
+    }
+  }
+
+  const choiceIndex = script.length;
+  script.push({ type: "choice", prompt, options: [] });
+
+  // Chosen option's effects run when the dialogue ends normally (not on ESC).
+  let pendingChoiceEffect = null;
+  const options = [];
+
+  for (let i = 1; i <= 6; i++) {
+    const txt = String(props[`choice${i}text`] ?? "").trim();
+    if (!txt) continue;
+
+    const baseChoicePrefix = `choice${i}dialogue`;
+    const choicePrefix = selectDialogueVariantPrefix(props, baseChoicePrefix);
+    const dlgKeys = getNumberedKeys(props, choicePrefix);
+
+    const start = script.length;
+
+    if (dlgKeys.length) {
+      for (const k of dlgKeys) {
+        const t = String(props[k] ?? "").trim();
+        if (!t) continue;
+
+        appendLineMetaActions(host, id, props, k, script);
+        script.push(sayStep(props, baseSpeaker, choicePrefix, k, t));
+      }
+    } else {
+      const key = props[choicePrefix] !== undefined ? choicePrefix : baseChoicePrefix;
+      const t = String(props[key] ?? "").trim();
+      if (t) {
+        appendLineMetaActions(host, id, props, key, script);
+        script.push(sayStep(props, baseSpeaker, choicePrefix, key, t));
+      }
+    }
+
+    script.push({ type: "end" });
+
+    options.push({
+      text: txt,
+      next: start,
+      onSelect: () => {
+        pendingChoiceEffect = () => applyChoiceEffects(host, id, props, i);
+      },
+    });
+  }
+
+  script[choiceIndex] = { type: "choice", prompt, options };
+
+  // Duck music during choice dialogues if desired.
+  const wantsDuck = isTrue(props.mutemusic) || isTrue(props.duckmusic);
+  const duckFactor = props.duckmusicfactor !== undefined ? Number(props.duckmusicfactor) : 0;
+  if (wantsDuck) host.duckMusic(id, duckFactor);
+
+  host.startDialogue(script, () => {
+    const fn = pendingChoiceEffect;
+    pendingChoiceEffect = null;
+    fn?.();
+    if (wantsDuck) host.unduckMusic(id);
+  });
+}
+
+// -------------------------
+// Effect registry
+// -------------------------
+
+/**
+ * Every property that *does* something (gives an item, shows a layer, moves an
+ * NPC...) is a registered effect. All effects share one naming rule: a handler
+ * registered with key `giveitem` reads
+ *  - `giveItem`          scope "interaction": when the interaction completes
+ *  - `choice2GiveItem`   scope "choice": when option 2 was picked and its dialogue ended
+ *  - `dialogue3GiveItem` scope "line": right before that line is shown (any dialogue prefix)
+ *  - `sfx`, `shake`      scope "use": on every press, before the dialogue opens
+ * plus its own modifier suffixes under the same prefix (giveItemOnce, choice2SfxBase, ...).
+ *
+ * Project code adds effects without touching the runtime:
+ *
+ *   registerEffect("spawnconfetti", {
+ *     scopes: ["interaction", "choice"],
+ *     run: (fx) => fx.host.shake(Number(fx.get("spawnconfetti")) || 200),
+ *   });
+ *
+ * Effects run in registration order. TiledSchema reads effectKeys(), so the
+ * linter accepts registered keys too.
+ */
+
+export const EFFECT_SCOPES = Object.freeze(["use", "interaction", "choice", "line"]);
+
+const EFFECTS = new Map(); // name -> { scopes, keys, run }
+
+/**
+ * @param {string} name effect id; also its main key unless `keys` is given
+ * @param {{ scopes: string[], keys?: string[], modifiers?: string[], run: (fx: object) => void }} def
+ *  - keys: suffixes that trigger the effect when present under the scope prefix
+ *  - modifiers: suffixes run() also reads (known to the linter, never trigger it alone)
+ *  - run(fx): fx = { host, id, props, sceneKey, scope, prefix, choice, count,
+ *             key(s), get(s), has(s), str(s), csv(...s), once(flag) }
+ */
+export function registerEffect(name, { scopes, keys, modifiers = [], run } = {}) {
+  const n = String(name ?? "").trim().toLowerCase();
+  if (!n) throw new Error(`registerEffect: invalid name "${name}"`);
+  if (EFFECTS.has(n)) throw new Error(`registerEffect: effect "${n}" already registered`);
+  if (typeof run !== "function") throw new Error(`registerEffect: effect "${n}" has no run()`);
+
+  const scopeList = Array.isArray(scopes) ? scopes : [];
+  const unknown = scopeList.find((s) => !EFFECT_SCOPES.includes(s));
+  if (!scopeList.length || unknown) throw new Error(`registerEffect: effect "${n}" has invalid scope "${unknown ?? ""}"`);
+
+  const lower = (list) => list.map((k) => String(k).trim().toLowerCase());
+  EFFECTS.set(n, {
+    scopes: scopeList,
+    keys: lower(Array.isArray(keys) && keys.length ? keys : [n]),
+    modifiers: lower(Array.isArray(modifiers) ? modifiers : []),
+    run,
+  });
+}
+
+/** Every suffix (keys + modifiers) the effects registered for `scope` read. */
+export function effectKeys(scope) {
+  const out = [];
+  for (const def of EFFECTS.values()) {
+    if (def.scopes.includes(scope)) out.push(...def.keys, ...def.modifiers);
+  }
+  return out;
+}
+
+function effectContext(host, id, props, scope, { prefix = "", choice = 0, count = 1 } = {}) {
+  const p = String(prefix ?? "");
+  const get = (suffix) => props[`${p}${suffix}`];
+  return {
+    host,
+    id,
+    props,
+    sceneKey: host.sceneKey,
+    scope,
+    prefix: p,
+    choice,
+    count,
+    key: (suffix) => `${p}${suffix}`,
+    get,
+    has: (suffix) => get(suffix) !== undefined,
+    str: (suffix) => String(get(suffix) ?? "").trim(),
+    // First defined suffix wins (hideLayer ?? hideLayers), split on commas.
+    csv: (...suffixes) => splitCsv(suffixes.map(get).find((v) => v !== undefined)),
+    // true the first time `flag` is seen, then false forever (persisted).
+    once: (flag) => {
+      if (GameState.flags?.[flag] === true) return false;
+      setFlag(flag, true);
+      return true;
+    },
+  };
+}
+
+function matchingEffects(props, scope, prefix) {
+  const out = [];
+  for (const def of EFFECTS.values()) {
+    if (!def.scopes.includes(scope)) continue;
+    if (def.keys.some((k) => props[`${prefix}${k}`] !== undefined)) out.push(def);
+  }
+  return out;
+}
+
+/**
+ * Runs the effects of one scope. `prefix` is "" for use/interaction,
+ * "choiceN" for choice and the line key ("dialogue3") for line.
+ */
+export function applyEffects(host, id, props, scope, opts = {}) {
+  const fx = effectContext(host, id, props, scope, opts);
+  for (const def of matchingEffects(props, scope, fx.prefix)) def.run(fx);
+}
+
+// Line-level effects (dialogue3sfx, dialogue2giveitem, ...) run as "action" steps right before the line.
+function appendLineMetaActions(host, interactionId, props, key, steps) {
+  const id = String(interactionId ?? "").trim();
+  const k = String(key ?? "").trim();
+  if (!id || !k || !Array.isArray(steps)) return;
+
+  const fx = effectContext(host, id, props, "line", { prefix: k });
+  for (const def of matchingEffects(props, "line", k)) {
+    steps.push({ type: "action", run: () => def.run(fx) });
+  }
+}
+
+// Line effects that only apply once per (scene, interaction, line).
+function lineOnce(fx, type, extra = "") {
+  return fx.once(flagKey("__line_effect_once", fx.sceneKey, fx.id, fx.prefix, type, extra));
+}
+
+// -------------------------
+// Built-in effects
+// -------------------------
+
+// Music switching:
+//   setMusic (string), setMusicOnce (string)
+//   setMusicPersist (bool), clearMusicPersist (bool)
+// Optional:
+//   setMusicFadeMs (int), setMusicVolume (float), setMusicLoop (bool)
+//   setMusicCarry (bool): keep playing through the next scene change
+registerEffect("setmusic", {
+  scopes: ["interaction"],
+  keys: ["setmusic", "setmusiconce", "clearmusicpersist"],
+  modifiers: ["setmusicpersist", "setmusiccarry", "setmusicfadems", "setmusicvolume", "setmusicloop"],
+  run: (fx) => {
+    if (isTrue(fx.get("clearmusicpersist"))) fx.host.clearMusicOverride();
+
+    const onceKey = fx.str("setmusiconce");
+    const pickKey = onceKey || fx.str("setmusic");
+    if (!pickKey) return;
+
+    const volRaw = Number(fx.get("setmusicvolume"));
+    const opts = {
+      volume: Number.isFinite(volRaw) ? volRaw : 0.6,
+      loop: fx.has("setmusicloop") ? isTrue(fx.get("setmusicloop")) : true,
+      fadeMs: clampInt(fx.get("setmusicfadems") ?? 600, 0, 5000),
+      persist: isTrue(fx.get("setmusicpersist")),
+      carry: isTrue(fx.get("setmusiccarry")),
+    };
+
+    if (onceKey && !fx.once(flagKey("__set_music_once", fx.sceneKey, fx.id, pickKey))) return;
+    fx.host.setMusic(pickKey, opts);
+  },
+});
+
+registerEffect("tileremovelayer", {
+  scopes: ["interaction"],
+  run: (fx) => {
+    const layerName = fx.str("tileremovelayer");
+    if (layerName && fx.host.removeTileUnder(fx.id, layerName)) {
+      setFlag(flagKey("__tile_removed", fx.sceneKey, fx.id), true);
+    }
+  },
+});
+
+registerEffect("hidelayer", {
+  scopes: ["interaction", "choice"],
+  keys: ["hidelayer", "hidelayers"],
+  run: (fx) => {
+    for (const lname of fx.csv("hidelayer", "hidelayers")) {
+      fx.host.setLayerVisible(lname, false);
+      setLayerHidden(fx.sceneKey, lname, true);
+    }
+  },
+});
+
+registerEffect("showlayer", {
+  scopes: ["interaction", "choice"],
+  keys: ["showlayer", "showlayers"],
+  run: (fx) => {
+    for (const lname of fx.csv("showlayer", "showlayers")) {
+      fx.host.setLayerVisible(lname, true);
+      setLayerHidden(fx.sceneKey, lname, false);
+    }
+  },
+});
+
+// giveItem / giveItemOnce: CSV, one of each. Line: dialogueNGiveItem + GiveCount / GiveOnce.
+registerEffect("giveitem", {
+  scopes: ["interaction", "line"],
+  keys: ["giveitem", "giveitemonce"],
+  modifiers: ["givecount", "giveonce"],
+  run: (fx) => {
+    if (fx.scope === "line") {
+      const item = fx.str("giveitem");
+      if (!item) return;
+      const countRaw = Number(fx.get("givecount"));
+      const count = Number.isFinite(countRaw) && countRaw > 0 ? Math.floor(countRaw) : 1;
+      if (isTrue(fx.get("giveonce")) && !lineOnce(fx, "giveitem", item)) return;
+      addItem(item, count);
+      return;
+    }
+
+    for (const item of fx.csv("giveitem")) addItem(item, 1);
+
+    for (const item of fx.csv("giveitemonce")) {
+      if (!fx.once(flagKey("__give_once", fx.sceneKey, fx.id, item))) continue;
+      addItem(item, 1);
+
+      // Code-driven so the bushes don't need extra Tiled properties.
+      if (item.toLowerCase() === "strawberry" && fx.id.toLowerCase().includes("strawberrybush")) {
+        const cur = Number(GameState.flags?.__strawberryBushes);
+        const base = Number.isFinite(cur) ? cur : 0;
+        setFlag("__strawberryBushes", Math.min(4, base + 1));
+      }
+    }
+  },
+});
+
+registerEffect("takeitem", {
+  scopes: ["interaction"],
+  keys: ["takeitem", "takeitemonce"],
+  run: (fx) => {
+    for (const item of fx.csv("takeitemonce")) {
+      if (fx.once(flagKey("__take_once", fx.sceneKey, fx.id, item))) removeItem(item, 1);
+    }
+    for (const item of fx.csv("takeitem")) removeItem(item, 1);
+  },
+});
+
+registerEffect("removecollider", {
+  scopes: ["interaction", "choice"],
+  keys: ["removecollider", "removecolliders"],
+  run: (fx) => {
+    for (const cid of fx.csv("removecollider", "removecolliders")) fx.host.removeCollider(cid);
+  },
+});
+
+// HelpScore / AddScore (negative allowed): every time on the interaction,
+// once per (interaction, option) on a choice.
+registerEffect("helpscore", {
+  scopes: ["interaction", "choice"],
+  run: (fx) => {
+    const delta = Number(fx.get("helpscore"));
+    if (fx.scope === "choice" && !fx.once(flagKey("__choicehs", fx.sceneKey, fx.id, fx.choice))) return;
+    if (Number.isFinite(delta) && delta !== 0) addHelp(delta);
+  },
+});
+
+registerEffect("addscore", {
+  scopes: ["interaction", "choice", "line"],
+  run: (fx) => {
+    const raw = Number(fx.get("addscore"));
+    const delta = fx.scope === "line" ? Math.floor(raw) : raw;
+    if (!Number.isFinite(delta) || delta === 0) return;
+    if (fx.scope === "choice" && !fx.once(flagKey("__choicescore", fx.sceneKey, fx.id, fx.choice))) return;
+    if (fx.scope === "line" && !lineOnce(fx, "addscore")) return;
+    addScore(delta);
+  },
+});
+
+// Line-only alias of helpScore, once per line.
+registerEffect("addhelp", {
+  scopes: ["line"],
+  run: (fx) => {
+    const delta = Number(fx.get("addhelp"));
+    if (!Number.isFinite(delta) || Math.floor(delta) === 0) return;
+    if (lineOnce(fx, "addhelp")) addHelp(Math.floor(delta));
+  },
+});
+
+registerEffect("markhelped", {
+  scopes: ["interaction", "choice"],
+  run: (fx) => {
+    const name = fx.str("markhelped");
+    if (name) markHelped(name, true);
+  },
+});
+
+// Quest flags (cross-scene)
+registerEffect("setflag", {
+  scopes: ["interaction"],
+  keys: ["setflag", "setflags", "clearflag", "clearflags"],
+  run: (fx) => {
+    for (const f of fx.csv("setflags", "setflag")) setFlag(f, true);
+    for (const f of fx.csv("clearflags", "clearflag")) setFlag(f, false);
+  },
+});
+
+// Enable/disable other interactions: CSV of ids or "Scene:id" targets.
+registerEffect("toggleinteractions", {
+  scopes: ["interaction", "choice"],
+  keys: ["disableinteraction", "disableinteractions", "enableinteraction", "enableinteractions"],
+  run: (fx) => {
+    for (const raw of fx.csv("disableinteractions", "disableinteraction")) {
+      const tgt = parseInteractionTarget(raw, fx.sceneKey);
+      if (!tgt) continue;
+      setInteractionForcedDisabled(tgt.sceneKey, tgt.id, true);
+      // Best-effort: if target is in the current scene, also remove from active list
+      if (tgt.sceneKey === fx.sceneKey) fx.host.dropInteractable(tgt.id);
+    }
+
+    for (const raw of fx.csv("enableinteractions", "enableinteraction")) {
+      const tgt = parseInteractionTarget(raw, fx.sceneKey);
+      if (!tgt) continue;
+      setInteractionForcedDisabled(tgt.sceneKey, tgt.id, false);
+      setInteractionForcedEnabled(tgt.sceneKey, tgt.id, true);
+    }
+  },
+});
+
+registerEffect("disableself", {
+  scopes: ["interaction"],
+  run: (fx) => {
+    if (!isTrue(fx.get("disableself"))) return;
+    setInteractionForcedDisabled(fx.sceneKey, fx.id, true);
+    fx.host.dropInteractable(fx.id);
+  },
+});
+
+registerEffect("removeinteraction", {
+  scopes: ["interaction"],
+  keys: ["removeinteraction", "once"],
+  run: (fx) => {
+    const once = fx.get("once") === true;
+    const removeIds = fx.csv("removeinteraction");
+    if (removeIds.length) {
+      for (const rid of removeIds) disableInteraction(rid);
+    } else if (once) {
+      disableInteraction(fx.id);
+    }
+
+    if (once || removeIds.includes(fx.id)) fx.host.dropInteractable(fx.id);
+  },
+});
+
+// Camera shake (ms), on use or on a choice.
+registerEffect("shake", {
+  scopes: ["use", "choice"],
+  run: (fx) => fx.host.shake(fx.get("shake")),
+});
+
+// Use/choice: sfx + SfxOnce / SfxUses (first N) / SfxBase, SfxStep, SfxMax (0-100)
+// volume rising with fx.count. Line: SfxOnce, SfxBase (default 100), and the
+// sound stops with the dialogue unless SfxPersist or SfxStopOnExit=false.
+registerEffect("sfx", {
+  scopes: ["use", "choice", "line"],
+  modifiers: ["sfxonce", "sfxuses", "sfxbase", "sfxstep", "sfxmax", "sfxpersist", "sfxpersistafterdialogue", "sfxstoponexit"],
+  run: (fx) => {
+    const name = fx.str("sfx");
+    if (!name) return;
+
+    if (fx.scope === "line") {
+      if (isTrue(fx.get("sfxonce")) && !lineOnce(fx, "sfx")) return;
+      const persist = isTrue(fx.get("sfxpersist")) || isTrue(fx.get("sfxpersistafterdialogue"));
+      const stopOnExit = fx.has("sfxstoponexit") ? isTrue(fx.get("sfxstoponexit")) : true;
+      const base = fx.has("sfxbase") ? Number(fx.get("sfxbase")) : 100;
+      fx.host.playLineSfx(name, { volume: clampInt(base, 0, 100) / 100, stopOnDialogueEnd: !persist && stopOnExit });
+      return;
+    }
+
+    const once = fx.get("sfxonce") === true;
+    const uses = clampInt(fx.get("sfxuses") ?? 0, 0, 999);
+    if ((once && fx.count > 1) || (uses > 0 && fx.count > uses)) return;
+    playScaledSfx(fx.host, name, fx.get("sfxbase"), fx.get("sfxstep"), fx.get("sfxmax"), fx.count);
+  },
+});
+
+registerEffect("addfollower", {
+  scopes: ["choice"],
+  run: (fx) => {
+    const name = fx.str("addfollower");
+    if (!name) return;
+
+    // Remove the static NPC by npcId (if the scene registered it)
+    const npcId = String(fx.props.npcid ?? name).trim();
+    if (npcId) {
+      setFlag(`__npcRemoved__${npcId}`, true);
+      fx.host.despawnNpc(npcId);
+    }
+
+    setFollowerFlag(name, true);
+
+    // Removing interaction so no duplicates
+    disableInteraction(fx.id);
+    fx.host.dropInteractable(fx.id);
+
+    // Best-effort cleanup for older scene code paths
+    fx.host.hideNpcByName(name);
+
+    fx.host.syncFollowers();
+  },
+});
+
+registerEffect("removefollower", {
+  scopes: ["choice"],
+  run: (fx) => {
+    const name = fx.str("removefollower");
+    if (!name) return;
+    setFollowerFlag(name, false);
+    fx.host.syncFollowers();
+  },
+});
+
+//  - choiceNTargetNpc / choiceNTargetNpcId
+//  - choiceNRotateNpcDeg (180 => vertical flip)
+//  - choiceNFlipNpcY (true/false) overrides rotate
+registerEffect("flipnpc", {
+  scopes: ["choice"],
+  keys: ["targetnpc", "targetnpcid", "target"],
+  modifiers: ["flipnpcy", "rotatenpcdeg"],
+  run: (fx) => {
+    const target = String(fx.get("targetnpc") ?? fx.get("targetnpcid") ?? fx.get("target") ?? "").trim();
+    if (!target) return;
+
+    const flipRaw = fx.get("flipnpcy");
+    const rotDeg = fx.has("rotatenpcdeg") ? Number(fx.get("rotatenpcdeg")) : NaN;
+    const doFlip =
+      flipRaw !== undefined && String(flipRaw).trim() !== ""
+        ? isTrue(flipRaw)
+        : Number.isFinite(rotDeg) && Math.abs(rotDeg) % 360 === 180;
+    if (!doFlip) return;
+
+    if (fx.host.flipNpcY(target)) {
+      setFlag(flagKey("__npcFlipY", fx.sceneKey, target.toLowerCase()), true);
+    } else {
+      console.warn(`[ChoiceEffects] Target NPC not registered: "${target}" (scene ${fx.sceneKey}).`);
+    }
+  },
+});
+
+// Move a spawned NPC (npcId, else the interaction id):
+//  - Waypoints: "pt1,pt2,pt3" (Points layer markers), or MoveToPoint: "some_point_name"
+//  - MoveSpeed: number (default 40)
+//  - WaypointLayer: layer name (default "Points")
+// The scene must have spawned the NPC (NPCs layer or registerSpawnedNpc).
+registerEffect("movenpc", {
+  scopes: ["choice"],
+  keys: ["waypoints", "movewaypoints", "movetopoint", "movetomarker", "moveto", "movetarget"],
+  modifiers: ["movespeed", "waypointlayer"],
+  run: (fx) => {
+    const npcId = String(fx.props.npcid ?? fx.props.id ?? "").trim();
+    if (!npcId) return;
+
+    const pointLayer = fx.str("waypointlayer") || "Points";
+    const speed = fx.has("movespeed") ? Number(fx.get("movespeed")) || 40 : 40;
+
+    const wpCsv = String(fx.get("waypoints") ?? fx.get("movewaypoints") ?? "").trim();
+    if (wpCsv) {
+      fx.host.moveNpcAlongWaypoints(npcId, wpCsv, { pointLayer, speed });
+      return;
+    }
+
+    const point = String(fx.get("movetopoint") ?? fx.get("movetomarker") ?? fx.get("moveto") ?? fx.get("movetarget") ?? "").trim();
+    if (point) fx.host.moveNpcToPoint(npcId, point, { pointLayer, speed, useTween: false });
+  },
+});
+
+// -------------------------
+// Effect entry points
+// -------------------------
+
+export function applyChoiceEffects(host, id, props, i) {
+  // Persist last choice (used for choice-specific post-dialogue)
+  setInteractionChoice(id, i);
+
+  // How often this option was picked; drives choiceNSfxOnce / Uses / volume step.
+  const countKey = flagKey("__choicefx", host.sceneKey, id, i);
+  const count = (Number(GameState.flags?.[countKey] ?? 0) || 0) + 1;
+  setFlag(countKey, count);
+
+  applyEffects(host, id, props, "choice", { prefix: `choice${i}`, choice: i, count });
+
+  const postPrompt = String(props[`choice${i}postprompt`] ?? props.postprompt ?? "").trim();
+  if (postPrompt) host.setPrompt(id, postPrompt);
+}
+
+export function applyInteractionEffects(host, id, props) {
+  applyEffects(host, id, props, "interaction");
+}
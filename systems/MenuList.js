@@ -0,0 +1,169 @@
+// systems/MenuList.js
+import { DIALOGUE_TEXT_STYLE } from "./DialogueBox.js";
+
+/**
+ * Vertical menu for title/pause/settings screens.
+ *
+ * Keyboard: W/S or UP/DOWN move, Z/ENTER/SPACE confirm, A/D or LEFT/RIGHT adjust,
+ * ESC cancel. Mouse: hover selects, click confirms.
+ *
+ * Items:
+ *  - label: string | () => string (functions are re-evaluated on refresh())
+ *  - enabled: bool | () => bool (default true; disabled items are skipped and greyed)
+ *  - color: optional text color override
+ *  - action: () => void (confirm)
+ *  - adjust: (dir: -1 | 1) => void (left/right, for sliders/toggles)
+ *
+ * Key handlers are removed on scene shutdown, or with destroy().
+ */
+
+const KEY_EVENTS = {
+  up: ["keydown-UP", "keydown-W"],
+  down: ["keydown-DOWN", "keydown-S"],
+  left: ["keydown-LEFT", "keydown-A"],
+  right: ["keydown-RIGHT", "keydown-D"],
+  confirm: ["keydown-Z", "keydown-ENTER", "keydown-SPACE"],
+  cancel: ["keydown-ESC"],
+};
+
+function evalProp(v, fallback) {
+  if (typeof v === "function") return v();
+  return v ?? fallback;
+}
+
+export default class MenuList {
+  constructor(scene, opts = {}) {
+    this.scene = scene;
+
+    this.x = opts.x ?? 24;
+    this.y = opts.y ?? 40;
+    this.lineHeight = opts.lineHeight ?? 14;
+    this.style = { ...DIALOGUE_TEXT_STYLE, ...(opts.style ?? {}) };
+    this.disabledColor = opts.disabledColor ?? "#606060";
+    this.depth = opts.depth ?? 0;
+
+    this.onChange = opts.onChange ?? null;
+    this.onCancel = opts.onCancel ?? null;
+
+    this.items = [];
+    this.rows = [];
+    this.index = 0;
+    this.inputEnabled = true;
+
+    this.cursor = scene.add.text(this.x - 12, this.y, "▶", { ...this.style }).setDepth(this.depth);
+
+    this._handlers = {
+      up: () => this._move(-1),
+      down: () => this._move(1),
+      left: () => this._adjust(-1),
+      right: () => this._adjust(1),
+      confirm: () => this._confirm(),
+      cancel: () => {
+        if (this.inputEnabled) this.onCancel?.();
+      },
+    };
+    for (const [name, events] of Object.entries(KEY_EVENTS)) {
+      for (const ev of events) scene.input.keyboard.on(ev, this._handlers[name]);
+    }
+
+    this._destroyFn = () => this.destroy();
+    scene.events.once("shutdown", this._destroyFn);
+
+    this.setItems(opts.items ?? [], opts.index ?? 0);
+  }
+
+  setItems(items, index = this.index) {
+    for (const r of this.rows) r.destroy();
+    this.items = items ?? [];
+
+    this.rows = this.items.map((item, i) => {
+      const t = this.scene.add.text(this.x, this.y + i * this.lineHeight, "", { ...this.style }).setDepth(this.depth);
+      t.setInteractive({ useHandCursor: true });
+      t.on("pointerover", () => {
+        if (this.inputEnabled && this._isEnabled(i)) this.setIndex(i);
+      });
+      t.on("pointerdown", () => {
+        if (!this.inputEnabled || !this._isEnabled(i)) return;
+        this.setIndex(i);
+        this._confirm();
+      });
+      return t;
+    });
+
+    this.index = Math.max(0, Math.min(index, this.items.length - 1));
+    if (!this._isEnabled(this.index)) this._move(1, false);
+    this.refresh();
+  }
+
+  setIndex(i) {
+    if (i === this.index || !this.items[i]) return;
+    this.index = i;
+    this.refresh();
+    this.onChange?.(this.index, this.items[this.index]);
+  }
+
+  /** Pause keyboard/mouse handling (e.g. while a sub-panel or window.prompt is up). */
+  setInputEnabled(enabled) {
+    this.inputEnabled = !!enabled;
+  }
+
+  refresh() {
+    this.items.forEach((item, i) => {
+      const row = this.rows[i];
+      row.setText(String(evalProp(item.label, "")));
+      row.setColor(this._isEnabled(i) ? item.color ?? this.style.fill : this.disabledColor);
+    });
+
+    const row = this.rows[this.index];
+    this.cursor.setVisible(!!row);
+    if (row) this.cursor.y = row.y;
+  }
+
+  destroy() {
+    if (!this.scene) return;
+    for (const [name, events] of Object.entries(KEY_EVENTS)) {
+      for (const ev of events) this.scene.input?.keyboard?.off(ev, this._handlers[name]);
+    }
+    this.scene.events?.off("shutdown", this._destroyFn);
+    for (const r of this.rows) r.destroy();
+    this.cursor.destroy();
+    this.rows = [];
+    this.scene = null;
+  }
+
+  _isEnabled(i) {
+    const item = this.items[i];
+    return !!item && evalProp(item.enabled, true) !== false;
+  }
+
+  _move(dir, notify = true) {
+    if (notify && !this.inputEnabled) return;
+    const n = this.items.length;
+    if (!n) return;
+
+    let i = this.index;
+    for (let step = 0; step < n; step++) {
+      i = (i + dir + n) % n;
+      if (this._isEnabled(i)) break;
+    }
+
+    if (!notify) {
+      this.index = i;
+      return;
+    }
+    this.setIndex(i);
+  }
+
+  _adjust(dir) {
+    if (!this.inputEnabled || !this._isEnabled(this.index)) return;
+    const item = this.items[this.index];
+    if (typeof item.adjust !== "function") return;
+    item.adjust(dir);
+    this.refresh();
+  }
+
+  _confirm() {
+    if (!this.inputEnabled || !this._isEnabled(this.index)) return;
+    this.items[this.index].action?.();
+  }
+}
@@ -0,0 +1,150 @@
+// systems/MetaProgress.js
+import { GameState } from "./GameState.js";
+
+/**
+ * Meta progress: what the player has unlocked across ALL playthroughs.
+ *
+ * Lives in its own localStorage key, separate from GameState / save slots, so
+ * starting a new game, loading a save or restoring a checkpoint never touches it.
+ *
+ * Stored shape:
+ *  {
+ *    version: 1,
+ *    endings: {
+ *      [endingId]: { firstSeenAt, timesSeen, best: { helpScore, realTimeMs, entryMs, timePassed } }
+ *    },
+ *    lastRun: { completedAt, endingId, runNumber, helpScore, inventory, flags }  // New Game+ source
+ *  }
+ *
+ * "best" = highest helpScore, lowest times.
+ */
+
+const META_KEY = "valentine.meta";
+const META_VERSION = 1;
+
+function storage() {
+  try {
+    return window.localStorage ?? null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function emptyMeta() {
+  return { version: META_VERSION, endings: {} };
+}
+
+function readMeta() {
+  const ls = storage();
+  if (!ls) return emptyMeta();
+  try {
+    const data = JSON.parse(ls.getItem(META_KEY) ?? "null");
+    if (!data || typeof data !== "object" || typeof data.endings !== "object" || !data.endings) return emptyMeta();
+    return data;
+  } catch (_) {
+    return emptyMeta();
+  }
+}
+
+function writeMeta(data) {
+  const ls = storage();
+  if (!ls) return;
+  try {
+    ls.setItem(META_KEY, JSON.stringify(data));
+  } catch (e) {
+    console.warn("[MetaProgress] Failed to write", e);
+  }
+}
+
+function numOrNull(v) {
+  const n = Number(v);
+  return v == null || !Number.isFinite(n) ? null : n;
+}
+
+function pickMin(a, b) {
+  if (a == null) return b;
+  if (b == null) return a;
+  return Math.min(a, b);
+}
+
+function pickMax(a, b) {
+  if (a == null) return b;
+  if (b == null) return a;
+  return Math.max(a, b);
+}
+
+// -------------------------
+// Endings
+// -------------------------
+
+/** The numbers epilogue texts show, taken from a GameState-shaped object. */
+export function endingStatsFromState(state = GameState) {
+  return {
+    helpScore: numOrNull(state.helpScore) ?? 0,
+    realTimeMs: numOrNull(state.realTimeMs) ?? 0,
+    entryMs: numOrNull(state.flags?.minesweeperEntryMs),
+    timePassed: numOrNull(state.timePassed) ?? 0,
+  };
+}
+
+export function recordEndingSeen(endingId, stats = endingStatsFromState()) {
+  const id = String(endingId ?? "").trim();
+  if (!id) return null;
+
+  const data = readMeta();
+  const prev = data.endings[id];
+  const best = prev?.best ?? {};
+
+  data.endings[id] = {
+    firstSeenAt: prev?.firstSeenAt ?? Date.now(),
+    timesSeen: (Number(prev?.timesSeen) || 0) + 1,
+    best: {
+      helpScore: pickMax(numOrNull(best.helpScore), numOrNull(stats.helpScore)),
+      realTimeMs: pickMin(numOrNull(best.realTimeMs), numOrNull(stats.realTimeMs)),
+      entryMs: pickMin(numOrNull(best.entryMs), numOrNull(stats.entryMs)),
+      timePassed: pickMin(numOrNull(best.timePassed), numOrNull(stats.timePassed)),
+    },
+  };
+
+  writeMeta(data);
+  return data.endings[id];
+}
+
+export function getEndingRecord(endingId) {
+  return readMeta().endings[String(endingId ?? "").trim()] ?? null;
+}
+
+export function isEndingUnlocked(endingId) {
+  return !!getEndingRecord(endingId);
+}
+
+export function countUnlockedEndings() {
+  return Object.keys(readMeta().endings).length;
+}
+
+// -------------------------
+// Completed runs (New Game+)
+// -------------------------
+
+/** Snapshot of the run that just reached an ending; New Game+ carries over from this. */
+export function recordRunCompleted(endingId, state = GameState) {
+  const data = readMeta();
+  data.lastRun = {
+    completedAt: Date.now(),
+    endingId: String(endingId ?? ""),
+    runNumber: Number(state.run?.number) || 1,
+    helpScore: numOrNull(state.helpScore) ?? 0,
+    inventory: JSON.parse(JSON.stringify(state.inventory ?? {})),
+    flags: JSON.parse(JSON.stringify(state.flags ?? {})),
+  };
+  writeMeta(data);
+  return data.lastRun;
+}
+
+export function getLastRun() {
+  return readMeta().lastRun ?? null;
+}
+
+export function clearMetaProgress() {
+  storage()?.removeItem(META_KEY);
+}
@@ -0,0 +1,97 @@
+// systems/NewGamePlus.js
+import { GameState, resetGameState, addItem, setFlag, setHelpScore } from "./GameState.js";
+import { ENDINGS } from "./Endings.js";
+import { getEndingRecord, getLastRun } from "./MetaProgress.js";
+import { getSetting, setSetting } from "./Settings.js";
+
+/**
+ * New Game+.
+ *
+ * A NG+ run starts from a fresh GameState (resetGameState) and then applies the
+ * carry-over rules the player enabled (Settings "ngPlusCarry") using the last
+ * completed run recorded in MetaProgress.
+ *
+ * Flags set for Tiled gating (enabledIfFlags / disabledIfFlags):
+ *  - newGamePlus: true for every NG+ run
+ *  - endingSeen_<id>: with the "endings" rule, one per unlocked ending (endingSeen_true, ...)
+ */
+
+export const NG_PLUS_FLAG = "newGamePlus";
+
+function itemCount(inv, ...names) {
+  for (const n of names) {
+    const c = Number(inv?.[n] ?? 0);
+    if (c > 0) return c;
+  }
+  return 0;
+}
+
+export const CARRY_RULES = Object.freeze([
+  {
+    id: "endings",
+    label: "Seen endings",
+    isAvailable: () => ENDINGS.some((e) => getEndingRecord(e.id)),
+    apply: () => {
+      for (const e of ENDINGS) if (getEndingRecord(e.id)) setFlag(`endingSeen_${e.id}`, true);
+    },
+  },
+  {
+    id: "hairpin",
+    label: "Heart hairpin",
+    isAvailable: (last) => !!last.flags?.hasHairpin || itemCount(last.inventory, "hairribbon", "hairRibbon", "HairRibbon") > 0,
+    apply: (last) => {
+      setFlag("hasHairpin", true);
+      const n = itemCount(last.inventory, "hairribbon", "hairRibbon", "HairRibbon");
+      if (n > 0) addItem("hairribbon", n);
+    },
+  },
+  {
+    id: "loveLetter",
+    label: "Love letter",
+    isAvailable: (last) => itemCount(last.inventory, "loveletter", "loveLetter", "LoveLetter", "Loveletter") > 0,
+    apply: () => addItem("loveletter", 1),
+  },
+  {
+    id: "helpScore",
+    label: "HelpScore",
+    isAvailable: (last) => Number(last.helpScore ?? 0) > 0,
+    apply: (last) => setHelpScore(Number(last.helpScore) || 0),
+  },
+]);
+
+export function canStartNewGamePlus() {
+  return !!getLastRun();
+}
+
+export function getCarryChoices() {
+  return new Set(getSetting("ngPlusCarry"));
+}
+
+export function setCarryChoice(ruleId, enabled) {
+  const set = getCarryChoices();
+  if (enabled) set.add(ruleId);
+  else set.delete(ruleId);
+  setSetting("ngPlusCarry", [...set]);
+}
+
+/**
+ * Resets GameState for a NG+ run and applies the enabled carry-over rules.
+ * @returns {string[] | null} applied rule ids, or null if no run was completed yet
+ */
+export function startNewGamePlus(carryIds = getCarryChoices()) {
+  const last = getLastRun();
+  if (!last) return null;
+
+  const wanted = new Set(carryIds);
+  resetGameState();
+  GameState.run = { number: (Number(last.runNumber) || 1) + 1, newGamePlus: true, carried: [] };
+  setFlag(NG_PLUS_FLAG, true);
+
+  for (const rule of CARRY_RULES) {
+    if (!wanted.has(rule.id) || !rule.isAvailable(last)) continue;
+    rule.apply(last);
+    GameState.run.carried.push(rule.id);
+  }
+
+  return [...GameState.run.carried];
+}
@@ -0,0 +1,48 @@
+// systems/Portraits.js
+import { ASSETS } from "./Assets.js";
+import { idleFrameIndex } from "./CharacterAnims.js";
+
+/**
+ * Speaker -> portrait for DialogueBox. Lookup (speaker names are case-insensitive):
+ *   1. ASSETS.portraits[speaker]: `expressions[expression]` (frame on `key`, or a
+ *      texture key), else `frame`, else the idle frame of `key`
+ *   2. the npc_<speaker> spritesheet: its down-facing idle frame
+ * Expressions without a match fall back to the base portrait.
+ *
+ * @param {Phaser.Textures.TextureManager} textures
+ * @param {string} speaker
+ * @param {{ expression?: string, side?: string }} [opts] per-line overrides
+ * @returns {{ key: string, frame: string|number|undefined, side: "left"|"right" }|null}
+ */
+export function resolvePortrait(textures, speaker, { expression = "", side = "" } = {}) {
+  const name = String(speaker ?? "").trim().toLowerCase();
+  if (!name) return null;
+
+  const has = (key) => !!key && textures?.exists?.(key);
+  const frameOf = (key, frame) => {
+    if (frame === undefined || frame === null || frame === "") return undefined;
+    return textures.get(key).has(frame) ? frame : undefined;
+  };
+  const pickSide = (fallback) => {
+    const s = String(side || fallback || "").trim().toLowerCase();
+    return s === "right" ? "right" : "left";
+  };
+
+  const def = ASSETS.portraits?.[name];
+  if (def && has(def.key)) {
+    const expr = String(expression ?? "").trim().toLowerCase();
+    const variant = expr ? def.expressions?.[expr] : undefined;
+
+    if (typeof variant === "string" && has(variant)) return { key: variant, frame: undefined, side: pickSide(def.side) };
+
+    const frame = frameOf(def.key, variant) ?? frameOf(def.key, def.frame) ?? frameOf(def.key, idleFrameIndex("down"));
+    return { key: def.key, frame, side: pickSide(def.side) };
+  }
+
+  const sheetKey = ASSETS.spritesheets?.[`npc_${name}`]?.key ?? `npc_${name}`;
+  if (has(sheetKey)) {
+    return { key: sheetKey, frame: frameOf(sheetKey, idleFrameIndex("down")), side: pickSide() };
+  }
+
+  return null;
+}
@@ -0,0 +1,149 @@
+// systems/SaveMigrations.js
+
+/**
+ * Save schema versioning.
+ *
+ * Every serialized snapshot carries `schemaVersion`. Saves written before
+ * versioning existed have no field and are treated as version 0.
+ *
+ * When GameState changes shape (or a convention flag key such as
+ * `__postdlg_count|scene|id|prefix` / `__choicehs__...` / `__line_effect_once__...`
+ * gets renamed), bump SAVE_SCHEMA_VERSION and register a migration from the
+ * previous version. Migrations run one step at a time (0 -> 1 -> 2 ...), so each
+ * one only has to know about its immediate predecessor.
+ */
+
+export const SAVE_SCHEMA_VERSION = 2;
+
+const MIGRATIONS = new Map(); // fromVersion -> (snapshot) => snapshot
+
+/**
+ * @param {number} fromVersion version the migration upgrades FROM (result is fromVersion + 1)
+ * @param {(snapshot: object) => object} migrate may mutate and return the snapshot
+ */
+export function registerMigration(fromVersion, migrate) {
+  const v = Number(fromVersion);
+  if (!Number.isInteger(v) || v < 0) throw new Error(`registerMigration: invalid version "${fromVersion}"`);
+  if (typeof migrate !== "function") throw new Error(`registerMigration: migration ${v} is not a function`);
+  if (MIGRATIONS.has(v)) throw new Error(`registerMigration: migration from v${v} already registered`);
+  MIGRATIONS.set(v, migrate);
+}
+
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+// -------------------------
+// Built-in migrations
+// -------------------------
+
+// v0 -> v1: first versioned format. Older saves could miss sections that the
+// scenes read without guards (interactions.choices, hiddenLayers, npcsHelped...).
+registerMigration(0, (snapshot) => {
+  const s = snapshot.state;
+  s.inventory = isPlainObject(s.inventory) ? s.inventory : {};
+  s.flags = isPlainObject(s.flags) ? s.flags : {};
+  s.interactions = isPlainObject(s.interactions) ? s.interactions : {};
+  s.interactions.counts = isPlainObject(s.interactions.counts) ? s.interactions.counts : {};
+  s.interactions.disabled = isPlainObject(s.interactions.disabled) ? s.interactions.disabled : {};
+  s.interactions.choices = isPlainObject(s.interactions.choices) ? s.interactions.choices : {};
+  s.hiddenLayers = isPlainObject(s.hiddenLayers) ? s.hiddenLayers : {};
+  s.npcsHelped = isPlainObject(s.npcsHelped) ? s.npcsHelped : {};
+  return snapshot;
+});
+
+// v1 -> v2: dialogue log (GameState.dialogueLog). Older runs start with an empty one.
+registerMigration(1, (snapshot) => {
+  const s = snapshot.state;
+  const log = isPlainObject(s.dialogueLog) ? s.dialogueLog : {};
+  s.dialogueLog = {
+    lastId: Number.isFinite(Number(log.lastId)) ? Number(log.lastId) : 0,
+    conversations: Array.isArray(log.conversations) ? log.conversations : [],
+  };
+  return snapshot;
+});
+
+// -------------------------
+// Validation
+// -------------------------
+
+function fail(msg) {
+  throw new Error(`Save data rejected: ${msg}`);
+}
+
+/**
+ * Throws a readable Error if the snapshot can't be safely applied to GameState.
+ * Expects a snapshot already migrated to SAVE_SCHEMA_VERSION.
+ */
+export function validateSnapshot(snapshot) {
+  if (!isPlainObject(snapshot)) fail("not an object.");
+  if (snapshot.schemaVersion !== SAVE_SCHEMA_VERSION) fail(`unexpected schema version ${snapshot.schemaVersion}.`);
+
+  const scene = snapshot.scene;
+  if (typeof scene !== "string" || !scene.trim()) fail("missing scene.");
+
+  const s = snapshot.state;
+  if (!isPlainObject(s)) fail("missing state.");
+
+  for (const k of ["inventory", "flags", "interactions", "hiddenLayers", "npcsHelped"]) {
+    if (!isPlainObject(s[k])) fail(`state.${k} must be an object.`);
+  }
+  for (const k of ["counts", "disabled", "choices"]) {
+    if (!isPlainObject(s.interactions[k])) fail(`state.interactions.${k} must be an object.`);
+  }
+  for (const k of ["helpScore", "realTimeMs"]) {
+    if (s[k] !== undefined && !Number.isFinite(Number(s[k]))) fail(`state.${k} is not a number.`);
+  }
+  if (!isPlainObject(s.dialogueLog) || !Array.isArray(s.dialogueLog.conversations)) {
+    fail("state.dialogueLog.conversations must be a list.");
+  }
+  for (const [item, n] of Object.entries(s.inventory)) {
+    if (!Number.isFinite(Number(n))) fail(`inventory count for "${item}" is not a number.`);
+  }
+
+  return snapshot;
+}
+
+// -------------------------
+// Migration entry point
+// -------------------------
+
+/**
+ * Accepts a raw JSON string or parsed object, upgrades it step by step to
+ * SAVE_SCHEMA_VERSION and validates it. Throws a readable Error on failure.
+ */
+export function migrateSnapshot(raw) {
+  let snapshot = raw;
+  if (typeof raw === "string") {
+    try {
+      snapshot = JSON.parse(raw);
+    } catch (_) {
+      fail("not valid JSON.");
+    }
+  }
+
+  if (!isPlainObject(snapshot)) fail("not an object.");
+  if (!isPlainObject(snapshot.state)) fail("missing state.");
+
+  let version = snapshot.schemaVersion === undefined ? 0 : Number(snapshot.schemaVersion);
+  if (!Number.isInteger(version) || version < 0) fail(`invalid schema version "${snapshot.schemaVersion}".`);
+  if (version > SAVE_SCHEMA_VERSION) {
+    fail(`made by a newer version of the game (schema ${version}, this build reads up to ${SAVE_SCHEMA_VERSION}).`);
+  }
+
+  while (version < SAVE_SCHEMA_VERSION) {
+    const step = MIGRATIONS.get(version);
+    if (!step) fail(`no migration from schema ${version}.`);
+
+    try {
+      snapshot = step(snapshot) ?? snapshot;
+    } catch (e) {
+      fail(`migration ${version} -> ${version + 1} failed (${e?.message ?? e}).`);
+    }
+
+    version += 1;
+    snapshot.schemaVersion = version;
+  }
+
+  return validateSnapshot(snapshot);
+}
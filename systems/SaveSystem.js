@@ -0,0 +1,212 @@
+// systems/SaveSystem.js
+import { GameState, resetGameState } from "./GameState.js";
+import { SAVE_SCHEMA_VERSION, migrateSnapshot } from "./SaveMigrations.js";
+
+/**
+ * Multi-slot save/load for GameState (localStorage).
+ *
+ * Stored record per slot:
+ *  - schemaVersion: see SaveMigrations.js
+ *  - savedAt: epoch ms
+ *  - name: optional display name
+ *  - scene: scene key the player was in when saving
+ *  - state: JSON clone of GameState (runtime-only keys stripped)
+ *
+ * Loading restores GameState and re-enters `scene` with the transition that
+ * originally brought the player there, so each scene's spawn-point logic
+ * (spawn_from_forest etc.) places the player exactly like a normal entry.
+ *
+ * Everything read back goes through migrateSnapshot(), so old or corrupt data
+ * surfaces as `{ ok: false, error }` instead of half-applied state.
+ */
+
+export const SAVE_SLOTS = Object.freeze(["slot1", "slot2", "slot3"]);
+
+const STORAGE_PREFIX = "valentine.save.";
+
+// Never persisted: input cooldown timestamps are tied to the current game loop clock.
+const RUNTIME_KEYS = new Set(["input"]);
+
+function storage() {
+  try {
+    return window.localStorage ?? null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function slotStorageKey(slotId) {
+  return `${STORAGE_PREFIX}${String(slotId ?? "").trim()}`;
+}
+
+function isKnownSlot(slotId) {
+  return SAVE_SLOTS.includes(String(slotId ?? "").trim());
+}
+
+function clone(v) {
+  return v === undefined ? undefined : JSON.parse(JSON.stringify(v));
+}
+
+export function sceneTitle(sceneKey) {
+  return String(sceneKey ?? "").replace(/Scene$/, "") || "?";
+}
+
+export function slotTitle(slotId) {
+  return `Slot ${String(slotId ?? "").replace(/^slot/, "")}`;
+}
+
+/** One-line description of a summarizeSnapshot() result for menus. */
+export function summaryLine(summary) {
+  return `${summary.sceneTitle}  ${summary.playTime}  HelpScore ${summary.helpScore}`;
+}
+
+export function formatPlayTime(ms) {
+  const total = Math.max(0, Math.floor((Number(ms) || 0) / 1000));
+  const m = Math.floor(total / 60);
+  const s = total % 60;
+  return `${m}:${String(s).padStart(2, "0")}`;
+}
+
+// -------------------------
+// Snapshot <-> GameState
+// -------------------------
+
+export function serializeGameState(sceneKey, { name = "" } = {}) {
+  const state = {};
+  for (const [k, v] of Object.entries(GameState)) {
+    if (RUNTIME_KEYS.has(k)) continue;
+    state[k] = clone(v);
+  }
+
+  return {
+    schemaVersion: SAVE_SCHEMA_VERSION,
+    savedAt: Date.now(),
+    name: String(name ?? "").trim(),
+    scene: String(sceneKey ?? GameState.transition?.toScene ?? "CityScene"),
+    state,
+  };
+}
+
+// Starts from the defaults factory, so sections added after the save was made
+// (e.g. `run`) get their default value instead of leaking from the previous run.
+export function applySnapshot(snapshot) {
+  const sections = {};
+  for (const [k, v] of Object.entries(snapshot?.state ?? {})) {
+    if (RUNTIME_KEYS.has(k)) continue;
+    sections[k] = clone(v);
+  }
+  resetGameState(sections);
+}
+
+export function summarizeSnapshot(snapshot, slotId = null) {
+  if (!snapshot) return null;
+  return {
+    slotId,
+    name: snapshot.name ?? "",
+    savedAt: Number(snapshot.savedAt) || 0,
+    scene: snapshot.scene,
+    sceneTitle: sceneTitle(snapshot.scene),
+    helpScore: Number(snapshot.state?.helpScore ?? 0),
+    realTimeMs: Number(snapshot.state?.realTimeMs ?? 0),
+    playTime: formatPlayTime(snapshot.state?.realTimeMs),
+  };
+}
+
+// -------------------------
+// Slots
+// -------------------------
+
+/**
+ * Returns the migrated snapshot, null for an empty slot.
+ * Throws a readable Error if the slot holds data that can't be loaded.
+ */
+export function readSlot(slotId) {
+  const ls = storage();
+  if (!ls || !isKnownSlot(slotId)) return null;
+
+  const raw = ls.getItem(slotStorageKey(slotId));
+  if (!raw) return null;
+
+  return migrateSnapshot(raw);
+}
+
+export function saveToSlot(slotId, sceneKey, opts = {}) {
+  const ls = storage();
+  if (!ls || !isKnownSlot(slotId)) return null;
+
+  const snapshot = serializeGameState(sceneKey, opts);
+  try {
+    ls.setItem(slotStorageKey(slotId), JSON.stringify(snapshot));
+  } catch (e) {
+    console.warn(`[SaveSystem] Failed to write slot "${slotId}"`, e);
+    return null;
+  }
+  return summarizeSnapshot(snapshot, slotId);
+}
+
+export function deleteSaveSlot(slotId) {
+  const ls = storage();
+  if (!ls || !isKnownSlot(slotId)) return;
+  ls.removeItem(slotStorageKey(slotId));
+}
+
+export function getSlotSummary(slotId) {
+  try {
+    return summarizeSnapshot(readSlot(slotId), slotId);
+  } catch (e) {
+    return { slotId, error: e?.message ?? String(e) };
+  }
+}
+
+export function listSaveSlots() {
+  return SAVE_SLOTS.map((slotId) => {
+    const summary = getSlotSummary(slotId);
+    return { slotId, empty: !summary, summary };
+  });
+}
+
+/**
+ * Restores a snapshot and starts its scene from `scene` (any running Phaser scene).
+ * The snapshot is migrated/validated first; GameState is untouched on failure.
+ * @returns {{ ok: boolean, error?: string }}
+ */
+export function startFromSnapshot(scene, snapshot) {
+  let data;
+  try {
+    data = migrateSnapshot(snapshot);
+  } catch (e) {
+    console.warn("[SaveSystem]", e);
+    return { ok: false, error: e?.message ?? String(e) };
+  }
+
+  const target = String(data.scene);
+  if (scene?.scene?.manager && !scene.scene.manager.keys?.[target]) {
+    return { ok: false, error: `Save data rejected: unknown scene "${target}".` };
+  }
+
+  applySnapshot(data);
+
+  // Assigned directly (not setTransition) so a load doesn't count as an autosave checkpoint.
+  const t = GameState.transition ?? {};
+  GameState.transition = {
+    fromScene: t.fromScene ?? null,
+    toScene: target,
+    fromExit: t.fromExit ?? null,
+    toSpawn: t.toScene === target ? t.toSpawn ?? null : null,
+  };
+
+  scene.scene.start(target);
+  return { ok: true };
+}
+
+/** @returns {{ ok: boolean, error?: string }} */
+export function loadFromSlot(scene, slotId) {
+  let snapshot;
+  try {
+    snapshot = readSlot(slotId);
+  } catch (e) {
+    return { ok: false, error: e?.message ?? String(e) };
+  }
+  if (!snapshot) return { ok: false, error: "That slot is empty." };
+  return startFromSnapshot(scene, snapshot);
+}
@@ -0,0 +1,181 @@
+// systems/SaveTransfer.js
+import { serializeGameState, startFromSnapshot } from "./SaveSystem.js";
+import { migrateSnapshot } from "./SaveMigrations.js";
+
+/**
+ * Portable saves for sharing test states.
+ *
+ *  - JSON file: the same snapshot format the slots use, pretty-printed.
+ *  - Save code: "VS1-" + base64url( crc32(4 bytes, big endian) + deflate-raw(JSON) )
+ *    Short enough to paste into window.prompt(); the checksum catches truncated copies.
+ *
+ * Both import paths end in startFromSnapshot(), i.e. the same migration +
+ * validation as loading a slot.
+ */
+
+const CODE_PREFIX = "VS1-";
+
+// -------------------------
+// Bytes helpers
+// -------------------------
+
+let _crcTable = null;
+
+function crc32(bytes) {
+  if (!_crcTable) {
+    _crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      _crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = _crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function toBase64Url(bytes) {
+  let bin = "";
+  const CHUNK = 0x8000;
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + CHUNK));
+  }
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(s) {
+  const b64 = s.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "===".slice((b64.length + 3) % 4));
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+async function pipeBytes(bytes, stream) {
+  const buf = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+  return new Uint8Array(buf);
+}
+
+function requireCompression() {
+  if (typeof CompressionStream !== "function" || typeof DecompressionStream !== "function") {
+    throw new Error("Save codes need CompressionStream support (use a current browser).");
+  }
+}
+
+// -------------------------
+// Save code
+// -------------------------
+
+export async function encodeSaveCode(sceneKey) {
+  requireCompression();
+
+  const json = JSON.stringify(serializeGameState(sceneKey));
+  const packed = await pipeBytes(new TextEncoder().encode(json), new CompressionStream("deflate-raw"));
+
+  const out = new Uint8Array(4 + packed.length);
+  new DataView(out.buffer).setUint32(0, crc32(packed));
+  out.set(packed, 4);
+
+  return CODE_PREFIX + toBase64Url(out);
+}
+
+/**
+ * Decodes + migrates + validates a save code.
+ * Throws a readable Error for anything that isn't a loadable save.
+ */
+export async function decodeSaveCode(code) {
+  requireCompression();
+
+  const s = String(code ?? "").replace(/\s+/g, "");
+  if (!s.startsWith(CODE_PREFIX)) throw new Error(`Save code rejected: expected it to start with "${CODE_PREFIX}".`);
+
+  let bytes;
+  try {
+    bytes = fromBase64Url(s.slice(CODE_PREFIX.length));
+  } catch (_) {
+    throw new Error("Save code rejected: contains invalid characters.");
+  }
+  if (bytes.length < 5) throw new Error("Save code rejected: too short.");
+
+  const packed = bytes.subarray(4);
+  const want = new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0);
+  if (crc32(packed) !== want) throw new Error("Save code rejected: checksum mismatch (was it copied completely?).");
+
+  let json;
+  try {
+    json = new TextDecoder().decode(await pipeBytes(packed, new DecompressionStream("deflate-raw")));
+  } catch (_) {
+    throw new Error("Save code rejected: data could not be decompressed.");
+  }
+
+  return migrateSnapshot(json);
+}
+
+/** @returns {Promise<{ ok: boolean, error?: string }>} */
+export async function importSaveCode(scene, code) {
+  try {
+    return startFromSnapshot(scene, await decodeSaveCode(code));
+  } catch (e) {
+    return { ok: false, error: e?.message ?? String(e) };
+  }
+}
+
+export async function promptExportSaveCode(sceneKey) {
+  try {
+    const code = await encodeSaveCode(sceneKey);
+    window.prompt("Save code (copy it):", code);
+    return { ok: true, code };
+  } catch (e) {
+    return { ok: false, error: e?.message ?? String(e) };
+  }
+}
+
+export async function promptImportSaveCode(scene) {
+  const code = window.prompt("Paste a save code:", "");
+  if (!code) return { ok: false, error: "" };
+  return importSaveCode(scene, code);
+}
+
+// -------------------------
+// JSON file
+// -------------------------
+
+export function exportSaveFile(sceneKey) {
+  const snapshot = serializeGameState(sceneKey);
+  const blob = new Blob([JSON.stringify(snapshot, null, 2)], { type: "application/json" });
+
+  const stamp = new Date(snapshot.savedAt).toISOString().replace(/[:.]/g, "-");
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = `valentine-save-${stamp}.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 0);
+}
+
+/** @returns {Promise<{ ok: boolean, error?: string }>} */
+export async function importSaveFile(scene, file) {
+  if (!file) return { ok: false, error: "" };
+  try {
+    return startFromSnapshot(scene, migrateSnapshot(await file.text()));
+  } catch (e) {
+    return { ok: false, error: e?.message ?? String(e) };
+  }
+}
+
+/** Opens the browser file picker and imports the chosen .json save. */
+export function pickAndImportSaveFile(scene) {
+  return new Promise((resolve) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = "application/json,.json";
+    input.addEventListener("change", async () => {
+      resolve(await importSaveFile(scene, input.files?.[0]));
+    });
+    input.addEventListener("cancel", () => resolve({ ok: false, error: "" }));
+    input.click();
+  });
+}
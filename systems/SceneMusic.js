@@ -0,0 +1,139 @@
+// systems/SceneMusic.js
+import { EVENTS, on } from "./GameEvents.js";
+import { getFlag, setFlag } from "./GameState.js";
+import { getAudio } from "./AudioManager.js";
+import { ASSETS } from "./Assets.js";
+
+/**
+ * Music definitions on top of the AudioManager.
+ *
+ * MUSIC_TRACKS (by ASSETS.sfx name; loaded keys like "sfx_city" map back to it):
+ * defaults for setSceneMusic()/startSceneMusic()
+ *  - volume: authored volume when the caller passes none
+ *  - resume: start from where the track last stopped instead of from zero
+ *  - fadeMs: crossfade when switching to this track inside a scene
+ *
+ * MUSIC_TRANSITIONS: rules for specific scene pairs, applied on the
+ * setTransition() boundary (transition:changed event):
+ *  - "continue": the playing track carries into `to`; the next scene's music
+ *    request adopts it instead of starting its own track
+ *  - "crossfade": the playing track carries into `to` and fades into whatever
+ *    `to` starts (fadeMs); if `to` starts nothing it fades out
+ *  - no rule: the outgoing scene's music stops with it (the old behaviour)
+ *
+ * SCENE_STINGERS: optional one-shot played the first time a scene is entered
+ * in a run (remembered as a GameState flag, so it is part of saves):
+ *   SceneKey: { sfx: "item_gained", volume: 0.8, duck: 0.3 }
+ * `duck` lowers music/ambience while the stinger plays (default 0.3, 1 = off).
+ */
+
+export const MUSIC_TRACKS = Object.freeze({
+  city: { volume: 0.2, resume: true },
+  forest: { volume: 0.2, resume: true },
+  library_happy: { volume: 0.4, resume: true },
+  library_sad: { volume: 0.4, resume: true },
+  library_lost: { volume: 0.4, resume: true },
+  minesweeper: { volume: 0.35, fadeMs: 0 },
+});
+
+export const MUSIC_TRANSITIONS = Object.freeze([
+  { from: "CityScene", to: "ForestScene", mode: "crossfade", fadeMs: 900 },
+  { from: "ForestScene", to: "CityScene", mode: "crossfade", fadeMs: 900 },
+  { from: "ForestScene", to: "LibraryScene", mode: "crossfade", fadeMs: 900 },
+  { from: "LibraryScene", to: "ForestScene", mode: "crossfade", fadeMs: 900 },
+]);
+
+export const SCENE_STINGERS = Object.freeze({
+  MinesweeperScene: { sfx: "grandfatherclock", volume: 0.8, duck: 0.3 },
+});
+
+const STINGER_FLAG = "__stinger";
+
+// Set on transition:changed, consumed by the target scene's first music request.
+let _pending = null; // { to, mode, fadeMs }
+let _installed = false;
+
+export function getMusicTransition(fromScene, toScene) {
+  return MUSIC_TRANSITIONS.find((r) => r.from === fromScene && r.to === toScene) ?? null;
+}
+
+export function getTrackDef(nameOrKey) {
+  const s = String(nameOrKey ?? "").trim();
+  if (MUSIC_TRACKS[s]) return MUSIC_TRACKS[s];
+  const name = Object.keys(ASSETS.sfx ?? {}).find((n) => ASSETS.sfx[n]?.key === s);
+  return (name && MUSIC_TRACKS[name]) || {};
+}
+
+/**
+ * Scene music request (BaseExploreScene.setSceneMusic, Minesweeper).
+ * Honors a pending transition rule for this scene, then MUSIC_TRACKS defaults.
+ */
+export function startSceneMusic(scene, nameOrKey, { volume, loop, fadeMs, carry = false } = {}) {
+  const audio = getAudio(scene);
+  const sceneKey = scene.scene.key;
+  const def = getTrackDef(nameOrKey);
+
+  const rule = _pending?.to === sceneKey ? _pending : null;
+  if (rule) _pending = null;
+
+  const cur = audio.music;
+  if (rule?.mode === "continue" && cur && !cur.owner) {
+    cur.owner = sceneKey;
+    cur.carry = carry === true;
+    return cur;
+  }
+
+  return audio.playMusic(nameOrKey, {
+    volume: volume ?? def.volume ?? 0.6,
+    loop: loop ?? def.loop ?? true,
+    fadeMs: rule?.mode === "crossfade" ? rule.fadeMs : fadeMs ?? def.fadeMs ?? 600,
+    owner: sceneKey,
+    carry,
+    resume: def.resume === true,
+  });
+}
+
+/** Plays the scene's SCENE_STINGERS entry once per run. */
+export function playEntryStinger(scene) {
+  const sceneKey = scene.scene.key;
+  const stinger = SCENE_STINGERS[sceneKey];
+  if (!stinger?.sfx) return;
+
+  const flag = `${STINGER_FLAG}__${sceneKey}`;
+  if (getFlag(flag) === true) return;
+  setFlag(flag, true);
+
+  const audio = getAudio(scene);
+  const handle = audio.play(stinger.sfx, { bus: "sfx", volume: stinger.volume ?? 1, owner: sceneKey });
+  if (!handle) return;
+
+  const duck = stinger.duck ?? 0.3;
+  if (duck < 1) {
+    const reason = `${sceneKey}:stinger`;
+    audio.duck(reason, duck, { owner: sceneKey });
+    handle.sound.once?.("complete", () => audio.unduck(reason));
+  }
+}
+
+export function installSceneMusic(game) {
+  if (_installed) return;
+  _installed = true;
+
+  on(EVENTS.TRANSITION_CHANGED, (t) => {
+    _pending = null;
+    const rule = getMusicTransition(t?.fromScene, t?.toScene);
+    const audio = getAudio(game);
+    const cur = audio.music;
+    if (!rule || !cur || cur.owner !== t.fromScene) return;
+
+    // Survives the outgoing scene's shutdown; startSceneMusic() in `to` picks it up.
+    cur.carry = true;
+    _pending = { to: t.toScene, mode: rule.mode, fadeMs: rule.fadeMs ?? 600 };
+
+    // If `to` never asks for music, don't leave an ownerless track playing forever.
+    game.scene.getScene(t.toScene)?.events?.once?.("create", () => {
+      if (_pending?.to === t.toScene) _pending = null;
+      if (audio.music === cur && !cur.owner) audio.stopMusic({ fadeMs: rule.fadeMs ?? 600 });
+    });
+  });
+}
@@ -0,0 +1,226 @@
+// systems/SceneTransitions.js
+import { GameState, setTransition, onLeaveScene } from "./GameState.js";
+
+/**
+ * Scene exits: transitionTo() does the bookkeeping every exit used to repeat by hand
+ * (onLeaveScene + setTransition + scene.start), plays an out effect, and the target
+ * scene plays the matching in effect from playEnterTransition(). Input is blocked
+ * for both halves (isTransitioning()).
+ *
+ * Effects: "fade" | "iris" | "pixel" (dissolve) | "cut"
+ *
+ * Spawns: a Tiled portal passes its targetSpawn as `spawn`, stored as
+ * GameState.transition.toSpawn. Without one, EXIT_SPAWNS[fromScene][exitId] -> Points
+ * object in the target map is used; keyed by the same (fromScene, fromExit) pair, so
+ * saves/checkpoints made before portals existed still resolve.
+ */
+
+export const TRANSITION_EFFECTS = Object.freeze(["fade", "iris", "pixel", "cut"]);
+
+export const EXIT_SPAWNS = Object.freeze({
+  CityScene: {
+    toForest: { scene: "ForestScene", spawn: "spawn_from_city" },
+  },
+  ForestScene: {
+    toCity: { scene: "CityScene", spawn: "spawn_from_forest" },
+    toLibrary: { scene: "LibraryScene", spawn: "spawn_from_forest" },
+  },
+  LibraryScene: {
+    toForest: { scene: "ForestScene", spawn: "spawn_from_library" },
+    toMine: { scene: "MinesweeperScene", spawn: null },
+  },
+});
+
+const DEFAULT_EFFECT = "fade";
+const DEFAULT_DURATION_MS = 250;
+const OVERLAY_DEPTH = 200000; // above DialogueBox UI_DEPTH
+const PIXEL_CELL = 16;
+
+// Effect the next scene should enter with (set by transitionTo, consumed by playEnterTransition).
+let _enter = null; // { to, effect, durationMs }
+
+export function getExit(fromScene, exitId) {
+  return EXIT_SPAWNS[String(fromScene ?? "")]?.[String(exitId ?? "")] ?? null;
+}
+
+/**
+ * Destination spawn for `scene` from the current GameState.transition, or `fallback`.
+ * Works before baseCreate() (getTiledPoint reads the map JSON).
+ */
+export function resolveSpawnPoint(scene, fallback, layerName = "Points") {
+  const t = GameState.transition;
+  if (t?.toSpawn && t.toScene === scene.scene.key) {
+    return scene.getTiledPoint?.(layerName, t.toSpawn) ?? fallback;
+  }
+  const exit = getExit(t?.fromScene, t?.fromExit);
+  if (!exit?.spawn || exit.scene !== scene.scene.key) return fallback;
+  return scene.getTiledPoint?.(exit.layer ?? layerName, exit.spawn) ?? fallback;
+}
+
+export function isTransitioning(scene) {
+  return scene?._transition != null;
+}
+
+function normalizeEffect(effect) {
+  return TRANSITION_EFFECTS.includes(effect) ? effect : DEFAULT_EFFECT;
+}
+
+// Scenes are reused: always clear on shutdown so a restarted scene never starts blocked.
+function blockInput(scene, token) {
+  scene._transition = token;
+  scene.events.once("shutdown", () => unblockInput(scene));
+  const kb = scene.input?.keyboard;
+  if (kb) {
+    kb.resetKeys?.();
+    kb.enabled = false;
+  }
+  scene.player?.body?.setVelocity?.(0, 0);
+}
+
+function unblockInput(scene) {
+  scene._transition = null;
+  const kb = scene.input?.keyboard;
+  if (kb) {
+    kb.enabled = true;
+    kb.resetKeys?.();
+  }
+}
+
+// -------------------------
+// Effects (all drawn in screen space on top of the scene)
+// -------------------------
+
+function makeOverlay(scene) {
+  return scene.add.graphics().setScrollFactor(0).setDepth(OVERLAY_DEPTH);
+}
+
+// progress 0 = scene fully visible, 1 = fully covered
+function drawIris(g, cam, progress) {
+  const w = cam.width;
+  const h = cam.height;
+  const maxR = Math.hypot(w, h) / 2;
+  const r = maxR * (1 - progress);
+  g.clear();
+  if (r <= 0.5) {
+    g.fillStyle(0x000000, 1).fillRect(0, 0, w, h);
+    return;
+  }
+  // A thick ring whose inner edge is the iris; wide enough to cover the corners.
+  const ring = maxR * 2;
+  g.lineStyle(ring, 0x000000, 1).strokeCircle(w / 2, h / 2, r + ring / 2);
+}
+
+function shuffledCells(cam) {
+  const cols = Math.ceil(cam.width / PIXEL_CELL);
+  const rows = Math.ceil(cam.height / PIXEL_CELL);
+  const cells = [];
+  for (let y = 0; y < rows; y++) for (let x = 0; x < cols; x++) cells.push([x * PIXEL_CELL, y * PIXEL_CELL]);
+  for (let i = cells.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [cells[i], cells[j]] = [cells[j], cells[i]];
+  }
+  return cells;
+}
+
+function drawPixels(g, cells, progress) {
+  const n = Math.round(cells.length * progress);
+  g.clear().fillStyle(0x000000, 1);
+  for (let i = 0; i < n; i++) g.fillRect(cells[i][0], cells[i][1], PIXEL_CELL, PIXEL_CELL);
+}
+
+/** Runs `effect` covering (out) or uncovering (in) the screen, then calls onDone. */
+function runEffect(scene, effect, durationMs, direction, onDone) {
+  const cam = scene.cameras.main;
+  const ms = Math.max(0, Number(durationMs) || 0);
+
+  if (effect === "cut" || ms <= 0) {
+    onDone();
+    return;
+  }
+
+  if (effect === "fade") {
+    if (direction === "out") {
+      cam.fadeOut(ms);
+      cam.once("camerafadeoutcomplete", onDone);
+    } else {
+      cam.fadeIn(ms);
+      cam.once("camerafadeincomplete", onDone);
+    }
+    return;
+  }
+
+  const g = makeOverlay(scene);
+  const cells = effect === "pixel" ? shuffledCells(cam) : null;
+  const draw = (p) => (cells ? drawPixels(g, cells, p) : drawIris(g, cam, p));
+  const state = { t: 0 };
+
+  draw(direction === "out" ? 0 : 1);
+  scene.tweens.add({
+    targets: state,
+    t: 1,
+    duration: ms,
+    onUpdate: () => draw(direction === "out" ? state.t : 1 - state.t),
+    onComplete: () => {
+      if (direction === "in") g.destroy();
+      onDone();
+    },
+  });
+}
+
+// -------------------------
+// Public API
+// -------------------------
+
+/**
+ * Leaves `scene` for `sceneKey`.
+ *  - exitId: stored as GameState.transition.fromExit (spawn lookup); null skips setTransition
+ *    entirely (endings: no checkpoint, no music carry)
+ *  - spawn: Points object name in the target map (overrides EXIT_SPAWNS)
+ *  - leave: call onLeaveScene(fromScene) (default true)
+ *  - effect / durationMs: out effect; the target scene plays the same one inward
+ *  - data: passed to scene.start()
+ * @returns {boolean} false if a transition is already running
+ */
+export function transitionTo(
+  scene,
+  sceneKey,
+  { exitId = null, spawn = null, effect = DEFAULT_EFFECT, durationMs = DEFAULT_DURATION_MS, leave = true, data } = {}
+) {
+  if (!scene?.scene || isTransitioning(scene)) return false;
+
+  const fromScene = scene.scene.key;
+  const fx = normalizeEffect(effect);
+
+  if (exitId != null && !spawn) {
+    const exit = getExit(fromScene, exitId);
+    if (exit && exit.scene !== sceneKey) {
+      console.warn(`[SceneTransitions] exit "${fromScene}.${exitId}" is declared for ${exit.scene}, not ${sceneKey}`);
+    }
+  }
+
+  const token = {};
+  blockInput(scene, token);
+
+  if (leave) onLeaveScene(fromScene);
+  if (exitId != null) setTransition(fromScene, sceneKey, exitId, spawn || null);
+
+  runEffect(scene, fx, durationMs, "out", () => {
+    if (scene._transition !== token) return;
+    _enter = { to: sceneKey, effect: fx, durationMs };
+    scene.scene.start(sceneKey, data);
+  });
+  return true;
+}
+
+/** Call from the target scene's create(); plays the pending in effect (if any) with input blocked. */
+export function playEnterTransition(scene) {
+  const pending = _enter?.to === scene.scene.key ? _enter : null;
+  _enter = null;
+  if (!pending || pending.effect === "cut") return;
+
+  const token = {};
+  blockInput(scene, token);
+  runEffect(scene, pending.effect, pending.durationMs, "in", () => {
+    if (scene._transition === token) unblockInput(scene);
+  });
+}
@@ -0,0 +1,135 @@
+// systems/Settings.js
+
+/**
+ * Player settings (localStorage), independent of GameState and save slots.
+ *
+ * Audio buses: call sites keep their authored volume (e.g. city music 0.2) and
+ * route it through a bus; the bus setting scales it (AudioManager re-reads it every
+ * step), masterVolume scales everything via game.sound.volume.
+ */
+
+const SETTINGS_KEY = "valentine.settings";
+
+export const AUDIO_BUSES = Object.freeze(["music", "sfx", "ambience", "voice"]);
+
+// Multiplier on each DialogueBox/EpilogueText typing delay.
+export const TEXT_SPEEDS = Object.freeze({ slow: 1.6, normal: 1, fast: 0.5 });
+
+export const SETTINGS_DEFAULTS = Object.freeze({
+  masterVolume: 1,
+  musicVolume: 1,
+  sfxVolume: 1,
+  ambienceVolume: 1,
+  voiceVolume: 1,
+
+  textSpeed: "normal",
+  instantText: false,
+
+  // 0 disables camera shake entirely
+  screenShake: 1,
+
+  // New Game+ carry-over rule ids (see systems/NewGamePlus.js)
+  ngPlusCarry: Object.freeze(["endings", "hairpin"]),
+});
+
+let _cache = null;
+
+function storage() {
+  try {
+    return window.localStorage ?? null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function clamp01(n, fallback) {
+  const x = Number(n);
+  if (!Number.isFinite(x)) return fallback;
+  return Math.max(0, Math.min(1, x));
+}
+
+function sanitize(raw) {
+  const s = raw && typeof raw === "object" ? raw : {};
+  return {
+    masterVolume: clamp01(s.masterVolume, SETTINGS_DEFAULTS.masterVolume),
+    musicVolume: clamp01(s.musicVolume, SETTINGS_DEFAULTS.musicVolume),
+    sfxVolume: clamp01(s.sfxVolume, SETTINGS_DEFAULTS.sfxVolume),
+    ambienceVolume: clamp01(s.ambienceVolume, SETTINGS_DEFAULTS.ambienceVolume),
+    voiceVolume: clamp01(s.voiceVolume, SETTINGS_DEFAULTS.voiceVolume),
+    textSpeed: s.textSpeed in TEXT_SPEEDS ? s.textSpeed : SETTINGS_DEFAULTS.textSpeed,
+    instantText: s.instantText === true,
+    screenShake: clamp01(s.screenShake, SETTINGS_DEFAULTS.screenShake),
+    ngPlusCarry: Array.isArray(s.ngPlusCarry)
+      ? s.ngPlusCarry.map((id) => String(id ?? "").trim()).filter(Boolean)
+      : [...SETTINGS_DEFAULTS.ngPlusCarry],
+  };
+}
+
+export function getSettings() {
+  if (_cache) return _cache;
+  let raw = null;
+  try {
+    raw = JSON.parse(storage()?.getItem(SETTINGS_KEY) ?? "null");
+  } catch (_) {}
+  _cache = sanitize(raw);
+  return _cache;
+}
+
+export function getSetting(name) {
+  return getSettings()[name] ?? SETTINGS_DEFAULTS[name];
+}
+
+export function setSetting(name, value) {
+  if (!(name in SETTINGS_DEFAULTS)) return;
+  _cache = sanitize({ ...getSettings(), [name]: value });
+  try {
+    storage()?.setItem(SETTINGS_KEY, JSON.stringify(_cache));
+  } catch (e) {
+    console.warn("[Settings] Failed to write", e);
+  }
+}
+
+export function resetSettings() {
+  _cache = sanitize(null);
+  storage()?.removeItem(SETTINGS_KEY);
+}
+
+// -------------------------
+// Audio buses
+// -------------------------
+
+export function busLevel(bus) {
+  return AUDIO_BUSES.includes(bus) ? getSetting(`${bus}Volume`) : 1;
+}
+
+/** Authored volume (0..1) scaled by the bus setting. */
+export function busVolume(bus, volume = 1) {
+  return clamp01(volume, 1) * busLevel(bus);
+}
+
+// -------------------------
+// Text / camera
+// -------------------------
+
+/** Per-character typing delay in ms; 0 means "show the whole line at once". */
+export function typingDelayMs(baseMs) {
+  if (getSetting("instantText")) return 0;
+  const mult = TEXT_SPEEDS[getSetting("textSpeed")] ?? 1;
+  return Math.max(0, Math.round((Number(baseMs) || 0) * mult));
+}
+
+export function shakeIntensity(intensity) {
+  return (Number(intensity) || 0) * getSetting("screenShake");
+}
+
+/** Camera shake scaled by the screenShake setting (skipped entirely at 0). */
+export function shakeCamera(camera, durationMs, intensity, force = false) {
+  const i = shakeIntensity(intensity);
+  if (!camera || i <= 0 || !(durationMs > 0)) return;
+  camera.shake(durationMs, i, force);
+}
+
+/** Push settings into the running game (call at boot and after changes). */
+export function applySettings(game) {
+  if (game?.sound) game.sound.volume = getSetting("masterVolume");
+}
@@ -0,0 +1,76 @@
+// systems/TiledLintPanel.js
+import { collectAssetMaps, defaultLintContext, formatIssue, lintMap } from "./TiledSchema.js";
+
+/**
+ * Dev-only warning panel: lints the scene's Tiled map on create (TiledSchema)
+ * and lists the problems in the top-right corner. F9 toggles it.
+ *
+ * Only active on localhost or with `?dev` in the URL; players never see it.
+ * The full list goes to the console once per map and session.
+ */
+
+const UI_DEPTH = 100000;
+const MAX_LINES = 8;
+
+const _logged = new Set();
+
+export function isDevMode() {
+  try {
+    const { hostname, search } = window.location;
+    return /[?&]dev\b/.test(search) || hostname === "localhost" || hostname === "127.0.0.1";
+  } catch (_) {
+    return false;
+  }
+}
+
+export function lintSceneMap(scene, mapKey) {
+  const data = scene.cache.tilemap.get(mapKey)?.data;
+  if (!data) return [];
+
+  const maps = collectAssetMaps((def) => scene.cache.tilemap.get(def.key)?.data);
+  const scenes = new Set(Object.keys(scene.scene.manager?.keys ?? {}));
+  return lintMap(data, { ...defaultLintContext(maps), scenes, mapName: mapKey, sceneKey: scene.scene.key });
+}
+
+export default class TiledLintPanel {
+  static attach(scene, mapKey) {
+    if (!isDevMode()) return null;
+
+    const issues = lintSceneMap(scene, mapKey);
+    if (!issues.length) return null;
+
+    if (!_logged.has(mapKey)) {
+      _logged.add(mapKey);
+      console.groupCollapsed(`[TiledLint] ${mapKey}: ${issues.length} issue(s)`);
+      for (const issue of issues) (issue.level === "error" ? console.error : console.warn)(formatIssue(issue));
+      console.groupEnd();
+    }
+
+    const errors = issues.filter((i) => i.level === "error").length;
+    const lines = issues.slice(0, MAX_LINES).map((i) => formatIssue({ ...i, map: "" }));
+    if (issues.length > MAX_LINES) lines.push(`... ${issues.length - MAX_LINES} more (see console)`);
+
+    const cam = scene.cameras.main;
+    const text = scene.add
+      .text(cam.width - 6, 24, [`Tiled: ${errors} error(s), ${issues.length - errors} warning(s)  [F9]`, ...lines].join("\n"), {
+        fontSize: "8px",
+        fill: errors ? "#ff7070" : "#ffd166",
+        backgroundColor: "#000000aa",
+        wordWrap: { width: Math.floor(cam.width * 0.6) },
+      })
+      .setOrigin(1, 0)
+      .setScrollFactor(0)
+      .setDepth(UI_DEPTH);
+
+    const key = scene.input.keyboard?.addKey("F9");
+    const toggle = () => text.setVisible(!text.visible);
+    key?.on("down", toggle);
+
+    scene.events.once("shutdown", () => {
+      key?.off("down", toggle);
+      text.destroy();
+    });
+
+    return text;
+  }
+}
@@ -0,0 +1,96 @@
+// systems/TiledNpcs.js
+import { parseProps, splitCsv } from "./TiledProps.js";
+
+/**
+ * NPCs declared in Tiled: point objects on the "NPCs" object layer, spawned by
+ * BaseExploreScene._spawnTiledNpcs(). Object name = display name.
+ *
+ * Custom props (all optional):
+ *  - npcId: registerSpawnedNpc() id (default: name); waypoint/choice effects use it
+ *  - spriteKey: texture key (default: npc_<name> / <name> if loaded)
+ *  - spriteUrl + frameWidth/frameHeight: sheet not in ASSETS; BootScene queues it
+ *    when the map finishes loading (texture key = spriteKey or npc_<npcId>)
+ *  - idleFrames="0,1,2,3" + idleFrameRate: single-direction idle loop instead of
+ *    the 4-dir character sheet layout (no look-at)
+ *  - facing (down|left|right|up), directions (2|4), scale
+ *  - lookRadius: look-at-player radius in px (0 = never turns)
+ *  - showIfFlags: csv, every flag must be true; hideIfFlags: csv, any true hides
+ *  - interaction: id of an Interactables object that becomes this NPC's talk
+ *    action (follows the NPC, disabled while hidden or walking)
+ *  - onTalk: scene method name instead (e.g. "_talkXia"), prompt, maxDist; off
+ *    while an Interactables object with the same id is disabled
+ *  - nameColor / nameFontSize: name tag style
+ */
+
+export const NPC_LAYER = "NPCs";
+
+const FACINGS = ["down", "left", "right", "up"];
+
+function* walkObjectLayers(layers, name) {
+  for (const layer of layers ?? []) {
+    if (layer?.type === "objectgroup" && layer.name === name) yield layer;
+    if (layer?.type === "group") yield* walkObjectLayers(layer.layers, name);
+  }
+}
+
+/** Objects of the NPC layer in raw Tiled JSON (group-safe). */
+export function findNpcObjects(mapData, layerName = NPC_LAYER) {
+  const out = [];
+  for (const layer of walkObjectLayers(mapData?.layers, layerName)) out.push(...(layer.objects ?? []));
+  return out;
+}
+
+export function readNpcDef(obj) {
+  const p = parseProps(obj);
+  const name = String(obj?.name ?? "").trim();
+  const id = String(p.npcid ?? name).trim();
+
+  const w = Number(obj?.width ?? 0);
+  const h = Number(obj?.height ?? 0);
+  const isPoint = obj?.point === true || (w <= 0 && h <= 0);
+
+  const facing = String(p.facing ?? "down").trim().toLowerCase();
+  const spriteUrl = String(p.spriteurl ?? "").trim();
+
+  return {
+    id,
+    name,
+    x: Number(obj?.x ?? 0) + (isPoint ? 0 : w / 2),
+    y: Number(obj?.y ?? 0) + (isPoint ? 0 : h / 2),
+    spriteKey: String(p.spritekey ?? "").trim() || (spriteUrl && id ? `npc_${id.toLowerCase()}` : ""),
+    spriteUrl,
+    frameWidth: Number(p.framewidth) || 16,
+    frameHeight: Number(p.frameheight) || Number(p.framewidth) || 16,
+    idleFrames: splitCsv(p.idleframes).map(Number).filter(Number.isFinite),
+    idleFrameRate: Number(p.idleframerate ?? 4) || 4,
+    facing: FACINGS.includes(facing) ? facing : "down",
+    directions: Number(p.directions ?? 4) === 2 ? 2 : 4,
+    lookRadius: p.lookradius !== undefined ? Number(p.lookradius) || 0 : undefined,
+    scale: p.scale !== undefined ? Number(p.scale) || 1 : undefined,
+    showIfFlags: splitCsv(p.showifflags ?? p.showifflag),
+    hideIfFlags: splitCsv(p.hideifflags ?? p.hideifflag),
+    interaction: String(p.interaction ?? "").trim(),
+    onTalk: String(p.ontalk ?? "").trim(),
+    prompt: String(p.prompt ?? "").trim(),
+    maxDist: Number(p.maxdist ?? 22) || 22,
+  };
+}
+
+/** @param {Record<string, any>} flags GameState.flags */
+export function isNpcVisible(def, flags = {}) {
+  if (def.showIfFlags.some((f) => flags?.[f] !== true)) return false;
+  if (def.hideIfFlags.some((f) => flags?.[f] === true)) return false;
+  return true;
+}
+
+/** Spritesheets a map's NPC layer needs beyond ASSETS.spritesheets. */
+export function collectNpcSheets(mapData, layerName = NPC_LAYER) {
+  const out = [];
+  for (const obj of findNpcObjects(mapData, layerName)) {
+    const def = readNpcDef(obj);
+    if (!def.spriteUrl || !def.spriteKey) continue;
+    if (out.some((s) => s.key === def.spriteKey)) continue;
+    out.push({ key: def.spriteKey, url: def.spriteUrl, frameWidth: def.frameWidth, frameHeight: def.frameHeight });
+  }
+  return out;
+}
@@ -0,0 +1,440 @@
+// systems/TiledSchema.js
+import { ASSETS, mapSceneKey } from "./Assets.js";
+import { parseProps, splitCsv } from "./TiledProps.js";
+import { effectKeys } from "./InteractionRuntime.js";
+import { dialogueNodeIds } from "./DialogueScripts.js";
+
+/**
+ * Schema + linter for the custom properties the game reads from Tiled maps.
+ *
+ * The interaction runtime silently ignores keys it doesn't know, so a typo such as
+ * `aloisefollowersdialogue3speaker` just never fires. lintMap() checks raw .tmj
+ * JSON against the patterns below and reports:
+ *  - unknown keys (with a "did you mean" for near misses)
+ *  - choiceN* keys without choiceNtext, choices past the runtime limit
+ *  - numbered dialogue gaps (dialogue, dialogue2, dialogue4: line 4 never plays)
+ *    and `<prefix>1` keys (line 1 is the unnumbered key)
+ *  - line meta (dialogue3sfx, ...) for lines that don't exist
+ *  - references to missing tile layers, collider ids, Points, interaction ids,
+ *    audio names, dialogue nodes, scenes and portal spawn points
+ *
+ * Pure (no Phaser): runs in the browser (TiledLintPanel) and in Node
+ * (tools/lint-maps.mjs). Effect keys come from the InteractionRuntime registry
+ * (registerEffect); keep the other patterns in sync when the runtime learns a key.
+ */
+
+export const MAX_CHOICES = 6;
+
+const FOLLOWER_VARIANTS = ["aloisefollower", "sagafollower", "bothfollowers"];
+
+// Keys that aren't effects; effect keys per scope come from effectKeys().
+const LINE_META = ["speaker", "expression", "portraitside", "voice"];
+const CHOICE_KEYS = ["text"];
+
+const NAME_TAG_KEYS = [
+  "namecolor", "namefontsize", "nametagcolor", "nametagfontsize", "labelcolor", "labelfontsize",
+];
+
+const INTERACTION_KEYS = [
+  "id", "kind", "selectable", "prompt", "maxdist", "lookmaxdist", "lookmindot",
+  "npcid", "targetnpc", "npc", "speaker",
+  "trigger", "autofire", "triggeronce", "once",
+  "enabledifflag", "enabledifflags", "enabledifanyflag", "enabledifanyflags", "disabledifflag", "disabledifflags",
+  "requireschoiceid", "requireschoice", "requireschoicevalue", "requireschoiceval", "requireschoiceindex",
+  "requiresitem", "requirescount", "requiresitemonce", "requiresitemskipifhelped",
+  "denydialogue", "denydialogue1", "deny", "denycooldownms", "denymode", "denypush", "denysfx",
+  "denyshakems", "denyshakeintensity",
+  "mutemusic", "duckmusic", "duckmusicfactor",
+  "posthelpedname", "markhelped",
+  "sequencedialogue", "loopdialogue", "enddialogue", "nodialogue", "replacewithfollower", "dialoguenode",
+  "presfx", "presfxonce", "presfxdelayms", "presfxbase",
+  "choiceprompt",
+  "exithidelayer", "exithidelayers", "exitshowlayer", "exitshowlayers",
+  "followpausems",
+  "zonesfx", "zonemusic", "zoneambience", "zonevolume", "zoneloop", "zonefadeinms", "zonefadeoutms",
+  "zoneduckmusic", "zoneduckfactor",
+  "ambience", "ambiencekey", "ambiencesfx", "ambiencetrack", "ambiencevolume", "ambiencevolumepct",
+];
+
+const PORTAL_KEYS = [
+  "exitid", "targetscene", "targetspawn", "mode", "label", "labeloffsetx", "labeloffsety", "prompt",
+  "requiresitem", "requirescount", "requiresflag", "requiresflags", "denydialogue", "effect", "durationms",
+];
+
+const NPC_KEYS = [
+  "npcid", "spritekey", "spriteurl", "framewidth", "frameheight", "idleframes", "idleframerate",
+  "facing", "directions", "lookradius", "scale", "showifflag", "showifflags", "hideifflag", "hideifflags",
+  "interaction", "ontalk", "prompt", "maxdist", ...NAME_TAG_KEYS,
+];
+
+const MAP_KEYS = [
+  "title", "music", "musicvolume", "tilesets", "activetileset", "overplayerlayers", "rooflayers",
+  "collisiontilelayers", "colliderslayer", "interactableslayer", "portalslayer", "pointslayer", "spawn",
+  "camerazoom",
+];
+
+const V = `(?:${FOLLOWER_VARIANTS.join("|")})?`;
+const LINE_BASE = "(?:dialogue|postdialogue|followdialogue|choice\\d+dialogue|choice\\d+postdialogue)";
+
+// Numbered line key: prefix + optional line number.
+const LINE_RE = new RegExp(`^(${V}${LINE_BASE})(\\d*)$`);
+
+// Built per lint: projects can register effects after this module loads.
+const lineMetaRe = () => new RegExp(`^(${V}${LINE_BASE})(\\d*)(${[...LINE_META, ...effectKeys("line")].join("|")})$`);
+
+/**
+ * Per layer kind: literal keys + key patterns. "layer" = tile layer properties.
+ * Interactables objects with class "portal" are checked as portals.
+ */
+export const TILED_SCHEMA = Object.freeze({
+  interactables: {
+    get keys() {
+      return [...INTERACTION_KEYS, ...effectKeys("use"), ...effectKeys("interaction")];
+    },
+    get patterns() {
+      return [
+        LINE_RE,
+        lineMetaRe(),
+        new RegExp(`^${V}(?:choice\\d+)?postprompt$`),
+        new RegExp(`^choice\\d+(?:${[...CHOICE_KEYS, ...effectKeys("choice")].join("|")})$`),
+      ];
+    },
+  },
+  portals: { keys: PORTAL_KEYS, patterns: [] },
+  npcs: { keys: NPC_KEYS, patterns: [] },
+  points: { keys: [], patterns: [] },
+  colliders: { keys: ["id"], patterns: [] },
+  layer: { keys: ["starthidden"], patterns: [] },
+  map: { keys: MAP_KEYS, patterns: [] },
+});
+
+// Prop name -> what its (csv) value refers to.
+const REFS = {
+  layers: /^(?:tileremovelayer|(?:exit)?(?:hide|show)layers?|choice\d+(?:hide|show)layers?|overplayerlayers|rooflayers|collisiontilelayers)$/,
+  colliders: /^(?:choice\d+)?removecolliders?$/,
+  points: /^choice\d+(?:movetopoint|movetomarker|moveto|movetarget|waypoints|movewaypoints)$/,
+  interactions: /^(?:(?:choice\d+)?(?:enable|disable)interactions?|removeinteraction|requireschoiceid|requireschoice|interaction)$/,
+  dialogue: /^dialoguenode$/,
+  audio: /^(?:sfx|presfx|denysfx|setmusic|setmusiconce|zonesfx|zonemusic|zoneambience|ambiencekey|ambiencesfx|ambiencetrack|music|choice\d+sfx)$|sfx$/,
+};
+
+// -------------------------
+// Helpers
+// -------------------------
+
+function* walkLayers(layers, path = "") {
+  for (const layer of layers ?? []) {
+    if (!layer) continue;
+    const name = String(layer.name ?? "");
+    yield { layer, name, path: path ? `${path}/${name}` : name };
+    if (layer.type === "group") yield* walkLayers(layer.layers, path ? `${path}/${name}` : name);
+  }
+}
+
+function objectLayers(mapData, name) {
+  const out = [];
+  for (const { layer } of walkLayers(mapData?.layers)) {
+    if (layer.type === "objectgroup" && layer.name === name) out.push(layer);
+  }
+  return out;
+}
+
+function objectsOf(mapData, name) {
+  return objectLayers(mapData, name).flatMap((l) => l.objects ?? []);
+}
+
+function objClass(o) {
+  return String(o?.class ?? o?.type ?? "").trim().toLowerCase();
+}
+
+function interactionIdOf(o) {
+  return String(parseProps(o).id ?? o?.name ?? "").trim();
+}
+
+function editDistance(a, b) {
+  if (Math.abs(a.length - b.length) > 2) return 3;
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cur = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = cur;
+    }
+  }
+  return row[b.length];
+}
+
+// Closest candidate within a typo-sized distance (none for very short names).
+function nearest(name, candidates) {
+  let best = null;
+  let bestD = Math.min(2, Math.floor(name.length / 3)) + 1;
+  for (const cand of candidates) {
+    const d = editDistance(name, cand);
+    if (d < bestD) {
+      best = cand;
+      bestD = d;
+    }
+  }
+  return best;
+}
+
+const didYouMean = (hint) => (hint ? ` (did you mean "${hint}"?)` : "");
+
+function isKnownKey(schema, key) {
+  return schema.keys.includes(key) || schema.patterns.some((re) => re.test(key));
+}
+
+// Closest valid key: keys present on the same object first (they carry the
+// real numbers, e.g. dialogue3speaker), then the literal schema keys.
+function suggestKey(schema, key, siblings) {
+  const best = nearest(key, [...siblings.filter((k) => k !== key && isKnownKey(schema, k)), ...schema.keys]);
+  if (best) return best;
+
+  // Variant typos (aloisefollowers..., sagafollowers...): suggest the fixed spelling if it's valid.
+  for (const v of FOLLOWER_VARIANTS) {
+    for (const typo of [`${v}s`, v.replace(/s$/, "")]) {
+      if (typo !== v && key.startsWith(typo) && isKnownKey(schema, v + key.slice(typo.length))) return v + key.slice(typo.length);
+    }
+  }
+  return null;
+}
+
+/** Readable one-line issue (console, CLI, dev panel). */
+export function formatIssue(issue) {
+  const where = [issue.map, issue.layer, issue.object].filter(Boolean).join(" > ");
+  const key = issue.key ? ` [${issue.key}]` : "";
+  return `${issue.level === "error" ? "ERROR" : "warn "} ${where}${key}: ${issue.message}`;
+}
+
+// -------------------------
+// Linter
+// -------------------------
+
+/**
+ * Everything a map can reference outside itself. Defaults come from ASSETS;
+ * `maps` (scene key -> raw map JSON) enables cross-map checks, `scenes` (all
+ * registered scene keys) the scene name checks (default: the map scenes).
+ */
+export function defaultLintContext(maps = {}) {
+  const audio = new Set();
+  for (const [name, def] of Object.entries(ASSETS.sfx ?? {})) {
+    audio.add(name);
+    if (def?.key) audio.add(def.key);
+  }
+  return { audio, maps, scenes: null, dialogueNodes: new Set(dialogueNodeIds()) };
+}
+
+/** Scene key -> map JSON for every ASSETS.maps entry `getData(def)` can supply. */
+export function collectAssetMaps(getData) {
+  const out = {};
+  for (const [id, def] of Object.entries(ASSETS.maps ?? {})) {
+    const data = getData(def, id);
+    if (data) out[mapSceneKey(id)] = data;
+  }
+  return out;
+}
+
+/**
+ * @param {object} mapData raw Tiled JSON
+ * @param {{ mapName?: string, sceneKey?: string, audio?: Set<string>, maps?: Record<string, object>, scenes?: Set<string>|null, dialogueNodes?: Set<string>|null }} ctx
+ * @returns {{ level: "error"|"warning", map: string, layer: string, object: string, key: string, message: string }[]}
+ */
+export function lintMap(mapData, ctx = {}) {
+  const mapName = String(ctx.mapName ?? ctx.sceneKey ?? "map");
+  const issues = [];
+  const report = (level, layer, object, key, message) => issues.push({ level, map: mapName, layer, object, key, message });
+
+  const mapProps = parseProps(mapData);
+  const layerNames = {
+    colliders: String(mapProps.colliderslayer ?? "Collideables"),
+    interactables: String(mapProps.interactableslayer ?? "Interactables"),
+    portals: String(mapProps.portalslayer ?? "Portals"),
+    points: String(mapProps.pointslayer ?? "Points"),
+    npcs: "NPCs",
+  };
+
+  // What this map declares.
+  const tileLayers = new Set();
+  for (const { layer, name, path } of walkLayers(mapData?.layers)) {
+    if (layer.type !== "tilelayer") continue;
+    tileLayers.add(name);
+    tileLayers.add(path);
+  }
+  const colliderIds = new Set(objectsOf(mapData, layerNames.colliders).map(interactionIdOf).filter(Boolean));
+  const interactionIds = new Set(objectsOf(mapData, layerNames.interactables).map(interactionIdOf).filter(Boolean));
+  const pointNamesIn = (layerName) => new Set(objectsOf(mapData, layerName).map((o) => String(o.name ?? "").trim()));
+
+  const otherMaps = ctx.maps ?? {};
+  const knownScenes = new Set([...(ctx.scenes ?? []), ...Object.keys(otherMaps)]);
+
+  const checkRefs = (layer, object, key, value, props) => {
+    const names = splitCsv(value);
+    if (REFS.layers.test(key)) {
+      for (const n of names) {
+        if (!tileLayers.has(n)) report("error", layer, object, key, `tile layer "${n}" does not exist${didYouMean(nearest(n, tileLayers))}`);
+      }
+    } else if (REFS.colliders.test(key)) {
+      for (const n of names) {
+        if (!colliderIds.has(n)) report("error", layer, object, key, `no collider "${n}" in ${layerNames.colliders}${didYouMean(nearest(n, colliderIds))}`);
+      }
+    } else if (REFS.points.test(key)) {
+      const n0 = key.match(/^choice(\d+)/)?.[1];
+      const wpLayer = String(props[`choice${n0}waypointlayer`] ?? "Points").trim() || "Points";
+      const points = pointNamesIn(wpLayer);
+      for (const n of names) {
+        if (!points.has(n)) report("error", layer, object, key, `no point "${n}" in ${wpLayer}${didYouMean(nearest(n, points))}`);
+      }
+    } else if (REFS.interactions.test(key)) {
+      for (const raw of names) {
+        const m = raw.match(/^([^:|/]+)[:|/](.+)$/);
+        const scene = m ? m[1].trim() : null;
+        const id = m ? m[2].trim() : raw;
+        if (!scene || scene === ctx.sceneKey) {
+          if (!interactionIds.has(id)) {
+            report("error", layer, object, key, `no interaction "${id}" in ${layerNames.interactables}${didYouMean(nearest(id, interactionIds))}`);
+          }
+        } else if (otherMaps[scene]) {
+          const ids = new Set(objectsOf(otherMaps[scene], "Interactables").map(interactionIdOf));
+          if (!ids.has(id)) report("error", layer, object, key, `no interaction "${id}" in ${scene}`);
+        } else if (!knownScenes.has(scene)) {
+          report("warning", layer, object, key, `unknown scene "${scene}"`);
+        }
+      }
+    } else if (REFS.dialogue.test(key) && ctx.dialogueNodes) {
+      const n = String(value ?? "").trim();
+      if (n && !ctx.dialogueNodes.has(n)) {
+        report("error", layer, object, key, `no dialogue node "${n}" in ASSETS.dialogue${didYouMean(nearest(n, ctx.dialogueNodes))}`);
+      }
+    } else if (REFS.audio.test(key) && ctx.audio && typeof value === "string") {
+      for (const n of names) {
+        if (!ctx.audio.has(n)) report("error", layer, object, key, `audio "${n}" is not in ASSETS.sfx${didYouMean(nearest(n, ctx.audio))}`);
+      }
+    }
+  };
+
+  const LINE_META_RE = lineMetaRe();
+
+  const checkKeys = (schema, layer, object, props) => {
+    const keys = Object.keys(props);
+    for (const key of keys) {
+      if (!isKnownKey(schema, key)) {
+        const hint = suggestKey(schema, key, keys);
+        report("warning", layer, object, key, hint ? `unknown key (did you mean "${hint}"?)` : "unknown key (ignored by the game)");
+        continue;
+      }
+      checkRefs(layer, object, key, props[key], props);
+    }
+  };
+
+  // Interaction-only structure: choices, numbered lines, line meta.
+  const checkInteractionShape = (layer, object, props) => {
+    const keys = Object.keys(props);
+
+    const choiceNs = new Set();
+    for (const key of keys) {
+      const m = key.match(new RegExp(`^${V}choice(\\d+)`));
+      if (m) choiceNs.add(Number(m[1]));
+    }
+    for (const n of [...choiceNs].sort((a, b) => a - b)) {
+      if (n > MAX_CHOICES) report("warning", layer, object, `choice${n}*`, `only choice1..choice${MAX_CHOICES} are shown`);
+      else if (props[`choice${n}text`] === undefined) report("warning", layer, object, `choice${n}*`, `choice${n} keys without choice${n}text (the choice never appears)`);
+    }
+
+    const linesByPrefix = new Map();
+    for (const key of keys) {
+      const m = key.match(LINE_RE);
+      if (!m) continue;
+      if (!linesByPrefix.has(m[1])) linesByPrefix.set(m[1], new Set());
+      linesByPrefix.get(m[1]).add(m[2] === "" ? 1 : Number(m[2]));
+      if (m[2] === "1") report("warning", layer, object, key, `line 1 is "${m[1]}"; "${key}" is never read`);
+    }
+    for (const [prefix, nums] of linesByPrefix) {
+      const max = Math.max(...nums);
+      let n = 2;
+      while (n <= max && nums.has(n)) n++;
+      if (n <= max) {
+        const lost = [...nums].filter((x) => x > n).sort((a, b) => a - b).map((x) => `${prefix}${x}`);
+        report("warning", layer, object, `${prefix}${n}`, `missing; ${lost.join(", ")} never ${lost.length === 1 ? "plays" : "play"}`);
+      }
+    }
+
+    for (const key of keys) {
+      const m = key.match(LINE_META_RE);
+      if (!m || props[key] === undefined) continue;
+      const [, prefix, num, meta] = m;
+      const lines = linesByPrefix.get(prefix);
+      if (!lines) {
+        report("warning", layer, object, key, `no "${prefix}" lines for this ${meta}`);
+      } else if (num !== "" && !lines.has(Number(num))) {
+        report("warning", layer, object, key, `line ${prefix}${num === "1" ? "" : num} does not exist`);
+      }
+    }
+  };
+
+  const checkPortal = (layer, object, props) => {
+    const target = String(props.targetscene ?? "").trim();
+    if (!target) {
+      report("error", layer, object, "targetscene", "portal without targetScene");
+      return;
+    }
+    if (!knownScenes.has(target)) report("warning", layer, object, "targetscene", `unknown scene "${target}"`);
+
+    const spawn = String(props.targetspawn ?? "").trim();
+    const targetMap = otherMaps[target];
+    if (spawn && targetMap) {
+      const tp = String(parseProps(targetMap).pointslayer ?? "Points");
+      const points = new Set(objectsOf(targetMap, tp).map((o) => String(o.name ?? "").trim()));
+      if (!points.has(spawn)) {
+        report("error", layer, object, "targetspawn", `no point "${spawn}" in ${target} ${tp}${didYouMean(nearest(spawn, points))}`);
+      }
+    }
+  };
+
+  // Map + tile layer properties.
+  checkKeys(TILED_SCHEMA.map, "", "(map)", mapProps);
+  for (const { layer, path } of walkLayers(mapData?.layers)) {
+    if (layer.type === "tilelayer") checkKeys(TILED_SCHEMA.layer, path, "", parseProps(layer));
+  }
+
+  // Object layers with a schema.
+  const kinds = [
+    ["interactables", layerNames.interactables],
+    ["portals", layerNames.portals],
+    ["npcs", layerNames.npcs],
+    ["points", layerNames.points],
+    ["colliders", layerNames.colliders],
+  ];
+
+  for (const [kind, layerName] of kinds) {
+    const seen = new Set();
+    for (const o of objectsOf(mapData, layerName)) {
+      const props = parseProps(o);
+      const label = String(o.name ?? "").trim() || `#${o.id}`;
+      const isPortal = kind === "portals" || objClass(o) === "portal";
+
+      checkKeys(isPortal ? TILED_SCHEMA.portals : TILED_SCHEMA[kind], layerName, label, props);
+
+      if (isPortal) {
+        checkPortal(layerName, label, props);
+        continue;
+      }
+      if (kind !== "interactables") continue;
+
+      checkInteractionShape(layerName, label, props);
+
+      const id = interactionIdOf(o);
+      if (id && seen.has(id)) report("error", layerName, label, "id", `duplicate interaction id "${id}"`);
+      seen.add(id);
+    }
+  }
+
+  return issues;
+}
+
+/** Lints every map in `maps` (scene key -> JSON) with cross-map checks enabled. */
+export function lintMaps(maps, ctx = {}) {
+  const base = { ...defaultLintContext(maps), ...ctx, maps };
+  return Object.entries(maps).flatMap(([sceneKey, data]) => lintMap(data, { ...base, sceneKey, mapName: sceneKey }));
+}
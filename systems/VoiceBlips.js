@@ -0,0 +1,101 @@
+// systems/VoiceBlips.js
+import { busLevel } from "./Settings.js";
+
+/**
+ * Typewriter voice blips for DialogueBox: a short Web Audio oscillator note every
+ * `every` letters of a line, pitch picked at random in `pitch` (Hz). No audio files.
+ *
+ * VOICES is keyed by speaker name (lowercase); `default` covers speakers without an
+ * entry, narration (no speaker) stays silent. A say step's `voice` overrides it for
+ * one line: another VOICES name, or "none" (Tiled: dialogue3Voice=none, dialogue
+ * files: { say, speaker, voice }).
+ *
+ * Blips are sound effects: sfxVolume scales them, voiceVolume on top of that, and
+ * they play through Phaser's master node, so masterVolume / mute apply too.
+ */
+export const VOICES = {
+  default: { wave: "square", pitch: [320, 360], every: 2, ms: 40, volume: 0.1 },
+
+  aloise: { wave: "triangle", pitch: [520, 600], every: 2, ms: 40, volume: 0.16 },
+  saga: { wave: "square", pitch: [260, 300], every: 2, ms: 45, volume: 0.1 },
+  xia: { wave: "triangle", pitch: [600, 680], every: 2, ms: 35, volume: 0.16 },
+  glad: { wave: "square", pitch: [200, 240], every: 2, ms: 45, volume: 0.1 },
+  mona: { wave: "sine", pitch: [440, 520], every: 2, ms: 50, volume: 0.2 },
+  snoopy: { wave: "square", pitch: [150, 190], every: 3, ms: 50, volume: 0.1 },
+  leafeon: { wave: "sine", pitch: [700, 820], every: 2, ms: 35, volume: 0.18 },
+  ares: { wave: "sawtooth", pitch: [140, 170], every: 3, ms: 55, volume: 0.08 },
+  napper: { wave: "sine", pitch: [180, 210], every: 3, ms: 70, volume: 0.2 },
+};
+
+const SILENT = new Set(["none", "off", "false", "0"]);
+
+/** VOICES entry for a line, or null when it should stay silent. */
+export function resolveVoice(speaker, override = "") {
+  const o = String(override ?? "").trim().toLowerCase();
+  if (SILENT.has(o)) return null;
+  if (o && VOICES[o]) return VOICES[o];
+
+  const name = String(speaker ?? "").trim().toLowerCase();
+  if (!name) return null;
+  return VOICES[name] ?? VOICES.default ?? null;
+}
+
+// Letters and digits only: punctuation and whitespace never blip.
+const BLIP_CHAR_RE = /[\p{L}\p{N}]/u;
+
+/**
+ * Per-line blipper: call it with each character as it's typed.
+ * @param {Phaser.Game} game
+ * @param {object|null} voice resolveVoice() result
+ * @returns {(ch: string) => void}
+ */
+export function createVoiceBlipper(game, voice) {
+  if (!voice) return () => {};
+
+  const every = Math.max(1, Math.floor(Number(voice.every) || 1));
+  let letters = 0;
+
+  return (ch) => {
+    if (!BLIP_CHAR_RE.test(String(ch ?? ""))) return;
+    if (letters++ % every !== 0) return;
+    playBlip(game, voice);
+  };
+}
+
+function playBlip(game, voice) {
+  const sound = game?.sound;
+  const ctx = sound?.context;
+  // HTML5 / no-audio sound managers have no context; a suspended one isn't unlocked yet.
+  if (!ctx || ctx.state !== "running" || sound.mute) return;
+
+  const volume = (Number(voice.volume) || 0) * busLevel("sfx") * busLevel("voice");
+  if (volume <= 0) return;
+
+  const [lo, hi] = Array.isArray(voice.pitch) ? voice.pitch : [voice.pitch, voice.pitch];
+  const freq = Number(lo) + Math.random() * (Number(hi ?? lo) - Number(lo));
+  if (!Number.isFinite(freq) || freq <= 0) return;
+
+  const seconds = Math.max(0.01, (Number(voice.ms) || 40) / 1000);
+  const t = ctx.currentTime;
+
+  try {
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.type = voice.wave ?? "square";
+    osc.frequency.setValueAtTime(freq, t);
+
+    // Short attack / decay so consecutive blips don't click.
+    gain.gain.setValueAtTime(0.0001, t);
+    gain.gain.exponentialRampToValueAtTime(volume, t + 0.005);
+    gain.gain.exponentialRampToValueAtTime(0.0001, t + seconds);
+
+    osc.connect(gain);
+    gain.connect(sound.destination ?? sound.masterVolumeNode ?? ctx.destination);
+    osc.onended = () => {
+      osc.disconnect();
+      gain.disconnect();
+    };
+    osc.start(t);
+    osc.stop(t + seconds + 0.02);
+  } catch (_) {}
+}
@@ -0,0 +1,100 @@
+// tests/endings.test.mjs — run with `node --test tests/`
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { ENDINGS, ENDING_TRIGGERS, resolveEnding } from "../systems/Endings.js";
+import { WORLD_END_MS, createDefaultGameState } from "../systems/GameState.js";
+
+// Past the speedrun window, under the world-end limit, nothing else earned.
+function runState({ flags = {}, inventory = {}, ...rest } = {}) {
+  const s = createDefaultGameState();
+  s.realTimeMs = 3 * 60 * 1000;
+  Object.assign(s.flags, flags);
+  Object.assign(s.inventory, inventory);
+  return Object.assign(s, rest);
+}
+
+const party = { sagaJoined: true, aloiseFollowing: true };
+const trueReady = { flags: { hasHairpin: true, minesweeperBoardCleared: true }, inventory: { loveletter: 1 }, helpScore: 88 };
+
+const idAt = (trigger, state) => resolveEnding(trigger, state)?.id ?? null;
+
+test("every ending is reachable from at least one trigger", () => {
+  const cases = {
+    world: ["mineEntry", runState({ realTimeMs: WORLD_END_MS })],
+    minusHelp: ["napper", runState({ helpScore: -1 })],
+    speedrun: ["napper", runState({ realTimeMs: 45_000 })],
+    party: ["napper", runState({ flags: party })],
+    true: ["napper", runState(trueReady)],
+    normal: ["napper", runState()],
+  };
+
+  assert.deepEqual(Object.keys(cases).sort(), ENDINGS.map((e) => e.id).sort());
+  for (const [id, [trigger, state]] of Object.entries(cases)) {
+    const res = resolveEnding(trigger, state);
+    assert.equal(res?.id, id, `${trigger} should resolve to ${id}`);
+    assert.equal(res.sceneKey, ENDINGS.find((e) => e.id === id).sceneKey);
+    assert.equal(typeof res.reason, "string");
+    assert.ok(res.reason.length > 0);
+  }
+});
+
+test("mineEntry: only world / minusHelp / speedrun end the run early", () => {
+  assert.equal(idAt("mineEntry", runState({ realTimeMs: WORLD_END_MS })), "world");
+  assert.equal(idAt("mineEntry", runState({ helpScore: -3 })), "minusHelp");
+  assert.equal(idAt("mineEntry", runState({ realTimeMs: 30_000 })), "speedrun");
+
+  // Party / true / normal are decided later, at Napper.
+  assert.equal(idAt("mineEntry", runState({ flags: party })), null);
+  assert.equal(idAt("mineEntry", runState(trueReady)), null);
+  assert.equal(idAt("mineEntry", runState()), null);
+});
+
+test("napper: never picks the world ending", () => {
+  assert.equal(idAt("napper", runState({ realTimeMs: WORLD_END_MS, helpScore: 5 })), "normal");
+  assert.equal(idAt("napper", runState({ helpScore: -1 })), "minusHelp");
+  assert.equal(idAt("napper", runState()), "normal");
+});
+
+test("worldEnd: picks the follow-up epilogue with the same priority", () => {
+  const late = { realTimeMs: WORLD_END_MS + 1000 };
+  assert.equal(idAt("worldEnd", runState({ ...late, helpScore: -2 })), "minusHelp");
+  assert.equal(idAt("worldEnd", runState({ ...late, flags: party })), "party");
+  assert.equal(idAt("worldEnd", runState({ ...late, ...trueReady })), "true");
+  assert.equal(idAt("worldEnd", runState(late)), "normal");
+});
+
+test("party beats true when both hold", () => {
+  const both = runState({ ...trueReady, flags: { ...trueReady.flags, ...party } });
+  assert.equal(idAt("napper", both), "party");
+  assert.equal(idAt("worldEnd", both), "party");
+});
+
+test("speedrun beats party when both hold", () => {
+  const both = runState({ realTimeMs: 50_000, flags: party });
+  assert.equal(idAt("napper", both), "speedrun");
+  assert.equal(idAt("worldEnd", both), "speedrun");
+});
+
+test("speedrun uses the recorded mine entry time over the current clock", () => {
+  const slowNow = runState({ realTimeMs: 5 * 60 * 1000, flags: { minesweeperEntryMs: 40_000 } });
+  assert.equal(idAt("napper", slowNow), "speedrun");
+
+  const fastNow = runState({ realTimeMs: 20_000, flags: { minesweeperEntryMs: 90_000 } });
+  assert.equal(idAt("napper", fastNow), "normal");
+});
+
+test("world beats minusHelp at mine entry", () => {
+  assert.equal(idAt("mineEntry", runState({ realTimeMs: WORLD_END_MS, helpScore: -5 })), "world");
+});
+
+test("unknown trigger resolves to nothing", () => {
+  assert.ok(!ENDING_TRIGGERS.includes("bogus"));
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(resolveEnding("bogus", runState()), null);
+  } finally {
+    console.warn = warn;
+  }
+});
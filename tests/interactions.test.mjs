@@ -0,0 +1,208 @@
+// tests/interactions.test.mjs — run with `node --test tests/`
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { createInteractionHarness, tiledObject } from "../tools/interaction-harness.mjs";
+
+const texts = (result) => result.lines.map((l) => l.text);
+
+// -------------------------
+// Progressive post-dialogue
+// -------------------------
+
+test("post-dialogue advances once per talk and then repeats the last line", () => {
+  const h = createInteractionHarness({
+    objects: [
+      tiledObject("bo", {
+        speaker: "Bo",
+        dialogue: "Can you help?",
+        markHelped: "Bo",
+        postDialogue: "Thanks!",
+        postDialogue2: "Really, thanks.",
+        postPrompt: "Talk to Bo again",
+      }),
+    ],
+  });
+
+  assert.deepEqual(texts(h.press("bo")), ["Can you help?"]);
+  assert.equal(h.state.npcsHelped.Bo, true);
+
+  assert.deepEqual(texts(h.press("bo")), ["Thanks!"]);
+  assert.equal(h.prompt("bo"), "Talk to Bo again");
+  assert.deepEqual(texts(h.press("bo")), ["Really, thanks."]);
+  assert.deepEqual(texts(h.press("bo")), ["Really, thanks."]);
+});
+
+test("post-dialogue lines keep the interaction's speaker", () => {
+  const h = createInteractionHarness({
+    state: { npcsHelped: { Bo: true } },
+    objects: [tiledObject("bo", { speaker: "Bo", markHelped: "Bo", dialogue: "Help?", postDialogue: "Hi again." })],
+  });
+
+  assert.deepEqual(h.press("bo").lines, [{ speaker: "Bo", text: "Hi again." }]);
+});
+
+// -------------------------
+// Item requirements
+// -------------------------
+
+test("requiresItemOnce: blocked without the item, then never asks again", () => {
+  const h = createInteractionHarness({
+    objects: [tiledObject("door", { requiresItem: "key", requiresItemOnce: true, dialogue: "It opens." })],
+  });
+
+  assert.deepEqual(h.press("door").lines, [{ speaker: "", text: "You can't do that yet." }]);
+
+  h.give("key");
+  assert.deepEqual(texts(h.press("door")), ["It opens."]);
+
+  h.state.inventory.key = 0;
+  assert.deepEqual(texts(h.press("door")), ["It opens."]);
+});
+
+test("requiresItem needs every listed item and shows denyDialogue until then", () => {
+  const h = createInteractionHarness({
+    objects: [tiledObject("chest", { requiresItem: "key, lamp", denyDialogue: "Too dark.", dialogue: "Gold!" })],
+  });
+
+  h.give("key");
+  assert.deepEqual(texts(h.press("chest")), ["Too dark."]);
+  assert.equal(h.state.interactions.counts.chest, undefined);
+
+  h.give("lamp");
+  assert.deepEqual(texts(h.press("chest")), ["Gold!"]);
+});
+
+test("requiresItemSkipIfHelped: a helped speaker skips the item check", () => {
+  const objects = [
+    tiledObject("bo", {
+      speaker: "Bo",
+      requiresItem: "flower",
+      requiresItemSkipIfHelped: true,
+      dialogue: "A flower for me?",
+      postDialogue: "Thanks for the flower.",
+    }),
+  ];
+
+  const before = createInteractionHarness({ objects });
+  assert.deepEqual(texts(before.press("bo")), ["You can't do that yet."]);
+
+  const after = createInteractionHarness({ objects, state: { npcsHelped: { Bo: true } } });
+  assert.deepEqual(texts(after.press("bo")), ["Thanks for the flower."]);
+});
+
+// -------------------------
+// Choices
+// -------------------------
+
+const helpChoice = (extra = {}) =>
+  tiledObject("q", {
+    choicePrompt: "Will you help?",
+    choice1Text: "Yes",
+    choice1HelpScore: 2,
+    choice1Dialogue: "Great!",
+    choice2Text: "No",
+    choice2Dialogue: "Oh.",
+    ...extra,
+  });
+
+test("choiceNHelpScore is applied only the first time that option is picked", () => {
+  const h = createInteractionHarness({ objects: [helpChoice()] });
+
+  assert.deepEqual(texts(h.press("q", { choice: 1 })), ["Great!"]);
+  assert.equal(h.state.helpScore, 2);
+  assert.equal(h.state.interactions.choices.q, 1);
+
+  h.press("q", { choice: 1 });
+  assert.equal(h.state.helpScore, 2);
+
+  h.press("q", { choice: 2 });
+  h.press("q", { choice: 1 });
+  assert.equal(h.state.helpScore, 2);
+  assert.equal(h.state.interactions.choices.q, 1);
+});
+
+// Choice effects run when the option's dialogue ends; ESC cancels them.
+test("choiceNHelpScore: ESC after picking applies nothing, finishing later applies it once", () => {
+  const h = createInteractionHarness({ objects: [helpChoice()] });
+
+  const escaped = h.press("q", { choice: 1, escape: true });
+  assert.equal(escaped.completed, false);
+  assert.deepEqual(texts(escaped), ["Great!"]);
+  assert.equal(h.state.helpScore, 0);
+  assert.equal(h.state.interactions.choices.q, undefined);
+
+  assert.equal(h.press("q", { choice: 1 }).completed, true);
+  assert.equal(h.state.helpScore, 2);
+
+  h.press("q", { choice: 1, escape: true });
+  h.press("q", { choice: 1 });
+  assert.equal(h.state.helpScore, 2);
+});
+
+test("choiceNHelpScore: ESC before the choice applies nothing", () => {
+  const h = createInteractionHarness({ objects: [helpChoice({ dialogue: "Hey, you there." })] });
+
+  const escaped = h.press("q", { escape: true });
+  assert.equal(escaped.completed, false);
+  assert.deepEqual(texts(escaped), ["Hey, you there."]);
+  assert.equal(h.state.helpScore, 0);
+  assert.equal(h.state.interactions.choices.q, undefined);
+
+  h.press("q", { choice: 1 });
+  assert.equal(h.state.helpScore, 2);
+});
+
+test("unanswered choice fails loudly", () => {
+  const h = createInteractionHarness({ objects: [helpChoice()] });
+  assert.throws(() => h.press("q"), /needs an answer/);
+});
+
+// -------------------------
+// Follower dialogue
+// -------------------------
+
+test("followDialogue uses the same follower test as the dialogue variants", () => {
+  const objects = [
+    tiledObject("bo", {
+      speaker: "Bo",
+      dialogue: "Hi.",
+      followDialogue: "Hi, all.",
+      aloiseFollowerFollowDialogue: "Aloise: Bo!",
+      followPauseMs: 0,
+    }),
+  ];
+
+  const joinedOnly = createInteractionHarness({ objects, state: { flags: { aloiseJoined: true } } });
+  assert.deepEqual(texts(joinedOnly.press("bo")), ["Hi."]);
+
+  const following = createInteractionHarness({ objects, state: { flags: { aloiseFollowing: true } } });
+  assert.deepEqual(following.press("bo").lines, [{ speaker: "Aloise", text: "Bo!" }]);
+
+  const saga = createInteractionHarness({ objects, state: { flags: { sagaJoined: true } } });
+  assert.deepEqual(saga.press("bo").lines, [{ speaker: "Bo", text: "Hi, all." }]);
+});
+
+// -------------------------
+// Dialogue nodes
+// -------------------------
+
+test("unknown dialogueNode falls back to the prop dialogue and unducks", () => {
+  const h = createInteractionHarness({
+    objects: [tiledObject("bo", { dialogueNode: "no_such_node", muteMusic: true, dialogue: "Hi.", markHelped: "Bo" })],
+  });
+
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.deepEqual(texts(h.press("bo")), ["Hi."]);
+  } finally {
+    console.warn = warn;
+  }
+
+  assert.equal(h.state.npcsHelped.Bo, true);
+  assert.deepEqual(
+    h.effects.filter((e) => e.type === "duck" || e.type === "unduck").map((e) => e.type),
+    ["duck", "unduck"]
+  );
+});
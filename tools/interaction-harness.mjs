@@ -0,0 +1,223 @@
+// tools/interaction-harness.mjs
+//
+// Headless driver for systems/InteractionRuntime.js: feed it Tiled objects, press
+// Z on them, pick choices, then assert on GameState, the dialogue that played and
+// the world side effects the runtime asked for. No Phaser, no browser:
+//
+//   import test from "node:test";
+//   import assert from "node:assert/strict";
+//   import { createInteractionHarness, tiledObject } from "../tools/interaction-harness.mjs";
+//
+//   test("door needs the key once", () => {
+//     const h = createInteractionHarness({
+//       objects: [tiledObject("door", { requiresItem: "key", requiresItemOnce: true, dialogue: "Open!" })],
+//     });
+//     assert.deepEqual(h.press("door").lines, [{ speaker: "", text: "You can't do that yet." }]);
+//     h.give("key");
+//     assert.equal(h.press("door").lines[0].text, "Open!");
+//   });
+//
+// tests/interactions.test.mjs covers the runtime this way (`node --test tests/`).
+//
+// GameState is the game's module singleton: every createInteractionHarness() resets it.
+// Dialogue nodes (dialogueNode props) come from registerDialogueFile() in
+// systems/DialogueScripts.js; register them before pressing.
+
+import { GameState, addItem, resetGameState } from "../systems/GameState.js";
+import { parseProps } from "../systems/TiledProps.js";
+import { isInteractionEnabled, runInteraction } from "../systems/InteractionRuntime.js";
+import { buildDialogueScript } from "../systems/DialogueScripts.js";
+
+/** Tiled-JSON-shaped object: `props` keys keep their Tiled spelling (parseProps lowercases them). */
+export function tiledObject(name, props = {}, { x = 0, y = 0, width = 16, height = 16 } = {}) {
+  return {
+    name,
+    x,
+    y,
+    width,
+    height,
+    properties: Object.entries(props).map(([k, value]) => ({
+      name: k,
+      type: typeof value === "boolean" ? "bool" : typeof value === "number" ? "float" : "string",
+      value,
+    })),
+  };
+}
+
+/**
+ * @param {{ sceneKey?: string, objects?: object[], state?: object, movingNpcs?: string[] }} opts
+ *  - state: GameState sections to start from (e.g. { inventory: { key: 1 }, flags: { sagaJoined: true } })
+ *  - movingNpcs: npc ids the fake world reports as walking
+ */
+export function createInteractionHarness({ sceneKey = "TestScene", objects = [], state = null, movingNpcs = [] } = {}) {
+  resetGameState(state);
+
+  const effects = [];
+  const record = (type, data = {}) => effects.push({ type, ...data });
+
+  const byId = new Map();
+  for (const obj of objects) {
+    const props = parseProps(obj);
+    const id = String(props.id ?? obj.name ?? "").trim();
+    if (!id) continue;
+    byId.set(id, { obj, props, prompt: String(props.prompt ?? "Interact").trim(), active: true });
+  }
+
+  const moving = new Set(movingNpcs);
+  const queue = []; // dialogues started but not played yet
+  const dialogues = [];
+
+  const host = {
+    sceneKey,
+    startDialogue: (script, onComplete = null) => {
+      dialogues.push(script);
+      queue.push({ script, onComplete });
+    },
+    // Time is not simulated: delayed work runs right away, in order.
+    delay: (ms, fn) => {
+      record("delay", { ms });
+      fn();
+    },
+    shake: (ms) => {
+      if (Number(ms) > 0) record("shake", { ms: Number(ms) });
+    },
+    playSfx: (name, { volume } = {}) => record("sfx", { name, volume }),
+    playLineSfx: (name, { volume, stopOnDialogueEnd } = {}) => record("lineSfx", { name, volume, stopOnDialogueEnd }),
+    duckMusic: (id, factor) => record("duck", { id, factor }),
+    unduckMusic: (id) => record("unduck", { id }),
+    setMusic: (name, opts) => record("music", { name, ...opts }),
+    clearMusicOverride: () => record("clearMusicOverride"),
+    setPrompt: (id, text) => {
+      const it = byId.get(id);
+      if (it) it.prompt = text;
+      record("prompt", { id, text });
+    },
+    dropInteractable: (id) => {
+      const it = byId.get(id);
+      if (it) it.active = false;
+    },
+    removeTileUnder: (id, layerName) => {
+      if (!byId.has(id)) return false;
+      record("removeTile", { id, layer: layerName });
+      return true;
+    },
+    setLayerVisible: (layerName, visible) => record("layer", { name: layerName, visible }),
+    removeCollider: (id) => record("removeCollider", { id }),
+    isNpcMoving: (npcId) => moving.has(npcId),
+    despawnNpc: (npcId) => record("despawnNpc", { npcId }),
+    hideNpcByName: (name) => record("hideNpc", { name }),
+    syncFollowers: () => record("syncFollowers"),
+    flipNpcY: (npcId) => {
+      record("flipNpcY", { npcId });
+      return true;
+    },
+    moveNpcToPoint: (npcId, point, opts) => record("moveNpc", { npcId, point, ...opts }),
+    moveNpcAlongWaypoints: (npcId, waypoints, opts) => record("moveNpc", { npcId, waypoints, ...opts }),
+  };
+
+  // Plays queued dialogues the way DialogueBox does. `choices` (1-based, in order)
+  // answer choice steps; `escape` closes the first dialogue like ESC (no onComplete).
+  const play = ({ choices = [], escape = false } = {}) => {
+    const lines = [];
+    const picks = [...choices];
+    let completed = !queue.length ? null : true;
+
+    while (queue.length) {
+      const { script: raw, onComplete } = queue.shift();
+      const script = buildDialogueScript(raw);
+      if (!script) continue; // unknown node: DialogueBox doesn't open
+      let index = 0;
+      let ended = false;
+
+      while (!ended) {
+        const step = script[index];
+        if (index < 0 || index >= script.length || step?.type === "end") {
+          ended = true;
+          break;
+        }
+
+        if (step?.type === "say") {
+          lines.push({ speaker: step.speaker ?? "", text: step.text ?? "" });
+          if (escape) break;
+          index += 1;
+        } else if (step?.type === "action") {
+          step.run?.();
+          index += 1;
+        } else if (step?.type === "jump") {
+          const take = typeof step.if !== "function" || step.if();
+          index = take && typeof step.to === "number" ? step.to : index + 1;
+        } else if (step?.type === "choice") {
+          const options = (step.options ?? []).filter((o) => typeof o.if !== "function" || o.if());
+          if (!options.length) {
+            index += 1;
+            continue;
+          }
+          const pick = picks.shift();
+          if (pick === undefined) {
+            throw new Error(`[harness] choice "${step.prompt}" needs an answer: ${options.map((o) => o.text).join(" / ")}`);
+          }
+          const chosen = options[pick - 1];
+          if (!chosen) throw new Error(`[harness] choice ${pick} out of range (1..${options.length})`);
+
+          record("choice", { prompt: step.prompt, text: chosen.text, index: pick });
+          chosen.onSelect?.(pick - 1, chosen, options);
+          index = typeof chosen.next === "number" ? chosen.next : index + 1;
+        } else {
+          index += 1;
+        }
+      }
+
+      if (escape && !ended) {
+        completed = false;
+        queue.length = 0;
+        break;
+      }
+      onComplete?.();
+    }
+
+    return { lines, completed };
+  };
+
+  const interactable = (id) => {
+    const it = byId.get(id);
+    if (!it) throw new Error(`[harness] no interactable "${id}"`);
+    return it;
+  };
+
+  const isEnabled = (id) => {
+    const it = interactable(id);
+    return it.active && isInteractionEnabled(host, id, it.props);
+  };
+
+  return {
+    host,
+    effects,
+    dialogues,
+    get state() {
+      return GameState;
+    },
+
+    /**
+     * One Z press on `id` plus the dialogue it opens, played to the end.
+     * @returns {{ ran: boolean, lines: { speaker: string, text: string }[], completed: boolean|null, effects: object[] }}
+     *  completed: null when no dialogue opened, false when closed with `escape`.
+     */
+    press(id, { choice, choices, escape = false } = {}) {
+      const start = effects.length;
+      if (!isEnabled(id)) return { ran: false, lines: [], completed: null, effects: [] };
+
+      runInteraction(host, interactable(id).obj);
+      const result = play({ choices: choices ?? (choice !== undefined ? [choice] : []), escape });
+      return { ran: true, ...result, effects: effects.slice(start) };
+    },
+
+    isEnabled,
+    isActive: (id) => interactable(id).active,
+    prompt: (id) => interactable(id).prompt,
+    give: (item, count = 1) => addItem(item, count),
+    setNpcMoving(npcId, isMoving = true) {
+      if (isMoving) moving.add(npcId);
+      else moving.delete(npcId);
+    },
+  };
+}
@@ -0,0 +1,86 @@
+// tools/lint-maps.mjs
+//
+// Lints the custom Tiled properties of every map (see systems/TiledSchema.js).
+//
+//   node tools/lint-maps.mjs [--errors-only] [assets/maps/Some.tmj ...]
+//
+// Without file arguments it checks every assets/maps/*.tmj. Maps registered in
+// ASSETS.maps are linted under their scene key, so portal targets and
+// "Scene:id" interaction references are checked across maps.
+// Exit code 1 if any error was reported.
+
+import { readFileSync, readdirSync } from "node:fs";
+import { basename, dirname, join, relative } from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { ASSETS, mapSceneKey } from "../systems/Assets.js";
+import { registerDialogueFile } from "../systems/DialogueScripts.js";
+import { defaultLintContext, formatIssue, lintMap } from "../systems/TiledSchema.js";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+
+const args = process.argv.slice(2);
+const errorsOnly = args.includes("--errors-only");
+const fileArgs = args.filter((a) => !a.startsWith("--"));
+
+const files = fileArgs.length
+  ? fileArgs.map((f) => join(process.cwd(), f))
+  : readdirSync(join(ROOT, "assets/maps"))
+      .filter((f) => f.endsWith(".tmj"))
+      .map((f) => join(ROOT, "assets/maps", f));
+
+// Scene key per map file: ASSETS.maps entry, else the MapScene naming rule.
+const sceneByUrl = new Map(Object.entries(ASSETS.maps).map(([id, def]) => [def.url, mapSceneKey(id)]));
+const sceneKeyFor = (file) => sceneByUrl.get(relative(ROOT, file).split("\\").join("/")) ?? null;
+
+const maps = {};
+const loaded = [];
+for (const file of files) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(file, "utf8"));
+  } catch (e) {
+    console.error(`ERROR ${relative(ROOT, file)}: ${e.message}`);
+    process.exitCode = 1;
+    continue;
+  }
+  const sceneKey = sceneKeyFor(file);
+  if (sceneKey) maps[sceneKey] = data;
+  loaded.push({ file, data, sceneKey });
+}
+
+// Dialogue nodes, so dialogueNode props can be checked.
+for (const def of Object.values(ASSETS.dialogue ?? {})) {
+  try {
+    registerDialogueFile(JSON.parse(readFileSync(join(ROOT, def.url), "utf8")), def.url);
+  } catch (e) {
+    console.error(`ERROR ${def.url}: ${e.message}`);
+    process.exitCode = 1;
+  }
+}
+
+// Hand-written scenes (MinesweeperScene, ...) are valid portal targets too.
+const scenes = new Set(
+  readdirSync(join(ROOT, "scenes"))
+    .filter((f) => /Scene\.js$/.test(f))
+    .map((f) => f.replace(/\.js$/, ""))
+);
+
+const ctx = { ...defaultLintContext(maps), scenes };
+
+let errors = 0;
+let warnings = 0;
+for (const { file, data, sceneKey } of loaded) {
+  const mapName = basename(file);
+  if (!sceneKey) console.log(`warn  ${mapName}: not registered in ASSETS.maps (never loaded by the game)`);
+
+  for (const issue of lintMap(data, { ...ctx, mapName, sceneKey: sceneKey ?? undefined })) {
+    if (issue.level === "error") errors++;
+    else warnings++;
+    if (errorsOnly && issue.level !== "error") continue;
+    console.log(formatIssue(issue));
+  }
+}
+
+console.log(`\n${loaded.length} map(s): ${errors} error(s), ${warnings} warning(s)`);
+if (errors) process.exitCode = 1;